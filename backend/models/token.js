@@ -7,6 +7,9 @@ class Token {
     this.liquidityUSD = liquidityUSD; // number
     this.marketCapUSD = marketCapUSD; // number
     this.lastFetched = lastFetched; // Date
+    this.supply = null; // Optional: number, UI-adjusted total supply
+    this.createdAt = null; // Optional: Date the mint was created (first on-chain activity), used for token age
+    this.sources = {}; // Field name -> market data provider that supplied it (e.g. { priceUSD: 'raydium' })
   }
 }
 
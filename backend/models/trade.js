@@ -1,12 +1,29 @@
+const crypto = require('crypto');
+
 class Trade {
   constructor(tokenId, type, amountSOL, priceUSD, timestamp, status) {
+    this.id = crypto.randomUUID(); // string, unique trade identifier
     this.tokenId = tokenId; // string, linking to Token
     this.type = type; // 'buy'/'sell'
     this.amountSOL = amountSOL; // number (SOL invested for buy, SOL gained for sell)
-    this.priceUSD = priceUSD; // number (price of the token per unit in USD at time of trade)
+    this.priceUSD = priceUSD; // number (quoted price of the token per unit in USD at time of trade)
     this.timestamp = timestamp; // Date
-    this.status = status; // 'pending'/'simulated_completed'/'failed_...'
+    this.status = status; // 'pending'/'simulated_completed'/'blocked_risk_limit'/'failed_...'; real trades: 'awaiting_signature'/'submitted'/'confirmed'/'completed'/...
     this.reasonForTrade = null; // Optional: e.g., 'stop-loss', 'take-profit', 'initial_buy'
+    // Execution details, filled in for completed trades:
+    this.tokenSymbol = null; // string, symbol at time of trade
+    this.tokenAmount = null; // number, tokens bought or sold
+    this.solPriceUSD = null; // number, SOL/USD rate used for the fill
+    this.sizingStrategy = null; // string, buys only: sizing strategy that sized it, or 'explicit' for a caller-given size
+    this.effectivePriceUSD = null; // number, USD per token actually paid/received: price impact and fees included
+    this.priceImpactPercent = null; // number, how far the AMM fill moved from priceUSD; null if liquidity was unknown
+    this.feesSOL = 0; // number, fees paid in SOL (swap fee plus network and priority fees)
+    this.realizedPnlSOL = null; // number, sells only
+    this.realizedPnlUSD = null; // number, sells only
+    this.proposalId = null; // string, id of the confirmed 'pending' proposal this trade executed, if any
+    this.jobId = null; // string, trade queue job that executed this trade, if any
+    this.blockReason = null; // string, 'blocked_risk_limit' trades only: the limit and why it was hit
+    this.txSignature = null; // string, real trades only: signature of the swap transaction
   }
 }
 
@@ -0,0 +1,407 @@
+// backend/routes/api.js
+const express = require('express');
+const tradingService = require('../services/tradingService');
+const watchService = require('../services/watchService');
+const exportService = require('../services/exportService');
+const tradeConfirmationService = require('../services/tradeConfirmationService');
+const tradeQueueService = require('../services/tradeQueueService');
+const manualTradeService = require('../services/manualTradeService');
+const sizingService = require('../services/sizingService');
+const riskService = require('../services/riskService');
+const tradingModeService = require('../services/tradingModeService');
+const realExecutionService = require('../services/realExecutionService');
+const loggerService = require('../services/loggerService');
+const cacheService = require('../services/cacheService');
+const httpClient = require('../services/httpClient');
+const snapshotArchiveService = require('../services/snapshotArchiveService');
+
+/**
+ * Parses an optional date query parameter (ISO string or epoch milliseconds).
+ * @returns {Date|null|undefined} Date, null if absent, undefined if present but invalid.
+ */
+function parseDateParam(value) {
+    if (value === undefined || value === '') return null;
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Parses the snapshot archive filters shared by the query and export endpoints.
+ * Query: token, from, to (ISO date or epoch ms)
+ * @returns {{filters?: object, error?: string}}
+ */
+function parseSnapshotFilters(query) {
+    const from = parseDateParam(query.from);
+    const to = parseDateParam(query.to);
+    if (from === undefined || to === undefined) {
+        return { error: 'from/to must be ISO dates or epoch milliseconds.' };
+    }
+    return { filters: { tokenAddress: query.token || null, from, to } };
+}
+
+/**
+ * Parses the trade history filters shared by the list and export endpoints.
+ * Query: token, type ('buy'|'sell'), status, from, to (ISO date or epoch ms)
+ * @returns {{filters?: object, error?: string}}
+ */
+function parseTradeFilters(query) {
+    const { token, type, status } = query;
+    const from = parseDateParam(query.from);
+    const to = parseDateParam(query.to);
+    if (from === undefined || to === undefined) {
+        return { error: 'from/to must be ISO dates or epoch milliseconds.' };
+    }
+    if (type && type !== 'buy' && type !== 'sell') {
+        return { error: "type must be 'buy' or 'sell'." };
+    }
+    return { filters: { tokenId: token, type, status, from, to } };
+}
+
+/**
+ * The portfolio a request reads: the one named by ?mode=paper|real, or the active mode's.
+ * @returns {object|null} null if mode is not a trading mode.
+ */
+function portfolioForQuery(query) {
+    if (query.mode === undefined) return tradingModeService.getPortfolio();
+    return tradingModeService.TRADING_MODES.includes(query.mode) ? tradingModeService.getPortfolio(query.mode) : null;
+}
+
+const INVALID_MODE_ERROR = `mode must be one of: ${tradingModeService.TRADING_MODES.join(', ')}.`;
+
+/**
+ * Builds the REST API router. Handlers call the same service functions as the WebSocket messages.
+ * @param {object} hooks
+ * @param {Function} hooks.onPortfolioChanged - Called after a request has changed the portfolio (e.g. to broadcast it).
+ * @returns {express.Router}
+ */
+function createApiRouter({ onPortfolioChanged }) {
+    const router = express.Router();
+
+    // Portfolio and trade endpoints read the active trading mode's portfolio unless ?mode=paper|real names one
+    router.get('/portfolio', (req, res) => {
+        const portfolio = portfolioForQuery(req.query);
+        if (!portfolio) {
+            return res.status(400).json({ error: INVALID_MODE_ERROR });
+        }
+        res.json(portfolio.getPortfolio());
+    });
+
+    router.get('/trades', (req, res) => {
+        const { filters, error } = parseTradeFilters(req.query);
+        const portfolio = portfolioForQuery(req.query);
+        if (error || !portfolio) {
+            return res.status(400).json({ error: error || INVALID_MODE_ERROR });
+        }
+        const trades = portfolio.getTradeHistory(filters);
+        res.json({ count: trades.length, trades });
+    });
+
+    // Download of the trade history. Query: format ('csv'|'json', default csv) plus the /trades filters and mode
+    router.get('/trades/export', (req, res) => {
+        const format = req.query.format || 'csv';
+        if (format !== 'csv' && format !== 'json') {
+            return res.status(400).json({ error: "format must be 'csv' or 'json'." });
+        }
+        const { filters, error } = parseTradeFilters(req.query);
+        const portfolio = portfolioForQuery(req.query);
+        if (error || !portfolio) {
+            return res.status(400).json({ error: error || INVALID_MODE_ERROR });
+        }
+
+        const rows = exportService.buildTradeExportRows(filters, portfolio);
+        const fileName = `trades-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.attachment(fileName);
+        if (format === 'csv') {
+            res.type('text/csv').send(exportService.toCSV(rows));
+        } else {
+            res.type('application/json').send(JSON.stringify(rows, null, 2));
+        }
+    });
+
+    // Trades awaiting confirmation (confirm mode)
+    router.get('/trades/pending', (req, res) => {
+        const trades = tradeConfirmationService.getPendingTrades();
+        res.json({ count: trades.length, trades });
+    });
+
+    // Trade queue jobs, newest first. Optional ?status=queued|running|completed|failed
+    router.get('/trade-jobs', (req, res) => {
+        const jobs = tradeQueueService.getJobs({ status: req.query.status });
+        res.json({ count: jobs.length, jobs });
+    });
+
+    // The outcome is also broadcast to WebSocket clients through the tradeResolved event
+    router.post('/trades/:id/confirm', async (req, res) => {
+        const result = await tradeConfirmationService.confirmTrade(req.params.id);
+        if (!result.success) {
+            return res.status(409).json({ error: result.error });
+        }
+        res.json({ trade: result.trade });
+    });
+
+    router.post('/trades/:id/reject', (req, res) => {
+        const result = tradeConfirmationService.rejectTrade(req.params.id);
+        if (!result.success) {
+            return res.status(409).json({ error: result.error });
+        }
+        res.status(204).end();
+    });
+
+    router.get('/tokens', async (req, res) => {
+        const addresses = watchService.getWatchedAddresses();
+        const tokens = await Promise.all(addresses.map(async address => (
+            (await watchService.getTokenSnapshot(address)) || { address, dataUnavailable: true }
+        )));
+        res.json({ count: tokens.length, tokens });
+    });
+
+    router.get('/tokens/:address', async (req, res) => {
+        const { address } = req.params;
+        if (!watchService.isWatched(address)) {
+            return res.status(404).json({ error: `Token ${address} is not being watched.` });
+        }
+        const token = await watchService.getTokenSnapshot(address);
+        if (!token) {
+            return res.status(502).json({ error: `Data for ${address} is currently unavailable.` });
+        }
+        res.json({ token, position: tradingModeService.getPortfolio().getPosition(address) || null });
+    });
+
+    // Body: { address }
+    router.post('/tokens', async (req, res) => {
+        const result = await watchService.addTokenWatch(req.body?.address);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        // A resulting buy reaches WebSocket clients through the watch service's portfolioChanged event
+        res.status(result.alreadyWatched ? 200 : 201).json({
+            address: req.body.address,
+            alreadyWatched: result.alreadyWatched,
+            token: result.tokenData,
+            trade: result.buyResult?.trade || null,
+        });
+    });
+
+    // Optional ?positionAction=keep|liquidate (default keep). The token stays watched while a WebSocket client
+    // subscribes to it or a kept position is open.
+    router.delete('/tokens/:address', async (req, res) => {
+        const { address } = req.params;
+        if (!watchService.isWatched(address)) {
+            return res.status(404).json({ error: `Token ${address} is not being watched.` });
+        }
+        const result = await watchService.removeTokenWatch(address, { positionAction: req.query.positionAction || 'keep' });
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ address, unwatched: result.unwatched, trades: result.liquidations.map(({ trade }) => trade) });
+    });
+
+    // Manual orders. An Idempotency-Key header makes retries of the same request return the original outcome.
+    // Body: { amountSOL } or { percentOfBalance }, plus an optional maxSlippagePercent for this order
+    router.post('/tokens/:address/buy', async (req, res) => {
+        const { amountSOL, percentOfBalance, maxSlippagePercent } = req.body || {};
+        const result = await manualTradeService.manualBuy(req.params.address, { amountSOL, percentOfBalance }, {
+            idempotencyKey: req.get('Idempotency-Key'),
+            maxSlippagePercent,
+        });
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        onPortfolioChanged();
+        res.status(201).json({ trade: result.trade });
+    });
+
+    // Body: { percentage, maxSlippagePercent? } - percentage of the current holding
+    router.post('/positions/:address/sell', async (req, res) => {
+        const result = await manualTradeService.manualSell(req.params.address, req.body?.percentage, {
+            idempotencyKey: req.get('Idempotency-Key'),
+            maxSlippagePercent: req.body?.maxSlippagePercent,
+        });
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        onPortfolioChanged();
+        res.status(201).json({ trade: result.trade });
+    });
+
+    // Sizing strategies for automatic buys: the available ones with their params, the default and per-token overrides
+    router.get('/sizing', (req, res) => {
+        res.json({ strategies: sizingService.listStrategies(), ...sizingService.getConfig() });
+    });
+
+    // Body: { strategy, params? } - params override the strategy's defaults
+    router.put('/sizing/default', (req, res) => {
+        const result = sizingService.setDefaultStrategy(req.body?.strategy, req.body?.params);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(sizingService.getConfig());
+    });
+
+    // Body: { strategy, params? }
+    router.put('/sizing/tokens/:address', (req, res) => {
+        if (!watchService.isValidTokenAddress(req.params.address)) {
+            return res.status(400).json({ error: 'Invalid Solana token address.' });
+        }
+        const result = sizingService.setTokenStrategy(req.params.address, req.body?.strategy, req.body?.params);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(sizingService.getStrategyFor(req.params.address));
+    });
+
+    // Back to the default strategy
+    router.delete('/sizing/tokens/:address', (req, res) => {
+        sizingService.setTokenStrategy(req.params.address, null);
+        res.status(204).end();
+    });
+
+    // Portfolio risk limits and the current exposure, open positions and realized P&L today they're checked against
+    router.get('/risk', async (req, res) => {
+        res.json(await tradingService.getRiskStatus());
+    });
+
+    // Body: any of maxExposurePercent, maxOpenPositions, maxTokenAllocationPercent, dailyLossLimitSOL; null turns a limit off
+    router.put('/risk', (req, res) => {
+        const result = riskService.setLimits(req.body);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ limits: result.limits });
+    });
+
+    // Paper or real trading, the connected wallet and whether real trading is enabled at all
+    router.get('/trading-mode', (req, res) => {
+        res.json(tradingModeService.getStatus());
+    });
+
+    // Body: { mode: 'paper'|'real' }
+    router.put('/trading-mode', (req, res) => {
+        const result = tradingModeService.setMode(req.body?.mode);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        onPortfolioChanged();
+        res.json(result.status);
+    });
+
+    // Body: { publicKey } - the wallet real swaps are built for; null when it disconnected
+    router.put('/wallet', async (req, res) => {
+        const result = await tradingModeService.setWalletPublicKey(req.body?.publicKey ?? null);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        onPortfolioChanged();
+        res.json(result.status);
+    });
+
+    // Real swaps waiting for the wallet's signature, with their unsigned transactions (base64)
+    router.get('/real-trades/pending', (req, res) => {
+        const requests = realExecutionService.getPendingRequests();
+        res.json({ count: requests.length, requests });
+    });
+
+    // Body: { signedTransaction } - base64; the confirmation outcome is broadcast over the WebSocket
+    router.post('/real-trades/:id/signed', async (req, res) => {
+        const result = await realExecutionService.submitSignedTransaction(req.params.id, req.body?.signedTransaction);
+        if (!result.success) {
+            return res.status(409).json({ error: result.error });
+        }
+        res.status(202).json({ signature: result.signature });
+    });
+
+    router.post('/real-trades/:id/reject', (req, res) => {
+        const result = realExecutionService.rejectSignature(req.params.id);
+        if (!result.success) {
+            return res.status(409).json({ error: result.error });
+        }
+        res.status(204).end();
+    });
+
+    // Body: any of the tradingService.setTradingRules fields (TP/SL, stopLossMode, trailingStopPercent,
+    // takeProfitTiers); null clears a field
+    router.put('/positions/:address/trading-rules', (req, res) => {
+        const result = tradingService.setTradingRules(req.params.address, req.body);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+        onPortfolioChanged();
+        res.json({ position: result.position });
+    });
+
+    // Archived token snapshots, oldest first. Query: token, from, to (ISO date or epoch ms), limit (default 1000, at most 10000)
+    router.get('/snapshots', (req, res) => {
+        const { filters, error } = parseSnapshotFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+        if (limit !== undefined && !(Number.isInteger(limit) && limit > 0 && limit <= snapshotArchiveService.MAX_QUERY_LIMIT)) {
+            return res.status(400).json({ error: `limit must be an integer from 1 to ${snapshotArchiveService.MAX_QUERY_LIMIT}.` });
+        }
+        const snapshots = snapshotArchiveService.querySnapshots({ ...filters, limit });
+        res.json({ count: snapshots.length, snapshots });
+    });
+
+    // Bulk download of the snapshot archive, streamed a day at a time. Query: format ('ndjson'|'csv', default ndjson),
+    // token, from, to. Both formats can be replayed with scripts/backtest.js --file.
+    router.get('/snapshots/export', (req, res) => {
+        const format = req.query.format || 'ndjson';
+        if (format !== 'ndjson' && format !== 'csv') {
+            return res.status(400).json({ error: "format must be 'ndjson' or 'csv'." });
+        }
+        const { filters, error } = parseSnapshotFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.attachment(`token-snapshots-${new Date().toISOString().slice(0, 10)}.${format}`);
+        res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+        if (format === 'csv') res.write(exportService.snapshotsToCSV([], true));
+        snapshotArchiveService.forEachSnapshotBatch(filters, batch => {
+            res.write(format === 'csv'
+                ? exportService.snapshotsToCSV(batch)
+                : batch.map(snapshot => JSON.stringify(snapshot) + '\n').join(''));
+        });
+        res.end();
+    });
+
+    // Archive settings (retention, size limit) and its daily segments
+    router.get('/snapshots/archive', (req, res) => {
+        res.json(snapshotArchiveService.getArchiveInfo());
+    });
+
+    // Market data cache usage and hit/miss/eviction counters since start-up
+    router.get('/cache/stats', (req, res) => {
+        res.json(cacheService.getStats());
+    });
+
+    // Circuit breaker state of each market data host: closed, open (calls served from the last good response) or half-open
+    router.get('/http/circuits', (req, res) => {
+        res.json(httpClient.getCircuitStates());
+    });
+
+    // Persisted log records, newest first. Query: level (lowest returned: debug|info|warn|error), component,
+    // token, tradeId, from, to (ISO date or epoch ms), limit (default 200, at most 1000)
+    router.get('/logs', (req, res) => {
+        const { level, component, token, tradeId } = req.query;
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'from/to must be ISO dates or epoch milliseconds.' });
+        }
+        if (level !== undefined && !loggerService.isLevel(level)) {
+            return res.status(400).json({ error: `level must be one of: ${Object.keys(loggerService.LEVELS).join(', ')}.` });
+        }
+        const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+        if (limit !== undefined && !(Number.isInteger(limit) && limit > 0 && limit <= loggerService.MAX_QUERY_LIMIT)) {
+            return res.status(400).json({ error: `limit must be an integer from 1 to ${loggerService.MAX_QUERY_LIMIT}.` });
+        }
+        const logs = loggerService.queryLogs({ level, component, tokenAddress: token, tradeId, from, to, limit });
+        res.json({ count: logs.length, logs });
+    });
+
+    return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// backend/scripts/backtest.js
+// Headless backtest runner. Replays recorded prices (data/price_history.ndjson) or a CSV/NDJSON file
+// through the trading rules and prints a report.
+//
+// Usage: node scripts/backtest.js [--file prices.csv] [--balance 100] [--sol-price 150]
+//                                 [--rules '{"takeProfitPercent":30,"stopLossMode":"trailing"}']
+//                                 [--cost-basis fifo|average] [--sizing percentOfEquity]
+//                                 [--sizing-params '{"percent":10}']
+//                                 [--risk '{"maxOpenPositions":3,"dailyLossLimitSOL":5}']
+//                                 [--fill '{"swapFeePercent":0.3,"maxSlippagePercent":10}'] [--json] [--verbose]
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const key = arg.slice(2);
+        if (key === 'json' || key === 'verbose') {
+            args[key] = true;
+        } else {
+            args[key] = argv[++i];
+        }
+    }
+    return args;
+}
+
+function formatNumber(value, digits = 4) {
+    return typeof value === 'number' ? value.toFixed(digits) : 'n/a';
+}
+
+function printReport(report) {
+    console.log(`Backtest ${report.from} -> ${report.to} (${report.samples} samples)`);
+    console.log(`  Initial balance:  ${formatNumber(report.initialSOLBalance)} SOL`);
+    console.log(`  Sizing strategy:  ${report.sizingStrategy}`);
+    console.log(`  Final balance:    ${formatNumber(report.finalSOLBalance)} SOL`);
+    console.log(`  Final equity:     ${formatNumber(report.finalEquitySOL)} SOL ($${formatNumber(report.finalEquityUSD, 2)})`);
+    console.log(`  Return:           ${formatNumber(report.returnPercent, 2)}%`);
+    console.log(`  Closed trades:    ${report.closedTrades}, win rate ${formatNumber(report.winRatePercent, 1)}%`);
+    console.log(`  Fees paid:        ${formatNumber(report.feesSOL)} SOL`);
+    console.log(`  Blocked buys:     ${report.blockedBuys} (risk limits)`);
+    console.log(`  Max drawdown:     ${formatNumber(report.maxDrawdownPercent, 2)}%`);
+    console.log('  Per token:');
+    for (const token of report.tokens) {
+        const exits = token.exitReasons.length > 0 ? token.exitReasons.join(', ') : (token.bought ? 'open' : 'not bought');
+        console.log(`    ${token.symbol || token.address}: P&L ${formatNumber(token.totalPnlSOL)} SOL ($${formatNumber(token.totalPnlUSD, 2)}) [${exits}]`);
+    }
+    console.log('  Trades:');
+    for (const trade of report.trades) {
+        console.log(`    ${trade.timestamp.toISOString()} ${trade.type.toUpperCase()} ${trade.tokenSymbol || trade.tokenId} ${formatNumber(trade.amountSOL)} SOL @ $${trade.priceUSD} ${trade.reasonForTrade || trade.status}`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    // The services log every decision; keep the output to the report (and errors) unless asked otherwise.
+    // Replayed trades don't belong in the server's log files either.
+    require('../services/loggerService').configure({ file: false, consoleLevel: args.verbose ? null : 'error' });
+    // Required after configuring the logger so service start-up logs are suppressed too
+    const backtestService = require('../services/backtestService');
+
+    let rules;
+    if (args.rules) {
+        try {
+            rules = JSON.parse(args.rules);
+        } catch (error) {
+            console.error(`Backtest: --rules is not valid JSON (${error.message})`);
+            process.exit(1);
+        }
+    }
+
+    let sizingParams;
+    if (args['sizing-params']) {
+        try {
+            sizingParams = JSON.parse(args['sizing-params']);
+        } catch (error) {
+            console.error(`Backtest: --sizing-params is not valid JSON (${error.message})`);
+            process.exit(1);
+        }
+    }
+
+    let riskLimits;
+    if (args.risk) {
+        try {
+            riskLimits = JSON.parse(args.risk);
+        } catch (error) {
+            console.error(`Backtest: --risk is not valid JSON (${error.message})`);
+            process.exit(1);
+        }
+    }
+
+    let fillModel;
+    if (args.fill) {
+        try {
+            fillModel = JSON.parse(args.fill);
+        } catch (error) {
+            console.error(`Backtest: --fill is not valid JSON (${error.message})`);
+            process.exit(1);
+        }
+    }
+
+    let loaded;
+    try {
+        loaded = args.file ? backtestService.loadSamplesFromFile(args.file) : backtestService.loadRecordedSamples();
+    } catch (error) {
+        console.error(`Backtest: Could not read ${args.file}: ${error.message}`);
+        process.exit(1);
+    }
+    if (loaded.skipped > 0) {
+        console.warn(`Backtest: Skipped ${loaded.skipped} unusable row(s).`);
+    }
+
+    const result = await backtestService.runBacktest(loaded.samples, {
+        initialSOLBalance: args.balance !== undefined ? parseFloat(args.balance) : undefined,
+        solPriceUSD: args['sol-price'] !== undefined ? parseFloat(args['sol-price']) : undefined,
+        tradingRules: rules,
+        costBasisMethod: args['cost-basis'],
+        sizing: (args.sizing || sizingParams) ? { strategy: args.sizing || 'riskScore', params: sizingParams } : undefined,
+        riskLimits,
+        fillModel,
+    });
+
+    if (!result.success) {
+        console.error(`Backtest: ${result.error}`);
+        process.exit(1);
+    }
+    if (args.json) {
+        console.log(JSON.stringify(result.report, null, 2));
+    } else {
+        printReport(result.report);
+    }
+}
+
+main();
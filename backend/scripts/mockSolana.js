@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+// backend/scripts/mockSolana.js
+// Mock Solana RPC endpoint and Jupiter swap API in one HTTP server, for exercising real trading mode end to
+// end without a validator or funds. Swaps are priced at a fixed rate; the "transactions" it builds are
+// base64 JSON rather than real Solana transactions, so submit them back unchanged through
+// POST /api/real-trades/:id/signed instead of having a wallet sign them. Submitted swaps move the wallet's
+// mock balances and confirm after a short delay. (For wallet signing, run a local validator instead.)
+//
+// Usage: node scripts/mockSolana.js [--port 8899] [--tokens-per-sol 1000000] [--balance 10] [--fail]
+//   then start the backend with
+//   SOLANA_RPC_URL=http://localhost:8899 JUPITER_API_URL=http://localhost:8899 REAL_TRADING_ENABLED=true
+// --fail makes every submitted transaction fail on chain.
+// Tests start it in-process with createMockSolana.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const LAMPORTS_PER_SOL = 1e9;
+const TOKEN_DECIMALS = 6;
+const BASE_FEE_LAMPORTS = 5000;
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const SOL_MINT_ADDRESS = 'So11111111111111111111111111111111111111112';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        args[key] = key === 'fail' ? true : argv[++i];
+    }
+    return args;
+}
+
+/**
+ * Creates the mock server (not listening yet).
+ * Options: tokensPerSOL, balanceSOL (every wallet's starting balance), confirmAfterMs, quiet, and fail, which
+ * makes submitted transactions fail on chain; it's read on every submission, so tests can flip it.
+ */
+function createMockSolana(options = {}) {
+    const tokensPerSOL = options.tokensPerSOL || 1000000;
+    const initialBalanceLamports = Math.round((options.balanceSOL ?? 10) * LAMPORTS_PER_SOL);
+    const confirmAfterMs = options.confirmAfterMs ?? 1000;
+    const log = options.quiet ? () => {} : console.log;
+
+    const solBalances = new Map(); // owner -> lamports
+    const tokenBalances = new Map(); // `${owner}:${mint}` -> raw token units
+    const transactions = new Map(); // signature -> { submittedAt, fee, owner, mint, pre, post, err }
+    let slot = 1000;
+
+    function randomSignature() {
+        return Array.from(crypto.randomBytes(64), byte => BASE58_ALPHABET[byte % BASE58_ALPHABET.length]).join('');
+    }
+
+    function getSOL(owner) {
+        if (!solBalances.has(owner)) solBalances.set(owner, initialBalanceLamports);
+        return solBalances.get(owner);
+    }
+
+    function getTokens(owner, mint) {
+        return tokenBalances.get(`${owner}:${mint}`) || 0;
+    }
+
+    function quote({ inputMint, outputMint, amount }) {
+        const inAmount = Number(amount);
+        if (!(inAmount > 0)) return { error: 'amount must be positive' };
+        const isBuy = inputMint === SOL_MINT_ADDRESS;
+        const outAmount = isBuy
+            ? Math.floor((inAmount / LAMPORTS_PER_SOL) * tokensPerSOL * 10 ** TOKEN_DECIMALS)
+            : Math.floor((inAmount / 10 ** TOKEN_DECIMALS / tokensPerSOL) * LAMPORTS_PER_SOL);
+        return { inputMint, outputMint, inAmount: String(inAmount), outAmount: String(outAmount), priceImpactPct: '0.001' };
+    }
+
+    // Applies a swap "transaction" built by /swap and returns its signature
+    function sendTransaction(encoded) {
+        let swap;
+        try {
+            swap = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+        } catch (error) {
+            throw { code: -32602, message: 'failed to deserialize transaction' };
+        }
+        const { quoteResponse: q, userPublicKey: owner, prioritizationFeeLamports = 0 } = swap;
+        const isBuy = q.inputMint === SOL_MINT_ADDRESS;
+        const mint = isBuy ? q.outputMint : q.inputMint;
+        const fee = BASE_FEE_LAMPORTS + prioritizationFeeLamports;
+        const pre = { sol: getSOL(owner), tokens: getTokens(owner, mint) };
+        const post = { ...pre, sol: pre.sol - fee };
+        const err = options.fail ? { InstructionError: [2, { Custom: 6001 }] } : null;
+        if (!err) {
+            post.sol += isBuy ? -Number(q.inAmount) : Number(q.outAmount);
+            post.tokens += isBuy ? Number(q.outAmount) : -Number(q.inAmount);
+            if (post.sol < 0 || post.tokens < 0) throw { code: -32002, message: 'Transaction simulation failed: insufficient funds' };
+            tokenBalances.set(`${owner}:${mint}`, post.tokens);
+        }
+        solBalances.set(owner, post.sol);
+        const signature = randomSignature();
+        transactions.set(signature, { submittedAt: Date.now(), fee, owner, mint, pre, post, err });
+        log(`MockSolana: ${isBuy ? 'BUY' : 'SELL'} ${mint} for ${owner} -> ${signature}${err ? ' (will fail)' : ''}`);
+        return signature;
+    }
+
+    function tokenBalance(owner, mint, amount) {
+        return { accountIndex: 1, owner, mint, uiTokenAmount: { amount: String(amount), decimals: TOKEN_DECIMALS, uiAmountString: String(amount / 10 ** TOKEN_DECIMALS) } };
+    }
+
+    const rpcMethods = {
+        sendTransaction: ([encoded]) => sendTransaction(encoded),
+        getSignatureStatuses: ([signatures]) => ({
+            context: { slot },
+            value: signatures.map(signature => {
+                const tx = transactions.get(signature);
+                if (!tx) return null;
+                const confirmed = Date.now() - tx.submittedAt >= confirmAfterMs;
+                return { slot, confirmations: null, err: tx.err, confirmationStatus: confirmed ? 'confirmed' : 'processed' };
+            }),
+        }),
+        getTransaction: ([signature]) => {
+            const tx = transactions.get(signature);
+            if (!tx) return null;
+            return {
+                slot,
+                meta: {
+                    err: tx.err,
+                    fee: tx.fee,
+                    preBalances: [tx.pre.sol],
+                    postBalances: [tx.post.sol],
+                    preTokenBalances: [tokenBalance(tx.owner, tx.mint, tx.pre.tokens)],
+                    postTokenBalances: [tokenBalance(tx.owner, tx.mint, tx.post.tokens)],
+                },
+                transaction: { message: { accountKeys: [{ pubkey: tx.owner, signer: true, writable: true }] } },
+            };
+        },
+        getBalance: ([owner]) => ({ context: { slot }, value: getSOL(owner) }),
+        getTokenSupply: () => ({ context: { slot }, value: { amount: '1000000000000000', decimals: TOKEN_DECIMALS, uiAmountString: '1000000000' } }),
+    };
+
+    function sendJSON(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            slot += 1;
+            if (req.method === 'GET' && url.pathname === '/quote') {
+                return sendJSON(res, 200, quote(Object.fromEntries(url.searchParams)));
+            }
+            let payload;
+            try {
+                payload = JSON.parse(body || '{}');
+            } catch (error) {
+                return sendJSON(res, 400, { error: 'Invalid JSON body' });
+            }
+            if (req.method === 'POST' && url.pathname === '/swap') {
+                const swapTransaction = Buffer.from(JSON.stringify(payload)).toString('base64');
+                return sendJSON(res, 200, { swapTransaction, lastValidBlockHeight: slot + 150 });
+            }
+            if (req.method === 'POST' && url.pathname === '/') {
+                const method = rpcMethods[payload.method];
+                if (!method) return sendJSON(res, 200, { jsonrpc: '2.0', id: payload.id, error: { code: -32601, message: 'Method not found' } });
+                try {
+                    return sendJSON(res, 200, { jsonrpc: '2.0', id: payload.id, result: method(payload.params || []) });
+                } catch (error) {
+                    return sendJSON(res, 200, { jsonrpc: '2.0', id: payload.id, error: { code: error.code || -32603, message: error.message } });
+                }
+            }
+            sendJSON(res, 404, { error: 'Not found' });
+        });
+    });
+
+    return { server, options, tokensPerSOL, initialBalanceLamports };
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const port = parseInt(args.port, 10) || 8899;
+    const mock = createMockSolana({ tokensPerSOL: parseFloat(args['tokens-per-sol']), balanceSOL: parseFloat(args.balance) || 10, fail: args.fail });
+    mock.server.listen(port, () => {
+        console.log(`MockSolana: RPC and swap API on http://localhost:${port} (${mock.tokensPerSOL} tokens/SOL, wallets start with ${mock.initialBalanceLamports / LAMPORTS_PER_SOL} SOL)`);
+    });
+}
+
+module.exports = { createMockSolana, SOL_MINT_ADDRESS, TOKEN_DECIMALS };
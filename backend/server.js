@@ -1,28 +1,34 @@
 const express = require('express');
 const http =require('http');
-const { WebSocketServer } = require('ws');
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
 
-const apiClient = require('./services/apiClient');
-const portfolioService = require('./services/portfolioService');
 const tradingService = require('./services/tradingService');
-const cacheService = require('./services/cacheService'); // For cache visibility if needed, or managing watched tokens
+const watchService = require('./services/watchService');
+const tradeConfirmationService = require('./services/tradeConfirmationService');
+const tradeQueueService = require('./services/tradeQueueService');
+const clientSyncService = require('./services/clientSyncService');
+const manualTradeService = require('./services/manualTradeService');
+const sizingService = require('./services/sizingService');
+const tradingModeService = require('./services/tradingModeService');
+const realExecutionService = require('./services/realExecutionService');
+const simulatedMarket = require('./services/simulatedMarket');
+const { createApiRouter } = require('./routes/api');
+const log = require('./services/loggerService').createLogger('Server');
 
 const app = express();
 const port = process.env.PORT || 5000;
+app.use(express.json());
 
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
 
-// Store watched token addresses (could be enhanced to store per-client later)
-// For now, a global list of tokens the backend actively monitors.
-const globallyWatchedTokens = new Set(); 
 // Interval for fetching updates for watched tokens (e.g., every 30 seconds)
 const WATCHED_TOKEN_REFRESH_INTERVAL_MS = 30 * 1000;
 
 
 // Function to broadcast to all clients
 function broadcast(data) {
-  // console.log("Broadcasting:", data); // Can be noisy, enable if debugging specific messages
   wss.clients.forEach((client) => {
     if (client.readyState === WebSocket.OPEN) {
       client.send(JSON.stringify(data));
@@ -30,130 +36,320 @@ function broadcast(data) {
   });
 }
 
-// Function to broadcast portfolio updates
+// Token and portfolio updates go out as per-client deltas (see clientSyncService); a client that has not
+// had its snapshot yet gets nothing until it does. Token deltas only go to the token's subscribers.
+function broadcastDelta(getMessage, tokenAddress = null) {
+  wss.clients.forEach((client) => {
+    if (client.readyState !== WebSocket.OPEN || !client.sync) return;
+    if (tokenAddress && !watchService.isSubscribed(tokenAddress, client.clientId)) return;
+    const message = getMessage(client.sync);
+    if (message) client.send(JSON.stringify(message));
+  });
+}
+
+// Function to broadcast portfolio updates (of the active trading mode's portfolio)
 function broadcastPortfolioUpdate() {
-    const portfolioState = portfolioService.getPortfolio();
-    broadcast({ type: 'PORTFOLIO_UPDATE', payload: portfolioState });
+    const portfolioState = tradingModeService.getPortfolio().getPortfolio();
+    broadcastDelta(sync => sync.portfolioDelta(portfolioState));
 }
 
+// Latest payload per watched token, so snapshots reflect everything already broadcast as a delta
+const latestTokenPayloads = new Map();
 
-// Function to fetch data for a single token, check rules, and broadcast
-async function processSingleToken(tokenAddress) {
-    try {
-        const tokenData = await apiClient.fetchTokenData(tokenAddress);
-        if (tokenData && tokenData.symbol !== 'Error') { // Ensure data is valid
-            broadcast({ type: 'TOKEN_UPDATE', payload: tokenData });
-
-            // Check automated trading rules if the token is in our portfolio
-            const position = portfolioService.getPosition(tokenAddress);
-            if (position && position.amountHeld > 0) {
-                await tradingService.checkAutomatedTradingRules(tokenAddress, tokenData);
-                // checkAutomatedTradingRules might trigger a sell, which logs a trade and updates portfolio.
-                // Broadcast portfolio updates if a trade happened.
-                // For simplicity, we can broadcast portfolio after every check if a position exists.
-                // More optimized: only broadcast if portfolioService indicates a change.
-                broadcastPortfolioUpdate(); 
-            }
-            return tokenData; // Return data for potential initial buy decision
-        } else {
-            console.warn(`Server: Failed to fetch valid data for ${tokenAddress}, skipping further processing.`);
-            // Optionally, send an error to clients or remove from watched list if consistently failing
-            // broadcast({ type: 'TOKEN_ERROR', payload: { address: tokenAddress, message: "Failed to fetch data" } });
-        }
-    } catch (error) {
-        console.error(`Server: Error processing token ${tokenAddress}:`, error);
-    }
-    return null;
+/**
+ * Sends a client the full state and makes it the baseline for its deltas.
+ * @param {WebSocket} ws
+ */
+async function sendSnapshot(ws) {
+  const fetchedTokens = await Promise.all(watchService.getSubscriptions(ws.clientId)
+    .filter(address => !latestTokenPayloads.has(address))
+    .map(address => watchService.getTokenSnapshot(address)));
+  // Built synchronously after the awaits, so no update can slip in between the snapshot and the next delta
+  const tokens = watchService.getSubscriptions(ws.clientId)
+    .map(address => latestTokenPayloads.get(address) || fetchedTokens.find(token => token?.address === address))
+    .filter(Boolean);
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(ws.sync.snapshot(tokens, tradingModeService.getPortfolio().getPortfolio(), watchService.getWatchedAddresses())));
+  }
 }
 
+function sendToClient(ws, message) {
+  if (message && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+// Client messages may name one token ({ address }) or several ({ addresses: [...] })
+function getPayloadAddresses(payload) {
+  if (Array.isArray(payload?.addresses)) return payload.addresses;
+  return payload?.address ? [payload.address] : [];
+}
+
+// The watch service does the token processing for both transports; we only push its results to clients.
+watchService.events.on('tokenUpdate', (tokenPayload) => {
+    latestTokenPayloads.set(tokenPayload.address, tokenPayload);
+    broadcastDelta(sync => sync.tokenDelta(tokenPayload), tokenPayload.address);
+});
+watchService.events.on('tokenUnwatched', (address) => latestTokenPayloads.delete(address));
+watchService.events.on('portfolioChanged', broadcastPortfolioUpdate);
+
+// Confirm mode: proposed trades go to every client, and so does their outcome
+tradeConfirmationService.expireStalePendingTrades();
+tradeConfirmationService.events.on('tradeProposed', (trade) => broadcast({ type: 'TRADE_PROPOSAL', payload: trade }));
+tradeConfirmationService.events.on('tradeResolved', ({ trade, status, result }) => {
+    broadcast({ type: 'TRADE_PROPOSAL_RESOLVED', payload: { trade, status, executedTrade: result?.trade || null } });
+    broadcastPortfolioUpdate();
+});
+
+// Trading mode: switching swaps the portfolio clients see, so everyone gets a fresh snapshot as the new baseline
+tradingModeService.events.on('modeChanged', (status) => {
+    broadcast({ type: 'TRADING_MODE', payload: status });
+    wss.clients.forEach((client) => {
+      if (client.readyState === WebSocket.OPEN && client.sync) sendSnapshot(client);
+    });
+});
+
+// Real mode: swaps awaiting the wallet's signature go to every client (the one with the wallet signs), and so
+// does their outcome. Tracking of transactions submitted before a restart resumes here.
+realExecutionService.events.on('signatureRequested', (request) => broadcast({ type: 'SIGNATURE_REQUEST', payload: request }));
+realExecutionService.events.on('signatureResolved', (resolution) => {
+    broadcast({ type: 'SIGNATURE_REQUEST_RESOLVED', payload: resolution });
+    broadcastPortfolioUpdate();
+});
+realExecutionService.start();
+
+// Trade jobs: run whatever was queued before a restart; any executed order changes the portfolio
+tradeQueueService.events.on('jobFinished', (job) => {
+    if (job.result?.trade && !job.result.pending) broadcastPortfolioUpdate();
+});
+tradeQueueService.start();
+
+app.use('/api', createApiRouter({ onPortfolioChanged: broadcastPortfolioUpdate }));
+
 
 // Periodically fetch updates for all globally watched tokens
-setInterval(async () => {
-    if (globallyWatchedTokens.size === 0) return;
-    console.log(`Server: Periodic refresh for ${globallyWatchedTokens.size} watched token(s)...`);
-    // Fetch all SOL price first to ensure it's fresh for any subsequent processing
-    await tradingService.getSolPriceUSD(); 
-
-    for (const address of globallyWatchedTokens) {
-        await processSingleToken(address);
-    }
-    // After processing all tokens, broadcast the latest portfolio state once.
-    // broadcastPortfolioUpdate(); // This is now done within processSingleToken if a position exists
-}, WATCHED_TOKEN_REFRESH_INTERVAL_MS);
+setInterval(watchService.refreshWatchedTokens, WATCHED_TOKEN_REFRESH_INTERVAL_MS);
+// Periodically refresh SOL price, slightly before its cache TTL
+setInterval(tradingService.refreshSolPriceUSD, tradingService.SOL_PRICE_CACHE_TTL_MS - 30000);
 
 
 wss.on('connection', (ws) => {
-  console.log('Client connected to WebSocket');
+  log.info('Client connected to WebSocket');
   ws.send(JSON.stringify({ type: 'WELCOME', payload: 'Welcome to the Solana Trader WebSocket!' }));
-  
-  // Send current portfolio state and SOL price on new connection
-  broadcastPortfolioUpdate();
+  ws.clientId = crypto.randomUUID(); // Identifies the client's token subscriptions
+  ws.sync = clientSyncService.createClientSync();
+
+  // Send the SOL price on new connection; portfolio and watched tokens come with the snapshot below
   tradingService.getSolPriceUSD().then(price => {
       if (price) ws.send(JSON.stringify({ type: 'SOL_PRICE_UPDATE', payload: { price }}));
   });
 
-  // Send initial data for already watched tokens
-  // (Could be a lot of data if many tokens are watched; consider pagination or client request for this)
-  // For now, send updates for all currently watched tokens.
-  if (globallyWatchedTokens.size > 0) {
-    ws.send(JSON.stringify({ type: 'NOTIFICATION', payload: { message: `Backend is watching ${globallyWatchedTokens.size} tokens. Sending initial data...`}}));
-    for (const address of globallyWatchedTokens) {
-        const cachedToken = cacheService.get(`token_${address}`); // Check cache first
-        if (cachedToken) {
-            ws.send(JSON.stringify({ type: 'TOKEN_UPDATE', payload: cachedToken }));
-        } else {
-            processSingleToken(address).then(tokenData => { // Fetch if not in cache
-                if (tokenData) ws.send(JSON.stringify({ type: 'TOKEN_UPDATE', payload: tokenData }));
-            });
-        }
-    }
+  // Trading mode, proposals still awaiting confirmation and real swaps still awaiting a signature
+  ws.send(JSON.stringify({ type: 'TRADING_MODE', payload: tradingModeService.getStatus() }));
+  tradeConfirmationService.getPendingTrades().forEach(trade => ws.send(JSON.stringify({ type: 'TRADE_PROPOSAL', payload: trade })));
+  realExecutionService.getPendingRequests().forEach(request => ws.send(JSON.stringify({ type: 'SIGNATURE_REQUEST', payload: request })));
+
+  // Full portfolio state and the list of watched tokens; the client then SUBSCRIBEs to the tokens it wants
+  const watchedAddresses = watchService.getWatchedAddresses();
+  if (watchedAddresses.length > 0) {
+    ws.send(JSON.stringify({ type: 'NOTIFICATION', payload: { message: `Backend is watching ${watchedAddresses.length} tokens. Subscribe to receive their updates.`}}));
   }
+  sendSnapshot(ws);
 
 
   ws.on('message', async (message) => {
-    console.log('Received from client: %s', message);
+    log.debug(`Received from client: ${message}`, { clientId: ws.clientId });
     let parsedMessage;
     try {
         parsedMessage = JSON.parse(message);
     } catch (error) {
-        console.error("Failed to parse client message:", error);
+        log.error('Failed to parse client message', { clientId: ws.clientId, error });
         ws.send(JSON.stringify({ type: 'ERROR', payload: 'Invalid JSON message received.' }));
         return;
     }
 
     switch (parsedMessage.type) {
-        case 'ADD_TOKEN_WATCH':
-            const { address } = parsedMessage.payload;
-            if (!address) {
-                ws.send(JSON.stringify({ type: 'ERROR', payload: 'Token address missing in ADD_TOKEN_WATCH' }));
+        case 'ADD_TOKEN_WATCH': {
+            const { address } = parsedMessage.payload || {};
+            if (!watchService.isValidTokenAddress(address)) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: 'Token address missing or invalid in ADD_TOKEN_WATCH' }));
                 return;
             }
 
-            console.log(`Server: Client requests to watch token: ${address}`);
-            globallyWatchedTokens.add(address);
+            log.info(`Client requests to watch token: ${address}`, { tokenAddress: address, clientId: ws.clientId });
             ws.send(JSON.stringify({ type: 'TOKEN_ADDED_CONFIRMATION', payload: { address, message: "Token added to watch list. Fetching data..." } }));
+            // Subscribes this client, fetches initial data and attempts the initial buy; updates reach clients via watchService events
+            await watchService.addTokenWatch(address, { subscriberId: ws.clientId });
+            sendToClient(ws, { type: 'SUBSCRIPTIONS_UPDATED', payload: { addresses: watchService.getSubscriptions(ws.clientId) } });
+            break;
+        }
 
-            // Fetch initial data for the newly added token and attempt initial buy
-            const initialTokenData = await processSingleToken(address); 
-            if (initialTokenData && initialTokenData.symbol !== 'Error') {
-                // Attempt initial buy based on this fresh data
-                // The `availableSolForInvestment` for `initiateBuyOrder` is the current portfolio balance.
-                // `calculateInvestmentAllocation` inside `initiateBuyOrder` will determine the actual SOL to use.
-                const buyResult = await tradingService.initiateBuyOrder(address, initialTokenData);
-                if (buyResult && buyResult.trade) {
-                    console.log(`Server: Initial buy order processed for ${address}. Trade ID: ${buyResult.trade.timestamp}`); // Assuming timestamp as a simple ID
-                    // Broadcast updated portfolio after buy
-                    broadcastPortfolioUpdate();
-                } else {
-                    console.log(`Server: Initial buy for ${address} skipped or failed.`);
+        case 'SUBSCRIBE': {
+            const addresses = getPayloadAddresses(parsedMessage.payload);
+            if (addresses.length === 0) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: 'Token address(es) missing in SUBSCRIBE' }));
+                return;
+            }
+            for (const address of addresses) {
+                const result = await watchService.subscribe(address, ws.clientId);
+                if (!result.success) {
+                    sendToClient(ws, { type: 'ERROR', payload: result.error });
+                    continue;
                 }
-            } else {
-                 console.log(`Server: Not attempting initial buy for ${address} due to invalid/missing initial data.`);
+                // Full data for the token if the client hasn't had it yet (a no-op if the fetch already sent it)
+                const tokenPayload = latestTokenPayloads.get(address) || result.tokenData;
+                if (tokenPayload) sendToClient(ws, ws.sync.tokenDelta(tokenPayload));
             }
+            sendToClient(ws, { type: 'SUBSCRIPTIONS_UPDATED', payload: { addresses: watchService.getSubscriptions(ws.clientId) } });
             break;
+        }
+
+        case 'UNSUBSCRIBE': {
+            const addresses = getPayloadAddresses(parsedMessage.payload);
+            if (addresses.length === 0) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: 'Token address(es) missing in UNSUBSCRIBE' }));
+                return;
+            }
+            for (const address of addresses) {
+                const result = watchService.unsubscribe(address, ws.clientId);
+                if (!result.success) {
+                    sendToClient(ws, { type: 'ERROR', payload: result.error });
+                    continue;
+                }
+                sendToClient(ws, ws.sync.tokenRemoved(address));
+            }
+            sendToClient(ws, { type: 'SUBSCRIPTIONS_UPDATED', payload: { addresses: watchService.getSubscriptions(ws.clientId) } });
+            break;
+        }
+
+        // Payload: { address, positionAction: 'keep' | 'liquidate' }. Ends this client's subscription; the backend
+        // stops watching the token once no other client subscribes to it and no position is open.
+        case 'REMOVE_TOKEN_WATCH': {
+            const { address, positionAction = 'keep' } = parsedMessage.payload || {};
+            if (!address) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: 'Token address missing in REMOVE_TOKEN_WATCH' }));
+                return;
+            }
+            const wasSubscribed = watchService.isSubscribed(address, ws.clientId);
+            const result = await watchService.removeTokenWatch(address, { subscriberId: ws.clientId, positionAction });
+            if (!result.success) {
+                sendToClient(ws, { type: 'ERROR', payload: result.error });
+                return;
+            }
+            if (wasSubscribed) sendToClient(ws, ws.sync.tokenRemoved(address));
+            sendToClient(ws, { type: 'TOKEN_WATCH_REMOVED', payload: { address, unwatched: result.unwatched, trades: result.liquidations.map(({ trade }) => trade) } });
+            break;
+        }
         
+        case 'SET_TRADING_RULES': {
+            const { address: rulesAddress, ...rules } = parsedMessage.payload || {};
+            if (!rulesAddress) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: 'Token address missing in SET_TRADING_RULES' }));
+                return;
+            }
+            const rulesResult = tradingService.setTradingRules(rulesAddress, rules);
+            if (!rulesResult.success) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: rulesResult.error }));
+                return;
+            }
+            ws.send(JSON.stringify({ type: 'TRADING_RULES_UPDATED', payload: { address: rulesAddress, position: rulesResult.position } }));
+            broadcastPortfolioUpdate();
+            break;
+        }
+
+        // MANUAL_BUY payload: { address, amountSOL | percentOfBalance, idempotencyKey?, maxSlippagePercent? }
+        // MANUAL_SELL payload: { address, percentage, idempotencyKey?, maxSlippagePercent? }
+        // The resulting portfolio change reaches all clients through the trade queue's jobFinished event
+        case 'MANUAL_BUY':
+        case 'MANUAL_SELL': {
+            const { address, amountSOL, percentOfBalance, percentage, idempotencyKey, maxSlippagePercent } = parsedMessage.payload || {};
+            const side = parsedMessage.type === 'MANUAL_BUY' ? 'buy' : 'sell';
+            const result = side === 'buy'
+                ? await manualTradeService.manualBuy(address, { amountSOL, percentOfBalance }, { idempotencyKey, maxSlippagePercent })
+                : await manualTradeService.manualSell(address, percentage, { idempotencyKey, maxSlippagePercent });
+            sendToClient(ws, { type: 'MANUAL_TRADE_RESULT', payload: { address, side, idempotencyKey: idempotencyKey || null, ...result } });
+            break;
+        }
+
+        // Payload: { strategy, params?, address? } - without an address it sets the default; strategy null
+        // with an address clears the token's override
+        case 'SET_SIZING_STRATEGY': {
+            const { address, strategy, params } = parsedMessage.payload || {};
+            if (address !== undefined && !watchService.isValidTokenAddress(address)) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: 'Invalid token address in SET_SIZING_STRATEGY' }));
+                return;
+            }
+            const sizingResult = address
+                ? sizingService.setTokenStrategy(address, strategy ?? null, params)
+                : sizingService.setDefaultStrategy(strategy, params);
+            if (!sizingResult.success) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: sizingResult.error }));
+                return;
+            }
+            ws.send(JSON.stringify({ type: 'SIZING_STRATEGY_UPDATED', payload: { address: address || null, ...(address ? sizingService.getStrategyFor(address) : sizingService.getConfig().default) } }));
+            break;
+        }
+
+        case 'CONFIRM_TRADE':
+        case 'REJECT_TRADE': {
+            const { tradeId } = parsedMessage.payload || {};
+            if (!tradeId) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: `Trade id missing in ${parsedMessage.type}` }));
+                return;
+            }
+            // The outcome reaches all clients through the tradeResolved event
+            const decision = parsedMessage.type === 'CONFIRM_TRADE'
+                ? await tradeConfirmationService.confirmTrade(tradeId)
+                : tradeConfirmationService.rejectTrade(tradeId);
+            if (!decision.success) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: decision.error }));
+            }
+            break;
+        }
+
+        // Payload: { publicKey } - the wallet connected in the client, or null when it disconnected.
+        // The resulting mode/wallet status reaches all clients through the modeChanged event.
+        case 'SET_WALLET': {
+            const walletResult = await tradingModeService.setWalletPublicKey(parsedMessage.payload?.publicKey ?? null);
+            if (!walletResult.success) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: walletResult.error }));
+                sendToClient(ws, { type: 'TRADING_MODE', payload: tradingModeService.getStatus() });
+            }
+            break;
+        }
+
+        // Payload: { mode: 'paper' | 'real' }
+        case 'SET_TRADING_MODE': {
+            const modeResult = tradingModeService.setMode(parsedMessage.payload?.mode);
+            if (!modeResult.success) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: modeResult.error }));
+                sendToClient(ws, { type: 'TRADING_MODE', payload: tradingModeService.getStatus() });
+            }
+            break;
+        }
+
+        // SUBMIT_SIGNED_TRANSACTION payload: { tradeId, signedTransaction (base64) }
+        // REJECT_SIGNATURE payload: { tradeId }. Outcomes reach all clients through the signatureResolved event.
+        case 'SUBMIT_SIGNED_TRANSACTION':
+        case 'REJECT_SIGNATURE': {
+            const { tradeId, signedTransaction } = parsedMessage.payload || {};
+            if (!tradeId) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: `Trade id missing in ${parsedMessage.type}` }));
+                return;
+            }
+            const signatureResult = parsedMessage.type === 'SUBMIT_SIGNED_TRANSACTION'
+                ? await realExecutionService.submitSignedTransaction(tradeId, signedTransaction)
+                : realExecutionService.rejectSignature(tradeId);
+            if (!signatureResult.success) {
+                ws.send(JSON.stringify({ type: 'ERROR', payload: signatureResult.error }));
+            }
+            break;
+        }
+
+        case 'REQUEST_SNAPSHOT': // Client connected without one or detected a gap in the delta sequence
+             await sendSnapshot(ws);
+             break;
+
         case 'REQUEST_PORTFOLIO': // Example: Client explicitly requests portfolio
-             ws.send(JSON.stringify({ type: 'PORTFOLIO_UPDATE', payload: portfolioService.getPortfolio() }));
+             ws.send(JSON.stringify({ type: 'PORTFOLIO_UPDATE', payload: tradingModeService.getPortfolio().getPortfolio() }));
              break;
 
         case 'REQUEST_SOL_PRICE': // Example: Client explicitly requests SOL price
@@ -162,38 +358,45 @@ wss.on('connection', (ws) => {
              break;
 
         default:
-            console.log(`Server: Received unhandled message type: ${parsedMessage.type}`);
+            log.info(`Received unhandled message type: ${parsedMessage.type}`);
             ws.send(JSON.stringify({ type: 'ECHO', payload: parsedMessage }));
     }
   });
 
   ws.on('close', () => {
-    console.log('Client disconnected');
-    // Optionally, handle per-client watch lists if implemented:
-    // removeClientSubscriptions(ws); 
+    log.info('Client disconnected', { clientId: ws.clientId });
+    watchService.unsubscribeAll(ws.clientId); // Tokens nothing else needs stop being watched
   });
 
   ws.on('error', (error) => {
-    console.error('WebSocket error with client:', error);
+    log.error('WebSocket error with client', { clientId: ws.clientId, error });
   });
 });
 
 server.listen(port, () => {
-  console.log(`HTTP Server listening on port ${port}`);
-  console.log(`WebSocket server attached and listening on the same port.`);
+  log.info(`HTTP Server listening on port ${port}`);
+  log.info(`WebSocket server attached and listening on the same port.`);
   // Initial fetch of SOL price when server starts
-  tradingService.refreshSolPriceUSD().then(price => {
-      if(price) console.log(`Initial SOL/USD price fetched: $${price}`);
-      else console.error("Failed to fetch initial SOL/USD price on server startup.");
+  tradingService.refreshSolPriceUSD().then(async price => {
+      if(price) log.info(`Initial SOL/USD price fetched: $${price}`);
+      else log.error("Failed to fetch initial SOL/USD price on server startup.");
+
+      // Demo mode: preload the mock tokens (initial buys included) so there is something to watch right away
+      if (simulatedMarket.DEMO_MODE) {
+          log.info('DEMO MODE: market data is simulated, no network access needed.');
+          for (const address of simulatedMarket.getDemoTokenAddresses()) {
+              if (!watchService.isWatched(address)) await watchService.addTokenWatch(address);
+          }
+      }
   });
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-    console.log('SIGINT signal received: closing HTTP server');
+    log.info('SIGINT signal received: closing HTTP server');
     wss.clients.forEach(client => client.terminate());
     server.close(() => {
-        console.log('HTTP server closed');
+        log.info('HTTP server closed');
         process.exit(0);
     });
 });
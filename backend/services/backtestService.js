@@ -0,0 +1,301 @@
+// backend/services/backtestService.js
+const fs = require('fs');
+const path = require('path');
+const { createPortfolio } = require('./portfolio');
+const { createTradingEngine } = require('./tradingEngine');
+const { createSizingPolicy } = require('./sizingService');
+const sizingStrategies = require('./sizing');
+const { createRiskPolicy, validateLimits } = require('./riskService');
+const fillModelService = require('./fillModelService');
+const storage = require('./storageService');
+
+// Replays historical price series through the live allocation and exit logic against a virtual,
+// non-persisted portfolio. Nothing here touches the main portfolio or the network.
+const DEFAULT_INITIAL_SOL_BALANCE = 100;
+const DEFAULT_SOL_PRICE_USD = 150; // Used when samples carry no SOL/USD rate
+const RECORDED_HISTORY_FILE = 'price_history.ndjson'; // Written by priceHistoryService
+
+/**
+ * Normalizes one input row into a sample, or null if it can't be used.
+ * Accepts the priceHistoryService record shape as well as CSV rows (strings).
+ * @returns {{timestamp: number, address: string, symbol: string|null, priceUSD: number,
+ *            liquidityUSD: number|null, marketCapUSD: number|null, solPriceUSD: number|null}|null}
+ */
+function normalizeSample(row) {
+    if (!row || !row.address) return null;
+    const timestamp = /^\d+$/.test(String(row.timestamp)) ? Number(row.timestamp) : new Date(row.timestamp).getTime();
+    const priceUSD = parseFloat(row.priceUSD);
+    if (Number.isNaN(timestamp) || !(priceUSD > 0)) return null;
+
+    const optionalNumber = (value) => {
+        const number = parseFloat(value);
+        return Number.isNaN(number) ? null : number;
+    };
+    return {
+        timestamp,
+        address: String(row.address),
+        symbol: row.symbol || null,
+        priceUSD,
+        liquidityUSD: optionalNumber(row.liquidityUSD),
+        marketCapUSD: optionalNumber(row.marketCapUSD),
+        solPriceUSD: optionalNumber(row.solPriceUSD),
+    };
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180 quoting, LF or CRLF line endings).
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Loads price samples from a CSV or NDJSON file.
+ * CSV needs a header with timestamp, address and priceUSD; liquidityUSD, marketCapUSD, symbol and
+ * solPriceUSD are optional. NDJSON lines use the same field names. Timestamps are ISO dates or epoch ms.
+ * @param {string} filePath - Path to the file; `.csv` is parsed as CSV, anything else as NDJSON.
+ * @returns {{samples: Array<object>, skipped: number}}
+ */
+function loadSamplesFromFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let rows;
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const [header = [], ...records] = parseCSVRows(text);
+        const columns = header.map(name => name.trim());
+        rows = records.map(fields => Object.fromEntries(columns.map((name, i) => [name, fields[i]?.trim()])));
+    } else {
+        rows = text.split('\n').filter(line => line.trim() !== '').map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        });
+    }
+
+    const samples = rows.map(normalizeSample).filter(Boolean);
+    return { samples, skipped: rows.length - samples.length };
+}
+
+/**
+ * Loads the samples recorded by the refresh loop (priceHistoryService) from the data directory.
+ * @returns {{samples: Array<object>, skipped: number}}
+ */
+function loadRecordedSamples() {
+    const filePath = storage.resolvePath(RECORDED_HISTORY_FILE);
+    if (!fs.existsSync(filePath)) {
+        return { samples: [], skipped: 0 };
+    }
+    return loadSamplesFromFile(filePath);
+}
+
+/**
+ * Replays price samples in time order. Each token gets the automatic initial buy on its first
+ * sample (same allocation as a newly watched token); later samples run the automated exit rules.
+ * @param {Array<object>} samples - Samples as returned by the loaders (any order, tokens interleaved).
+ * @param {object} [options]
+ * @param {number} [options.initialSOLBalance=100] - Starting SOL balance of the virtual portfolio.
+ * @param {number} [options.solPriceUSD=150] - SOL/USD rate until a sample provides one.
+ * @param {object} [options.tradingRules] - tradingService.setTradingRules fields applied to every new position.
+ * @param {string} [options.costBasisMethod] - 'fifo' or 'average'.
+ * @param {object} [options.sizing] - { strategy, params } sizing every initial buy (default: riskScore with default params).
+ *                                    volatilityScaled sees the samples replayed so far.
+ * @param {object} [options.riskLimits] - riskService limits checked before every buy (default: none).
+ * @param {object} [options.fillModel] - fillModelService settings overriding the configured fees, slippage
+ *                                       tolerance and price impact (fillModelService.IDEAL_FILLS: none of them).
+ * @returns {Promise<{success: boolean, error?: string, report?: object}>}
+ */
+async function runBacktest(samples, options = {}) {
+    const initialSOLBalance = options.initialSOLBalance ?? DEFAULT_INITIAL_SOL_BALANCE;
+    let solPriceUSD = options.solPriceUSD ?? DEFAULT_SOL_PRICE_USD;
+    if (!(initialSOLBalance > 0) || !(solPriceUSD > 0)) {
+        return { success: false, error: 'initialSOLBalance and solPriceUSD must be positive numbers.' };
+    }
+
+    const ordered = (samples || []).map(normalizeSample).filter(Boolean).sort((a, b) => a.timestamp - b.timestamp);
+    if (ordered.length === 0) {
+        return { success: false, error: 'No usable price samples to replay.' };
+    }
+
+    // Trades and lots are stamped with the replayed time, not the wall clock
+    let replayTime = ordered[0].timestamp;
+    const now = () => new Date(replayTime);
+    const portfolio = createPortfolio({
+        name: 'backtest',
+        persist: false,
+        initialSOLBalance,
+        now,
+    });
+    if (options.costBasisMethod && !portfolio.setCostBasisMethod(options.costBasisMethod)) {
+        return { success: false, error: `Unknown cost basis method "${options.costBasisMethod}".` };
+    }
+    const sizingSelection = options.sizing || { strategy: sizingStrategies.DEFAULT_STRATEGY };
+    const sizingError = sizingStrategies.resolveParams(sizingSelection.strategy, sizingSelection.params).error;
+    if (sizingError) {
+        return { success: false, error: sizingError };
+    }
+    if (options.riskLimits) {
+        const riskError = validateLimits(options.riskLimits);
+        if (riskError) {
+            return { success: false, error: riskError };
+        }
+    }
+    const fillModelError = options.fillModel && fillModelService.validateConfig(options.fillModel);
+    if (fillModelError) {
+        return { success: false, error: fillModelError };
+    }
+    const replayedSamples = new Map(); // tokenAddress -> samples replayed so far, oldest first
+    const engine = createTradingEngine({
+        portfolio,
+        getSolPriceUSD: async () => solPriceUSD,
+        now,
+        sizing: createSizingPolicy({ strategy: sizingSelection.strategy, params: sizingSelection.params }),
+        getPriceSamples: (address, sinceMs) => (replayedSamples.get(address) || []).filter(sample => sample.timestamp >= sinceMs),
+        risk: createRiskPolicy({ limits: options.riskLimits }),
+        fillModel: fillModelService.createFillModel(options.fillModel),
+    });
+
+    const symbols = new Map(); // tokenAddress -> symbol
+    const lastPrices = new Map(); // tokenAddress -> priceUSD
+    let peakEquitySOL = initialSOLBalance;
+    let maxDrawdownPercent = 0;
+    const equityCurve = [];
+
+    for (const sample of ordered) {
+        replayTime = sample.timestamp;
+        if (sample.solPriceUSD) solPriceUSD = sample.solPriceUSD;
+
+        const tokenData = {
+            address: sample.address,
+            name: sample.symbol,
+            symbol: sample.symbol,
+            priceUSD: sample.priceUSD,
+            liquidityUSD: sample.liquidityUSD,
+            marketCapUSD: sample.marketCapUSD,
+            lastFetched: now(),
+        };
+        portfolio.markPrice(sample.address, sample.priceUSD, solPriceUSD);
+        lastPrices.set(sample.address, sample.priceUSD);
+        if (!replayedSamples.has(sample.address)) replayedSamples.set(sample.address, []);
+        replayedSamples.get(sample.address).push(sample);
+
+        if (!symbols.has(sample.address)) {
+            symbols.set(sample.address, sample.symbol);
+            const buyResult = await engine.initiateBuyOrder(sample.address, tokenData);
+            if (buyResult && buyResult.trade && options.tradingRules) {
+                const rulesResult = engine.setTradingRules(sample.address, options.tradingRules);
+                if (!rulesResult.success) {
+                    return { success: false, error: `Invalid trading rules: ${rulesResult.error}` };
+                }
+            }
+        } else {
+            await engine.checkAutomatedTradingRules(sample.address, tokenData);
+        }
+
+        let equitySOL = portfolio.getSOLBalance();
+        for (const [address, priceUSD] of lastPrices) {
+            const position = portfolio.getPosition(address);
+            if (position) equitySOL += (position.amountHeld * priceUSD) / solPriceUSD;
+        }
+        peakEquitySOL = Math.max(peakEquitySOL, equitySOL);
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peakEquitySOL - equitySOL) / peakEquitySOL) * 100);
+        equityCurve.push({ timestamp: new Date(replayTime).toISOString(), equitySOL });
+    }
+
+    const finalState = portfolio.getPortfolio();
+    const trades = finalState.simulatedTradeHistory.filter(trade => trade.status === 'simulated_completed');
+    const sells = trades.filter(trade => trade.type === 'sell');
+    const feesSOL = trades.reduce((sum, trade) => sum + (trade.feesSOL || 0), 0);
+    const blockedBuys = finalState.simulatedTradeHistory.filter(trade => trade.status === 'blocked_risk_limit').length;
+    const wins = sells.filter(trade => trade.realizedPnlSOL > 0).length;
+    const finalEquitySOL = equityCurve[equityCurve.length - 1].equitySOL;
+
+    const tokens = [...symbols].map(([address, symbol]) => {
+        const tokenTrades = trades.filter(trade => trade.tokenId === address);
+        const tokenSells = tokenTrades.filter(trade => trade.type === 'sell');
+        const position = finalState.positions[address] || null;
+        const realizedPnlSOL = tokenSells.reduce((sum, trade) => sum + (trade.realizedPnlSOL || 0), 0);
+        const realizedPnlUSD = tokenSells.reduce((sum, trade) => sum + (trade.realizedPnlUSD || 0), 0);
+        const unrealizedPnlSOL = position?.unrealizedPnlSOL || 0;
+        const unrealizedPnlUSD = position?.unrealizedPnlUSD || 0;
+        return {
+            address,
+            symbol,
+            bought: tokenTrades.some(trade => trade.type === 'buy'),
+            trades: tokenTrades.length,
+            exitReasons: tokenSells.map(trade => trade.reasonForTrade),
+            amountHeld: position ? position.amountHeld : 0,
+            realizedPnlSOL,
+            realizedPnlUSD,
+            unrealizedPnlSOL,
+            unrealizedPnlUSD,
+            totalPnlSOL: realizedPnlSOL + unrealizedPnlSOL,
+            totalPnlUSD: realizedPnlUSD + unrealizedPnlUSD,
+        };
+    });
+
+    return {
+        success: true,
+        report: {
+            from: new Date(ordered[0].timestamp).toISOString(),
+            to: new Date(replayTime).toISOString(),
+            samples: ordered.length,
+            initialSOLBalance,
+            sizingStrategy: sizingSelection.strategy,
+            finalSOLBalance: finalState.currentSOLBalance,
+            finalEquitySOL,
+            finalEquityUSD: finalEquitySOL * solPriceUSD,
+            returnPercent: ((finalEquitySOL - initialSOLBalance) / initialSOLBalance) * 100,
+            closedTrades: sells.length,
+            blockedBuys,
+            feesSOL,
+            winRatePercent: sells.length > 0 ? (wins / sells.length) * 100 : null,
+            maxDrawdownPercent,
+            realizedPnlSOL: finalState.realizedPnlSOL,
+            unrealizedPnlSOL: finalState.unrealizedPnlSOL,
+            tokens,
+            trades: finalState.simulatedTradeHistory,
+            equityCurve,
+        },
+    };
+}
+
+module.exports = {
+    loadSamplesFromFile,
+    loadRecordedSamples,
+    runBacktest,
+};
@@ -1,103 +1,252 @@
 // backend/services/cacheService.js
-const cache = new Map();
+const log = require('./loggerService').createLogger('CacheService');
+
+// In-memory cache for market data. Bounded by entry count and by estimated memory size, evicting the least
+// recently used entries first. getOrFetch() adds single-flight fetching, so concurrent misses for a key share
+// one fetch, and stale-while-revalidate, serving an expired value while a background fetch replaces it.
+// Limits from the environment:
+//   CACHE_MAX_ENTRIES  - most entries kept (default 1000)
+//   CACHE_MAX_SIZE_MB  - most data kept, in MB (default 256; the Raydium pairs list alone is tens of MB)
+// Every cache operation is logged at debug level (LOG_LEVEL=debug); at the default level they are too noisy to keep.
+const DEFAULT_MAX_ENTRIES = Math.max(1, parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000);
+const DEFAULT_MAX_SIZE_BYTES = (parseFloat(process.env.CACHE_MAX_SIZE_MB) || 256) * 1024 * 1024;
+const SWEEP_INTERVAL_MS = 60 * 1000; // How often entries past their stale window are dropped
+
+const SIZE_SAMPLE_COUNT = 16; // Larger arrays and objects are sized from this many evenly spaced members
+const SIZE_MAX_DEPTH = 8; // Deeper nesting (or a cycle) is not counted
+const OBJECT_OVERHEAD_BYTES = 16;
 
 /**
- * Stores a value in the cache with an optional Time-To-Live (TTL).
- * @param {string} key - The key to store the value under.
- * @param {any} value - The value to store.
- * @param {number} [ttl_ms] - Optional. Time-to-live in milliseconds.
+ * Rough memory footprint of a value in bytes: 2 per string character, 8 per number, plus a fixed overhead per
+ * object. Large collections are extrapolated from a sample, so the cost stays small even for the Raydium pairs
+ * list; callers that know the size better pass options.sizeBytes instead.
  */
-function set(key, value, ttl_ms) {
-    const expiryTime = ttl_ms ? Date.now() + ttl_ms : null;
-    cache.set(key, { value, expiryTime });
-    
-    // Clear the entry after ttl_ms if ttl_ms is provided
-    // This is an alternative to checking expiryTime on get, ensuring proactive cleanup for entries with TTL
-    // However, the problem description implies checking on get, so we'll stick to that primarily.
-    // This timeout is just for proactive deletion to free memory if the entry is not accessed again.
-    if (ttl_ms) {
-        setTimeout(() => {
-            // Only delete if it hasn't been updated in the meantime
-            const currentEntry = cache.get(key);
-            if (currentEntry && currentEntry.expiryTime === expiryTime) {
-                cache.delete(key);
-                console.log(`Cache AUTO-DELETED (expired): ${key}`);
-            }
-        }, ttl_ms);
+function estimateSize(value, depth = 0) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'string') return value.length * 2;
+    if (typeof value !== 'object') return 8;
+    if (depth >= SIZE_MAX_DEPTH) return OBJECT_OVERHEAD_BYTES;
+    const isArray = Array.isArray(value);
+    const keys = isArray ? null : Object.keys(value);
+    const count = isArray ? value.length : keys.length;
+    const step = Math.max(1, count / SIZE_SAMPLE_COUNT);
+    let sampled = 0;
+    let sampledBytes = 0;
+    for (let index = 0; index < count; index += step) {
+        const position = Math.floor(index);
+        sampledBytes += isArray ? estimateSize(value[position], depth + 1) : keys[position].length * 2 + estimateSize(value[keys[position]], depth + 1);
+        sampled++;
     }
-    console.log(`Cache SET: ${key}. TTL: ${ttl_ms ? (ttl_ms / 1000) + 's' : 'none'}`);
+    return OBJECT_OVERHEAD_BYTES + (sampled === 0 ? 0 : Math.round(sampledBytes * count / sampled));
 }
 
 /**
- * Retrieves a value from the cache.
- * Returns null if the key doesn't exist or if the item has expired.
- * @param {string} key - The key to retrieve.
- * @returns {any|null} The cached value or null.
+ * Creates a cache with its own entries, limits and stats.
+ * @param {object} [options] - { maxEntries?, maxSizeBytes? }; default to the environment settings.
+ * @returns {object} { get, set, del, clear, getOrFetch, refresh, getStats }
  */
-function get(key) {
-    const entry = cache.get(key);
-    if (!entry) {
-        console.log(`Cache MISS: ${key}`);
-        return null;
+function createCache(options = {}) {
+    const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    const maxSizeBytes = options.maxSizeBytes || DEFAULT_MAX_SIZE_BYTES;
+    // key -> { value, expiryTime, staleUntil, size }. Map order is recency: least recently used first.
+    const cache = new Map();
+    const inFlight = new Map(); // key -> promise of the fetch running for it
+    const counters = { hits: 0, staleHits: 0, misses: 0, evictions: 0, expirations: 0, coalesced: 0, fetches: 0, fetchErrors: 0 };
+    let sizeBytes = 0;
+
+    function remove(key) {
+        const entry = cache.get(key);
+        if (!entry) return false;
+        cache.delete(key);
+        sizeBytes -= entry.size;
+        return true;
     }
 
-    if (entry.expiryTime && Date.now() > entry.expiryTime) {
-        console.log(`Cache EXPIRED (on get): ${key}`);
-        cache.delete(key); // Delete the expired entry
-        return null;
+    function isExpired(entry) {
+        return entry.expiryTime !== null && Date.now() > entry.expiryTime;
     }
 
-    console.log(`Cache HIT: ${key}`);
-    return entry.value;
-}
+    // Returns the entry, expired or not, and marks it most recently used. Entries past their stale window are dropped.
+    function lookup(key) {
+        const entry = cache.get(key);
+        if (!entry) return null;
+        if (entry.staleUntil !== null && Date.now() > entry.staleUntil) {
+            remove(key);
+            counters.expirations++;
+            log.debug(`Cache EXPIRED: ${key}`);
+            return null;
+        }
+        cache.delete(key);
+        cache.set(key, entry);
+        return entry;
+    }
 
-/**
- * Explicitly deletes an item from the cache.
- * @param {string} key - The key to delete.
- */
-function del(key) {
-    const deleted = cache.delete(key);
-    if(deleted) {
-        console.log(`Cache DEL: ${key}`);
-    } else {
-        console.log(`Cache DEL (not found): ${key}`);
+    function store(key, value, ttlMs, staleTtlMs = 0, size = estimateSize(value)) {
+        remove(key);
+        if (size > maxSizeBytes) {
+            log.warn(`Not caching ${key}: about ${size} bytes, over the ${maxSizeBytes}-byte limit.`);
+            return;
+        }
+        const expiryTime = ttlMs ? Date.now() + ttlMs : null;
+        cache.set(key, { value, expiryTime, staleUntil: expiryTime === null ? null : expiryTime + staleTtlMs, size });
+        sizeBytes += size;
+
+        while (cache.size > maxEntries || sizeBytes > maxSizeBytes) {
+            const leastRecentKey = cache.keys().next().value;
+            remove(leastRecentKey);
+            counters.evictions++;
+            log.debug(`Cache EVICTED (least recently used): ${leastRecentKey}`);
+        }
+        log.debug(`Cache SET: ${key}. TTL: ${ttlMs ? (ttlMs / 1000) + 's' : 'none'}${staleTtlMs ? `, stale for ${staleTtlMs / 1000}s more` : ''}`);
     }
-}
 
-/**
- * Clears the entire cache.
- */
-function clear() {
-    cache.clear();
-    console.log('Cache CLEARED');
+    /**
+     * Stores a value in the cache with an optional Time-To-Live (TTL).
+     * @param {string} key - The key to store the value under.
+     * @param {any} value - The value to store.
+     * @param {number} [ttl_ms] - Optional. Time-to-live in milliseconds.
+     */
+    function set(key, value, ttl_ms) {
+        store(key, value, ttl_ms);
+    }
+
+    /**
+     * Retrieves a value from the cache.
+     * Returns null if the key doesn't exist or if the item has expired.
+     * @param {string} key - The key to retrieve.
+     * @returns {any|null} The cached value or null.
+     */
+    function get(key) {
+        const entry = lookup(key);
+        if (!entry || isExpired(entry)) {
+            counters.misses++;
+            log.debug(`Cache MISS${entry ? ' (expired)' : ''}: ${key}`);
+            return null;
+        }
+        counters.hits++;
+        log.debug(`Cache HIT: ${key}`);
+        return entry.value;
+    }
+
+    /**
+     * Fetches a value and caches it, regardless of what is cached now. While a fetch for the key is running,
+     * callers share it instead of starting another.
+     * @param {string} key - The key to store the value under.
+     * @param {Function} fetcher - Async function producing the value.
+     * @param {object} [options]
+     * @param {number|Function} [options.ttlMs] - Time-to-live, or a function of the fetched value returning it.
+     * @param {number} [options.staleTtlMs] - How long after expiring the value may still be served by getOrFetch.
+     * @param {Function} [options.shouldStore] - Whether to cache the fetched value (default: unless null/undefined).
+     * @param {number|Function} [options.sizeBytes] - Size counted against the cache limit, or a function of the
+     *                                               fetched value returning it; estimated if omitted.
+     * @returns {Promise<any>} The fetched value; rejects if the fetcher does.
+     */
+    function refresh(key, fetcher, options = {}) {
+        const running = inFlight.get(key);
+        if (running) {
+            counters.coalesced++;
+            log.debug(`Cache COALESCED with the running fetch: ${key}`);
+            return running;
+        }
+        const { ttlMs, staleTtlMs = 0, sizeBytes, shouldStore = value => value !== null && value !== undefined } = options;
+        const forValue = (setting, value) => (typeof setting === 'function' ? setting(value) : setting);
+        counters.fetches++;
+        const fetching = Promise.resolve()
+            .then(fetcher)
+            .then(value => {
+                if (shouldStore(value)) store(key, value, forValue(ttlMs, value), staleTtlMs, forValue(sizeBytes, value));
+                return value;
+            }, error => {
+                counters.fetchErrors++;
+                log.warn(`Fetch for ${key} failed.`, { error });
+                throw error;
+            })
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, fetching);
+        return fetching;
+    }
+
+    /**
+     * Returns the cached value, fetching it on a miss (see refresh() for the fetcher and options).
+     * A value that expired less than options.staleTtlMs ago is returned at once while it is refreshed in the
+     * background, unless options.allowStale is false, in which case the caller waits for the fresh value.
+     * @returns {Promise<any>}
+     */
+    async function getOrFetch(key, fetcher, options = {}) {
+        const { allowStale = true } = options;
+        const entry = lookup(key);
+        if (entry && !isExpired(entry)) {
+            counters.hits++;
+            log.debug(`Cache HIT: ${key}`);
+            return entry.value;
+        }
+        if (entry && allowStale) {
+            counters.staleHits++;
+            log.debug(`Cache STALE HIT: ${key}, revalidating in the background`);
+            refresh(key, fetcher, options).catch(() => {}); // Failure is logged by refresh; the stale value stays
+            return entry.value;
+        }
+        counters.misses++;
+        log.debug(`Cache MISS${entry ? ' (expired)' : ''}: ${key}`);
+        return refresh(key, fetcher, options);
+    }
+
+    /**
+     * Explicitly deletes an item from the cache.
+     * @param {string} key - The key to delete.
+     */
+    function del(key) {
+        if (remove(key)) {
+            log.debug(`Cache DEL: ${key}`);
+        } else {
+            log.debug(`Cache DEL (not found): ${key}`);
+        }
+    }
+
+    /**
+     * Clears the entire cache.
+     */
+    function clear() {
+        cache.clear();
+        sizeBytes = 0;
+        log.debug('Cache CLEARED');
+    }
+
+    /**
+     * Counters since start-up plus current usage. Stale hits are counted apart from hits; coalesced counts
+     * callers that joined a running fetch instead of starting their own.
+     * @returns {object} { hits, staleHits, misses, evictions, expirations, coalesced, fetches, fetchErrors,
+     *                   entries, sizeBytes, maxEntries, maxSizeBytes, inFlight }
+     */
+    function getStats() {
+        return { ...counters, entries: cache.size, sizeBytes, maxEntries, maxSizeBytes, inFlight: inFlight.size };
+    }
+
+    // Entries are otherwise only dropped when read or evicted, so expired ones that nobody asks for again are swept
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of cache) {
+            if (entry.staleUntil !== null && now > entry.staleUntil) {
+                remove(key);
+                counters.expirations++;
+            }
+        }
+    }, SWEEP_INTERVAL_MS).unref();
+
+    return {
+        get,
+        set,
+        del,
+        clear,
+        getOrFetch,
+        refresh,
+        getStats,
+    };
 }
 
+const defaultCache = createCache();
+
 module.exports = {
-    get,
-    set,
-    del,
-    clear, // Added a clear function for potential use in testing or specific scenarios
+    ...defaultCache,
+    createCache,
 };
-
-// Example Usage (for testing)
-/*
-set("myKey", { data: "hello world" }, 5000); // Expires in 5 seconds
-set("permanentKey", { data: "this is permanent" });
-
-console.log("Get myKey (should be there):", get("myKey"));
-console.log("Get permanentKey (should be there):", get("permanentKey"));
-
-setTimeout(() => {
-    console.log("Get myKey after 3s (should still be there):", get("myKey"));
-}, 3000);
-
-setTimeout(() => {
-    console.log("Get myKey after 6s (should be expired/gone):", get("myKey"));
-    console.log("Get permanentKey (should still be there):", get("permanentKey"));
-    del("permanentKey");
-    console.log("Get permanentKey (should be gone):", get("permanentKey"));
-    console.log("Current cache size:", cache.size);
-    clear();
-    console.log("Current cache size after clear:", cache.size);
-}, 6000);
-*/
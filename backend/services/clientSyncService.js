@@ -0,0 +1,147 @@
+// backend/services/clientSyncService.js
+
+// Per-client change tracking for the WebSocket feed. A client gets a full SNAPSHOT on connect (or when it
+// sends REQUEST_SNAPSHOT), then TOKEN_DELTA / PORTFOLIO_DELTA messages carrying only what changed since the
+// last message it was sent. Every message has the client's sequence number; a client that sees a gap
+// discards deltas and asks for a new snapshot. Transport stays in server.js, which owns one of these per socket.
+
+// Changes on every refresh even when the market didn't move; only sent along with a real change.
+const TOKEN_VOLATILE_FIELDS = ['lastFetched'];
+
+// Baselines are stored as JSON copies, so later mutation of the source objects can't hide a change
+// and Dates compare equal to their ISO strings.
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Shallow diff of two plain objects.
+ * @param {object|null|undefined} previous - Last state sent; everything counts as changed if absent.
+ * @param {object} next - Current state.
+ * @param {Array<string>} [ignoredFields] - Included when they changed, but don't count as a change on their own.
+ * @returns {object|null} { field: newValue } for changed fields (null for removed ones), or null if nothing changed.
+ */
+function diffFields(previous, next, ignoredFields = []) {
+    const changes = {};
+    let changed = false;
+    for (const key of new Set([...Object.keys(previous || {}), ...Object.keys(next)])) {
+        if (previous && sameValue(previous[key], next[key])) continue;
+        changes[key] = next[key] === undefined ? null : next[key];
+        if (!ignoredFields.includes(key)) changed = true;
+    }
+    return changed ? changes : null;
+}
+
+/**
+ * Creates the sync state for one client. Deltas are only produced once the client has had a snapshot.
+ * Message shapes:
+ *   SNAPSHOT        { seq, payload: { tokens: Array<token>, portfolio, watchedAddresses } }
+ *                   tokens: the client's subscriptions; watchedAddresses: everything the backend watches.
+ *   TOKEN_DELTA     { seq, payload: { address, changes } }
+ *   TOKEN_REMOVED   { seq, payload: { address } } - the client no longer gets updates for the token
+ *   PORTFOLIO_DELTA { seq, payload: { fields?, positions?: { address: changes|null }, trades?: Array<trade> } }
+ *                   positions: null means the position was closed; trades: new trades and trades whose status changed.
+ * @returns {object} { snapshot, tokenDelta, tokenRemoved, portfolioDelta, isReady }
+ */
+function createClientSync() {
+    let seq = 0;
+    let ready = false;
+    let tokens = new Map(); // address -> token as last sent
+    let portfolioFields = null; // portfolio as last sent, without positions and trade history
+    let positions = new Map(); // address -> position as last sent
+    let tradeStatuses = new Map(); // trade id -> status as last sent
+
+    /**
+     * Full state message; becomes the baseline for later deltas.
+     * @param {Array<object>} tokenPayloads - Current data for every token the client subscribes to.
+     * @param {object} portfolio - portfolioService.getPortfolio().
+     * @param {Array<string>} watchedAddresses - All tokens the backend watches, for the client to pick from.
+     * @returns {object} SNAPSHOT message.
+     */
+    function snapshot(tokenPayloads, portfolio, watchedAddresses) {
+        const { positions: currentPositions, simulatedTradeHistory, ...fields } = portfolio;
+        tokens = new Map(tokenPayloads.map(token => [token.address, clone(token)]));
+        portfolioFields = clone(fields);
+        positions = new Map(Object.entries(clone(currentPositions)));
+        tradeStatuses = new Map(simulatedTradeHistory.map(trade => [trade.id, trade.status]));
+        ready = true;
+        return { type: 'SNAPSHOT', seq: ++seq, payload: { tokens: tokenPayloads, portfolio, watchedAddresses } };
+    }
+
+    /**
+     * @param {object} token - Current token payload.
+     * @returns {object|null} TOKEN_DELTA message, or null if nothing worth sending changed.
+     */
+    function tokenDelta(token) {
+        if (!ready) return null;
+        const changes = diffFields(tokens.get(token.address), token, TOKEN_VOLATILE_FIELDS);
+        if (!changes) return null;
+        tokens.set(token.address, clone(token));
+        return { type: 'TOKEN_DELTA', seq: ++seq, payload: { address: token.address, changes } };
+    }
+
+    /**
+     * @param {string} address - Token the client unsubscribed from.
+     * @returns {object|null} TOKEN_REMOVED message; null before the first snapshot.
+     */
+    function tokenRemoved(address) {
+        if (!ready) return null;
+        tokens.delete(address);
+        return { type: 'TOKEN_REMOVED', seq: ++seq, payload: { address } };
+    }
+
+    /**
+     * @param {object} portfolio - portfolioService.getPortfolio().
+     * @returns {object|null} PORTFOLIO_DELTA message, or null if nothing changed.
+     */
+    function portfolioDelta(portfolio) {
+        if (!ready) return null;
+        const { positions: currentPositions, simulatedTradeHistory, ...fields } = portfolio;
+        const payload = {};
+
+        const fieldChanges = diffFields(portfolioFields, fields);
+        if (fieldChanges) {
+            payload.fields = fieldChanges;
+            portfolioFields = clone(fields);
+        }
+
+        const positionChanges = {};
+        for (const [address, position] of Object.entries(currentPositions)) {
+            const changes = diffFields(positions.get(address), position);
+            if (!changes) continue;
+            positionChanges[address] = changes;
+            positions.set(address, clone(position));
+        }
+        for (const address of positions.keys()) {
+            if (currentPositions[address]) continue;
+            positionChanges[address] = null;
+            positions.delete(address);
+        }
+        if (Object.keys(positionChanges).length > 0) payload.positions = positionChanges;
+
+        // Trades only ever change status once recorded, so new ids and status changes are all there is to send
+        const tradeChanges = simulatedTradeHistory.filter(trade => tradeStatuses.get(trade.id) !== trade.status);
+        tradeChanges.forEach(trade => tradeStatuses.set(trade.id, trade.status));
+        if (tradeChanges.length > 0) payload.trades = tradeChanges;
+
+        if (Object.keys(payload).length === 0) return null;
+        return { type: 'PORTFOLIO_DELTA', seq: ++seq, payload };
+    }
+
+    return {
+        snapshot,
+        tokenDelta,
+        tokenRemoved,
+        portfolioDelta,
+        isReady: () => ready,
+    };
+}
+
+module.exports = {
+    createClientSync,
+    diffFields,
+};
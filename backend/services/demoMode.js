@@ -0,0 +1,10 @@
+// backend/services/demoMode.js
+// Whether the backend runs in demo mode: DEMO_MODE=true, MARKET_DATA_PROVIDER=simulated or the --demo startup flag.
+// Read on its own so storage can pick the demo data directory without loading the simulated market.
+const DEMO_MODE = process.env.DEMO_MODE === 'true'
+    || process.env.MARKET_DATA_PROVIDER === 'simulated'
+    || process.argv.includes('--demo');
+
+module.exports = {
+    DEMO_MODE,
+};
@@ -0,0 +1,93 @@
+// backend/services/exportService.js
+const portfolioService = require('./portfolioService');
+
+// Column order of the export. Each entry maps a column name to how it is read from a Trade.
+const TRADE_EXPORT_COLUMNS = [
+    ['tradeId', trade => trade.id],
+    ['timestamp', trade => (trade.timestamp ? new Date(trade.timestamp).toISOString() : null)],
+    ['tokenAddress', trade => trade.tokenId],
+    ['tokenSymbol', trade => trade.tokenSymbol],
+    ['side', trade => trade.type],
+    ['status', trade => trade.status],
+    ['tokenQuantity', trade => trade.tokenAmount],
+    ['amountSOL', trade => trade.amountSOL],
+    ['priceUSD', trade => trade.priceUSD],
+    ['effectivePriceUSD', trade => trade.effectivePriceUSD],
+    ['priceImpactPercent', trade => trade.priceImpactPercent],
+    ['solPriceUSD', trade => trade.solPriceUSD],
+    ['feesSOL', trade => trade.feesSOL],
+    ['realizedPnlSOL', trade => (trade.type === 'sell' ? trade.realizedPnlSOL : null)],
+    ['realizedPnlUSD', trade => (trade.type === 'sell' ? trade.realizedPnlUSD : null)],
+    ['reason', trade => trade.reasonForTrade],
+    ['txSignature', trade => trade.txSignature],
+];
+
+// Columns of the token snapshot archive export. `address` and `timestamp` keep the names scripts/backtest.js reads.
+const SNAPSHOT_EXPORT_COLUMNS = [
+    ['timestamp', snapshot => snapshot.timestamp],
+    ['address', snapshot => snapshot.address],
+    ['name', snapshot => snapshot.name],
+    ['symbol', snapshot => snapshot.symbol],
+    ['priceUSD', snapshot => snapshot.priceUSD],
+    ['liquidityUSD', snapshot => snapshot.liquidityUSD],
+    ['marketCapUSD', snapshot => snapshot.marketCapUSD],
+    ['supply', snapshot => snapshot.supply],
+    ['createdAt', snapshot => snapshot.createdAt],
+    // e.g. "name:helius;priceUSD:raydium"
+    ['sources', snapshot => Object.entries(snapshot.sources || {}).map(([field, source]) => `${field}:${source}`).join(';')],
+];
+
+/**
+ * Flattens trades into export rows with a fixed set of columns.
+ * @param {object} [filters] - Same filters as portfolioService.getTradeHistory.
+ * @param {object} [portfolio] - Portfolio whose trades to export; the paper portfolio by default.
+ * @returns {Array<object>} One row per trade; missing values are null.
+ */
+function buildTradeExportRows(filters = {}, portfolio = portfolioService) {
+    return portfolio.getTradeHistory(filters).map(trade => {
+        const row = {};
+        for (const [column, read] of TRADE_EXPORT_COLUMNS) {
+            const value = read(trade);
+            row[column] = value === undefined ? null : value;
+        }
+        return row;
+    });
+}
+
+function escapeCSVValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSVLines(columns, rows) {
+    return rows.map(row => columns.map(([column]) => escapeCSVValue(row[column])).join(',') + '\r\n').join('');
+}
+
+/**
+ * Serializes export rows as CSV (RFC 4180 quoting, header row first).
+ * @param {Array<object>} rows - Rows from buildTradeExportRows.
+ * @returns {string}
+ */
+function toCSV(rows) {
+    return TRADE_EXPORT_COLUMNS.map(([column]) => column).join(',') + '\r\n' + toCSVLines(TRADE_EXPORT_COLUMNS, rows);
+}
+
+/**
+ * Serializes archived token snapshots as CSV rows. The archive is exported a segment at a time, so the header
+ * row is only written when asked for.
+ * @param {Array<object>} snapshots - Records from snapshotArchiveService.
+ * @param {boolean} [includeHeader=false]
+ * @returns {string}
+ */
+function snapshotsToCSV(snapshots, includeHeader = false) {
+    const rows = snapshots.map(snapshot => Object.fromEntries(SNAPSHOT_EXPORT_COLUMNS.map(([column, read]) => [column, read(snapshot)])));
+    const header = includeHeader ? SNAPSHOT_EXPORT_COLUMNS.map(([column]) => column).join(',') + '\r\n' : '';
+    return header + toCSVLines(SNAPSHOT_EXPORT_COLUMNS, rows);
+}
+
+module.exports = {
+    buildTradeExportRows,
+    toCSV,
+    snapshotsToCSV,
+};
@@ -0,0 +1,178 @@
+// backend/services/fillModelService.js
+const { DEMO_MODE } = require('./simulatedMarket');
+const log = require('./loggerService').createLogger('FillModelService');
+
+// How a paper trade would actually fill on an AMM. The pool is modelled as constant product (x * y = k)
+// with half of the token's liquidityUSD on each side, so the price moves against the order in proportion
+// to its size. On top of that each swap pays the pool fee and a transaction pays the network fee plus
+// a priority fee. Orders whose price impact exceeds the slippage tolerance are rejected (automatic exits excepted,
+// see tradingEngine).
+// Defaults come from the environment:
+//   SWAP_FEE_PERCENT       - pool fee taken on every swap (default 0.25, Raydium AMM v4)
+//   NETWORK_FEE_SOL        - base transaction fee (default 0.000005)
+//   PRIORITY_FEE_SOL       - priority fee paid per transaction (default 0.0001)
+//   MAX_SLIPPAGE_PERCENT   - highest price impact accepted; 'off' accepts any (default 5, 25 in demo mode
+//                            whose small simulated pools would otherwise reject every automatic buy)
+
+function envNumber(variable, fallback, { allowOff = false } = {}) {
+    if (process.env[variable] === undefined) return fallback;
+    if (allowOff && process.env[variable] === 'off') return null;
+    const value = parseFloat(process.env[variable]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+    swapFeePercent: envNumber('SWAP_FEE_PERCENT', 0.25),
+    networkFeeSOL: envNumber('NETWORK_FEE_SOL', 0.000005),
+    priorityFeeSOL: envNumber('PRIORITY_FEE_SOL', 0.0001),
+    maxSlippagePercent: envNumber('MAX_SLIPPAGE_PERCENT', DEMO_MODE ? 25 : 5, { allowOff: true }),
+    priceImpact: true, // false fills at the quoted price whatever the size
+};
+
+// Fills at exactly the quoted price with no fees, as paper trades did before the fill model
+const IDEAL_FILLS = { swapFeePercent: 0, networkFeeSOL: 0, priorityFeeSOL: 0, maxSlippagePercent: null, priceImpact: false };
+
+/**
+ * Validates fill model settings.
+ * @returns {string|null} Error message, or null if valid.
+ */
+function validateConfig(config) {
+    if (!config || typeof config !== 'object') return 'Fill model settings missing.';
+    for (const [field, value] of Object.entries(config)) {
+        if (!(field in DEFAULT_CONFIG)) {
+            return `Unknown fill model setting "${field}". Expected one of: ${Object.keys(DEFAULT_CONFIG).join(', ')}.`;
+        }
+        if (field === 'priceImpact') {
+            if (typeof value !== 'boolean') return 'priceImpact must be true or false.';
+            continue;
+        }
+        if (field === 'maxSlippagePercent' && value === null) continue;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            return `${field} must be a non-negative number${field === 'maxSlippagePercent' ? ' or null' : ''}.`;
+        }
+        if (field.endsWith('Percent') && value >= 100) return `${field} must be below 100.`;
+    }
+    return null;
+}
+
+function isValidSlippage(value) {
+    return value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+}
+
+/**
+ * Creates a fill model.
+ * @param {object} [config] - Settings overriding the environment defaults (see validateConfig).
+ * @returns {object|null} { getConfig, quoteBuy, quoteSell }, or null if the settings are invalid.
+ */
+function createFillModel(config = {}) {
+    const error = validateConfig(config);
+    if (error) {
+        log.error(`${error}`);
+        return null;
+    }
+    const settings = { ...DEFAULT_CONFIG, ...config };
+
+    // USD on each side of the pool; null when the liquidity is unknown or impact is switched off
+    function poolSideUSD(liquidityUSD) {
+        if (!settings.priceImpact || typeof liquidityUSD !== 'number' || !(liquidityUSD > 0)) return null;
+        return liquidityUSD / 2;
+    }
+
+    function checkSlippage(priceImpactPercent, maxSlippagePercent) {
+        const tolerance = maxSlippagePercent !== undefined ? maxSlippagePercent : settings.maxSlippagePercent;
+        if (tolerance === null || priceImpactPercent === null || priceImpactPercent <= tolerance) return null;
+        return `Price impact ${priceImpactPercent.toFixed(2)}% exceeds the ${tolerance}% slippage tolerance.`;
+    }
+
+    /**
+     * Fill of a buy spending amountSOL in total, fees included.
+     * @param {object} order - { amountSOL, priceUSD, liquidityUSD, solPriceUSD, maxSlippagePercent? }
+     *                         maxSlippagePercent overrides the configured tolerance for this order (null: any).
+     * @returns {{success: boolean, status?: string, error?: string, fill?: object}}
+     *          fill: { tokenAmount, effectivePriceUSD, priceImpactPercent, swapFeeSOL, networkFeeSOL, feesSOL }.
+     *          status on failure: 'slippage_exceeded' or 'fees_exceed_order'.
+     */
+    function quoteBuy({ amountSOL, priceUSD, liquidityUSD, solPriceUSD, maxSlippagePercent }) {
+        const networkFeeSOL = settings.networkFeeSOL + settings.priorityFeeSOL;
+        const swapFeeSOL = Math.max(0, amountSOL - networkFeeSOL) * settings.swapFeePercent / 100;
+        const swapInputSOL = amountSOL - networkFeeSOL - swapFeeSOL;
+        if (!(swapInputSOL > 0)) {
+            return { success: false, status: 'fees_exceed_order', error: `Fees (${networkFeeSOL} SOL) leave nothing of ${amountSOL} SOL to swap.` };
+        }
+
+        const inputUSD = swapInputSOL * solPriceUSD;
+        const sideUSD = poolSideUSD(liquidityUSD);
+        // Constant product: tokens out = tokenReserve * input / (quoteReserve + input)
+        const tokenAmount = sideUSD === null ? inputUSD / priceUSD : (sideUSD / priceUSD) * inputUSD / (sideUSD + inputUSD);
+        const executionPriceUSD = inputUSD / tokenAmount;
+        const priceImpactPercent = sideUSD === null ? null : ((executionPriceUSD - priceUSD) / priceUSD) * 100;
+
+        const slippageError = checkSlippage(priceImpactPercent, maxSlippagePercent);
+        if (slippageError) return { success: false, status: 'slippage_exceeded', error: slippageError, priceImpactPercent };
+
+        return {
+            success: true,
+            fill: {
+                tokenAmount,
+                effectivePriceUSD: (amountSOL * solPriceUSD) / tokenAmount, // All-in: what each token cost including fees
+                priceImpactPercent,
+                swapFeeSOL,
+                networkFeeSOL,
+                feesSOL: swapFeeSOL + networkFeeSOL,
+            },
+        };
+    }
+
+    /**
+     * Fill of a sell of tokenAmount tokens.
+     * @param {object} order - { tokenAmount, priceUSD, liquidityUSD, solPriceUSD, maxSlippagePercent? }
+     * @returns {{success: boolean, status?: string, error?: string, fill?: object}}
+     *          fill: { proceedsSOL (after fees), effectivePriceUSD, priceImpactPercent, swapFeeSOL, networkFeeSOL, feesSOL }.
+     */
+    function quoteSell({ tokenAmount, priceUSD, liquidityUSD, solPriceUSD, maxSlippagePercent }) {
+        const valueUSD = tokenAmount * priceUSD;
+        const sideUSD = poolSideUSD(liquidityUSD);
+        // Constant product: quote out = quoteReserve * input / (tokenReserve + input), both valued at the spot price
+        const outputUSD = sideUSD === null ? valueUSD : sideUSD * valueUSD / (sideUSD + valueUSD);
+        const priceImpactPercent = sideUSD === null ? null : ((valueUSD - outputUSD) / valueUSD) * 100;
+
+        const slippageError = checkSlippage(priceImpactPercent, maxSlippagePercent);
+        if (slippageError) return { success: false, status: 'slippage_exceeded', error: slippageError, priceImpactPercent };
+
+        const grossSOL = outputUSD / solPriceUSD;
+        const swapFeeSOL = grossSOL * settings.swapFeePercent / 100;
+        const networkFeeSOL = settings.networkFeeSOL + settings.priorityFeeSOL;
+        const proceedsSOL = grossSOL - swapFeeSOL - networkFeeSOL;
+        if (!(proceedsSOL > 0)) {
+            return { success: false, status: 'fees_exceed_order', error: `Fees exceed the ${grossSOL} SOL the sale would return.` };
+        }
+
+        return {
+            success: true,
+            fill: {
+                proceedsSOL,
+                effectivePriceUSD: (proceedsSOL * solPriceUSD) / tokenAmount, // All-in: what each token returned after fees
+                priceImpactPercent,
+                swapFeeSOL,
+                networkFeeSOL,
+                feesSOL: swapFeeSOL + networkFeeSOL,
+            },
+        };
+    }
+
+    return {
+        getConfig: () => ({ ...settings }),
+        quoteBuy,
+        quoteSell,
+    };
+}
+
+const defaultModel = createFillModel();
+
+module.exports = {
+    ...defaultModel,
+    createFillModel,
+    validateConfig,
+    isValidSlippage,
+    IDEAL_FILLS,
+};
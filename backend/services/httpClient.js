@@ -0,0 +1,178 @@
+// backend/services/httpClient.js
+const axios = require('axios');
+const log = require('./loggerService').createLogger('HttpClient');
+
+// Shared HTTP client for outbound API calls: timeouts, retries with exponential backoff and jitter
+// (honoring Retry-After), and a per-host circuit breaker. While a host's circuit is open, requests
+// are answered from the last successful response for the same request, if there is one.
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS, 10) || 10000;
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000; // Also caps how long a Retry-After header can make us wait
+const CIRCUIT_FAILURE_THRESHOLD = 5; // Consecutive failed requests (after retries) that open the circuit
+const CIRCUIT_OPEN_MS = 30000; // How long an open circuit rejects calls before a trial request
+const MAX_LAST_KNOWN_GOOD_ENTRIES = 500;
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const circuits = new Map(); // host -> { state: 'closed'|'open'|'half-open', failures, openedAt, trialInFlight }
+const lastKnownGood = new Map(); // request key -> { data, status, headers, storedAt }
+
+function getCircuit(host) {
+    if (!circuits.has(host)) {
+        circuits.set(host, { state: 'closed', failures: 0, openedAt: null, trialInFlight: false });
+    }
+    return circuits.get(host);
+}
+
+function setCircuitState(host, circuit, state, detail) {
+    if (circuit.state === state) return;
+    log.info(`Circuit for ${host} ${circuit.state.toUpperCase()} -> ${state.toUpperCase()}${detail ? ` (${detail})` : ''}`);
+    circuit.state = state;
+    circuit.openedAt = state === 'open' ? Date.now() : null;
+}
+
+/**
+ * Whether a request may go out now. Moves an open circuit to half-open once its cool-down has passed,
+ * letting a single trial request through.
+ */
+function allowRequest(host, circuit) {
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= CIRCUIT_OPEN_MS) {
+        setCircuitState(host, circuit, 'half-open', 'sending a trial request');
+    }
+    if (circuit.state === 'half-open') {
+        if (circuit.trialInFlight) return false;
+        circuit.trialInFlight = true;
+        return true;
+    }
+    return circuit.state === 'closed';
+}
+
+function recordSuccess(host, circuit) {
+    circuit.failures = 0;
+    circuit.trialInFlight = false;
+    setCircuitState(host, circuit, 'closed', 'request succeeded');
+}
+
+function recordFailure(host, circuit, error) {
+    circuit.failures++;
+    circuit.trialInFlight = false;
+    if (circuit.state === 'half-open') {
+        setCircuitState(host, circuit, 'open', `trial request failed: ${describeError(error)}`);
+    } else if (circuit.state === 'closed' && circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        setCircuitState(host, circuit, 'open', `${circuit.failures} consecutive failures, last: ${describeError(error)}`);
+    }
+}
+
+function describeError(error) {
+    return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+}
+
+// Network errors and timeouts have no response; of the HTTP errors only throttling and server errors are worth retrying.
+function isRetryable(error) {
+    if (error.response) return RETRYABLE_STATUSES.has(error.response.status);
+    return !axios.isCancel(error);
+}
+
+/**
+ * Delay before the next attempt: the server's Retry-After if given, otherwise exponential backoff with full jitter.
+ */
+function retryDelayMs(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter !== undefined) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (!Number.isNaN(delay)) return Math.min(Math.max(delay, 0), BACKOFF_MAX_MS);
+    }
+    return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function requestKey(config) {
+    return `${(config.method || 'get').toUpperCase()} ${config.url} ${config.params ? JSON.stringify(config.params) : ''} ${config.data ? JSON.stringify(config.data) : ''}`;
+}
+
+function rememberResponse(key, response) {
+    lastKnownGood.delete(key); // Re-insert so the Map's order stays oldest-first
+    lastKnownGood.set(key, { data: response.data, status: response.status, headers: response.headers, storedAt: new Date() });
+    if (lastKnownGood.size > MAX_LAST_KNOWN_GOOD_ENTRIES) {
+        lastKnownGood.delete(lastKnownGood.keys().next().value);
+    }
+}
+
+/**
+ * Sends a request with retries and circuit breaking. Resolves with the axios response, or, while the host's
+ * circuit is open, with the last good response to the same request (marked `stale: true`).
+ * Rejects like axios does when all attempts fail, or with code 'ECIRCUITOPEN' when the circuit is open and
+ * nothing is cached.
+ * @param {object} config - axios request config, plus:
+ * @param {number} [config.retries=3] - Retries after the first attempt (0 disables retrying).
+ * @returns {Promise<object>} axios response.
+ */
+async function request(config) {
+    const { retries = DEFAULT_RETRIES, ...axiosConfig } = config;
+    axiosConfig.timeout = axiosConfig.timeout ?? DEFAULT_TIMEOUT_MS;
+    const host = new URL(axiosConfig.url).host;
+    const circuit = getCircuit(host);
+    const key = requestKey(axiosConfig);
+
+    if (!allowRequest(host, circuit)) {
+        const cached = lastKnownGood.get(key);
+        if (cached) {
+            log.warn(`Circuit for ${host} is ${circuit.state.toUpperCase()}; serving last-known-good response from ${cached.storedAt.toISOString()}.`);
+            return { data: cached.data, status: cached.status, headers: cached.headers, stale: true };
+        }
+        const error = new Error(`Circuit for ${host} is ${circuit.state} and no last-known-good response is cached.`);
+        error.code = 'ECIRCUITOPEN';
+        throw error;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios.request(axiosConfig);
+            recordSuccess(host, circuit);
+            rememberResponse(key, response);
+            return response;
+        } catch (error) {
+            if (!isRetryable(error)) {
+                // The host answered, so it is up; don't count e.g. a 404 against the circuit
+                circuit.trialInFlight = false;
+                if (circuit.state === 'half-open') recordSuccess(host, circuit);
+                throw error;
+            }
+            if (attempt >= retries || circuit.state === 'half-open') {
+                recordFailure(host, circuit, error);
+                throw error;
+            }
+            const delay = retryDelayMs(error, attempt);
+            log.warn(`${axiosConfig.method?.toUpperCase() || 'GET'} ${host} failed (${describeError(error)}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms.`);
+            await sleep(delay);
+        }
+    }
+}
+
+function get(url, config = {}) {
+    return request({ ...config, method: 'get', url });
+}
+
+function post(url, data, config = {}) {
+    return request({ ...config, method: 'post', url, data });
+}
+
+/**
+ * Current breaker state per host, for diagnostics.
+ * @returns {object} host -> { state, failures, openedAt }
+ */
+function getCircuitStates() {
+    return Object.fromEntries([...circuits].map(([host, { state, failures, openedAt }]) => [host, { state, failures, openedAt: openedAt ? new Date(openedAt) : null }]));
+}
+
+module.exports = {
+    request,
+    get,
+    post,
+    getCircuitStates,
+};
@@ -0,0 +1,200 @@
+// backend/services/loggerService.js
+const fs = require('fs');
+const path = require('path');
+
+// Leveled, structured logging shared by every service. Each record is one JSON object:
+//   { timestamp, level, component, message, tokenAddress?, tradeId?, ...fields, error? }
+// Records are printed to the console (as "Component: message") and appended to rotating NDJSON files
+// under <data dir>/logs, where GET /api/logs queries them. Settings from the environment:
+//   LOG_LEVEL         - lowest level recorded: debug, info, warn or error (default info)
+//   LOG_MAX_FILE_MB   - size at which the current file is rotated (default 5)
+//   LOG_MAX_FILES     - files kept, the current one included (default 5)
+//   LOG_FORMAT=json   - print the JSON records to the console too, instead of plain lines
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FILE_BASE = 'backend';
+const MAX_FILE_BYTES = (parseFloat(process.env.LOG_MAX_FILE_MB) || 5) * 1024 * 1024;
+const MAX_FILES = Math.max(1, parseInt(process.env.LOG_MAX_FILES, 10) || 5);
+const PRINT_JSON = process.env.LOG_FORMAT === 'json';
+const DEFAULT_QUERY_LIMIT = 200;
+const MAX_QUERY_LIMIT = 1000;
+
+// Own keys only: inherited ones like 'toString' or 'constructor' aren't levels
+function isLevel(level) {
+    return Object.hasOwn(LEVELS, level);
+}
+
+const settings = {
+    level: isLevel(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+    consoleLevel: null, // Same as level unless configured
+    file: true,
+};
+
+let fd = null;
+let fileSize = 0;
+const unwritten = []; // Records logged before the data directory was known
+
+/**
+ * Overrides the settings for this process, e.g. the backtest CLI keeps its logs out of the server's files.
+ * @param {object} options - { level?, consoleLevel?, file? }
+ */
+function configure(options = {}) {
+    if (options.level && isLevel(options.level)) settings.level = options.level;
+    if (options.consoleLevel && isLevel(options.consoleLevel)) settings.consoleLevel = options.consoleLevel;
+    if (typeof options.file === 'boolean') settings.file = options.file;
+}
+
+// The storage module is required lazily: it (and what it loads) logs through us, so it may still be loading.
+function getLogDir() {
+    const { DATA_DIR } = require('./storageService');
+    return DATA_DIR ? path.join(DATA_DIR, 'logs') : null;
+}
+
+// backend.log is the current file; backend.1.log the one before it, and so on.
+function logFilePath(logDir, index) {
+    return path.join(logDir, index === 0 ? `${LOG_FILE_BASE}.log` : `${LOG_FILE_BASE}.${index}.log`);
+}
+
+function openLogFile(logDir) {
+    fs.mkdirSync(logDir, { recursive: true });
+    const filePath = logFilePath(logDir, 0);
+    fd = fs.openSync(filePath, 'a');
+    fileSize = fs.fstatSync(fd).size;
+}
+
+function rotate(logDir) {
+    fs.closeSync(fd);
+    fd = null;
+    fs.rmSync(logFilePath(logDir, MAX_FILES - 1), { force: true });
+    for (let index = MAX_FILES - 2; index >= 0; index--) {
+        const from = logFilePath(logDir, index);
+        if (fs.existsSync(from)) fs.renameSync(from, logFilePath(logDir, index + 1));
+    }
+    openLogFile(logDir);
+}
+
+function writeToFile(record) {
+    const logDir = getLogDir();
+    if (!logDir) {
+        unwritten.push(record);
+        return;
+    }
+    try {
+        if (fd === null) openLogFile(logDir);
+        for (const pending of unwritten.splice(0).concat(record)) {
+            const line = JSON.stringify(pending) + '\n';
+            if (fileSize > 0 && fileSize + Buffer.byteLength(line) > MAX_FILE_BYTES) rotate(logDir);
+            fs.writeSync(fd, line);
+            fileSize += Buffer.byteLength(line);
+        }
+    } catch (error) {
+        // Losing a log line must never take a trade down with it
+        settings.file = false;
+        console.error(`Logger: Could not write to ${logDir} (${error.message}); file logging disabled.`);
+    }
+}
+
+function serializeError(error) {
+    return { message: error.message, ...(error.code ? { code: error.code } : {}), stack: error.stack };
+}
+
+function printToConsole(record) {
+    const print = record.level === 'error' ? console.error : record.level === 'warn' ? console.warn : console.log;
+    if (PRINT_JSON) {
+        print(JSON.stringify(record));
+        return;
+    }
+    const detail = record.error ? ` (${record.error.message})` : '';
+    print(`${record.component}: ${record.message}${detail}`);
+}
+
+function write(level, component, message, fields) {
+    if (LEVELS[level] < LEVELS[settings.level] && LEVELS[level] < LEVELS[settings.consoleLevel || settings.level]) return;
+    // A bare Error is shorthand for { error }
+    const { error, ...rest } = fields instanceof Error ? { error: fields } : (fields || {});
+    const record = { timestamp: new Date().toISOString(), level, component, message, ...rest };
+    if (error !== undefined) record.error = error instanceof Error ? serializeError(error) : { message: String(error) };
+
+    if (LEVELS[level] >= LEVELS[settings.consoleLevel || settings.level]) printToConsole(record);
+    if (settings.file && LEVELS[level] >= LEVELS[settings.level]) writeToFile(record);
+}
+
+/**
+ * Creates a logger for one component.
+ * @param {string} component - Recorded on every record, e.g. 'TradingService'.
+ * @param {object} [baseFields] - Fields added to every record (e.g. { tokenAddress }).
+ * @returns {object} { debug, info, warn, error, child }, each level taking (message, fields?) where fields
+ *                   holds tokenAddress, tradeId and any other context, and an `error` (Error or message).
+ */
+function createLogger(component, baseFields = {}) {
+    const logAt = level => (message, fields) => write(level, component, message,
+        fields instanceof Error ? { ...baseFields, error: fields } : { ...baseFields, ...fields });
+    return {
+        debug: logAt('debug'),
+        info: logAt('info'),
+        warn: logAt('warn'),
+        error: logAt('error'),
+        child: fields => createLogger(component, { ...baseFields, ...fields }),
+    };
+}
+
+function readLogFile(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    const records = [];
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            // A torn last line from a crash; nothing else writes these files
+        }
+    }
+    return records;
+}
+
+/**
+ * Reads persisted records, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.level] - Lowest level returned (e.g. 'warn' returns warnings and errors).
+ * @param {string} [filters.component] - Exact component.
+ * @param {string} [filters.tokenAddress] - Records about this token.
+ * @param {string} [filters.tradeId] - Records about this trade.
+ * @param {Date} [filters.from] - Inclusive lower bound on the timestamp.
+ * @param {Date} [filters.to] - Inclusive upper bound on the timestamp.
+ * @param {number} [filters.limit] - Most records returned (default 200, at most 1000).
+ * @returns {Array<object>}
+ */
+function queryLogs(filters = {}) {
+    const logDir = getLogDir();
+    if (!logDir) return [];
+    const { level, component, tokenAddress, tradeId, from, to } = filters;
+    const limit = Math.min(filters.limit || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+    const minLevel = isLevel(level) ? LEVELS[level] : 0;
+    const fromTime = from ? from.getTime() : -Infinity;
+    const toTime = to ? to.getTime() : Infinity;
+
+    const matches = [];
+    // Files and the lines within them run oldest to newest, so read both backwards and stop at the limit
+    for (let index = 0; index < MAX_FILES && matches.length < limit; index++) {
+        const records = readLogFile(logFilePath(logDir, index));
+        for (let i = records.length - 1; i >= 0 && matches.length < limit; i--) {
+            const record = records[i];
+            const time = Date.parse(record.timestamp);
+            if ((LEVELS[record.level] || 0) < minLevel) continue;
+            if (component && record.component !== component) continue;
+            if (tokenAddress && record.tokenAddress !== tokenAddress) continue;
+            if (tradeId && record.tradeId !== tradeId) continue;
+            if (time < fromTime || time > toTime) continue;
+            matches.push(record);
+        }
+    }
+    return matches;
+}
+
+module.exports = {
+    createLogger,
+    configure,
+    queryLogs,
+    isLevel,
+    LEVELS,
+    MAX_QUERY_LIMIT,
+};
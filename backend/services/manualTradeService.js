@@ -0,0 +1,121 @@
+// backend/services/manualTradeService.js
+const tradingModeService = require('./tradingModeService');
+const watchService = require('./watchService');
+const tradeQueueService = require('./tradeQueueService');
+const fillModelService = require('./fillModelService');
+const log = require('./loggerService').createLogger('ManualTradeService');
+
+// Buys and sells placed by the user (WebSocket MANUAL_BUY / MANUAL_SELL and the REST API). Requests are
+// validated here so the client gets a clear error, then run as trade queue jobs through the same
+// initiateBuyOrder / initiateSellOrder path as automated trades, tagged reasonForTrade 'manual'.
+// Manual orders don't go through confirm mode: placing one is the confirmation. They trade in the active
+// trading mode, so balances and positions are checked against that mode's portfolio.
+const MANUAL_REASON = 'manual';
+
+function isPercentage(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0 && value <= 100;
+}
+
+const INVALID_SLIPPAGE_ERROR = 'maxSlippagePercent must be a non-negative number, or null to accept any price impact.';
+
+/**
+ * Why a queued order didn't produce a trade: the job's error, or the status of the failed/skipped trade the
+ * engine recorded for the token while the job ran.
+ */
+function describeFailure(job, tokenAddress, type) {
+    if (job.status === 'failed') return job.error;
+    const recorded = tradingModeService.getPortfolio(job.params.mode).getTradeHistory({ tokenId: tokenAddress, type, from: new Date(job.createdAt) });
+    const latest = recorded[recorded.length - 1];
+    if (!latest) return 'order was not executed';
+    return latest.blockReason ? `${latest.status} (${latest.blockReason})` : latest.status;
+}
+
+async function runManualOrder(type, tokenAddress, params, idempotencyKey) {
+    const job = await tradeQueueService.run(type, tokenAddress, { mode: tradingModeService.getMode(), tokenData: null, ...params }, {
+        idempotencyKey: idempotencyKey ? `manual:${idempotencyKey}` : undefined,
+    });
+    const result = job.status === 'completed' ? job.result : null;
+    if (!result?.trade) {
+        return { success: false, error: `Manual ${type} for ${tokenAddress} failed: ${describeFailure(job, tokenAddress, type)}` };
+    }
+    return { success: true, trade: result.trade, pending: result.pending };
+}
+
+/**
+ * Buys a token with an explicit size: either amountSOL or percentOfBalance.
+ * @param {string} tokenAddress - The address of the token.
+ * @param {object} size
+ * @param {number} [size.amountSOL] - SOL to spend.
+ * @param {number} [size.percentOfBalance] - Percentage (0-100] of the current SOL balance to spend.
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Client-chosen key; resubmitting it returns the original order's outcome.
+ * @param {number|null} [options.maxSlippagePercent] - Slippage tolerance for this order instead of the configured one.
+ * @returns {Promise<{success: boolean, error?: string, trade?: Trade}>}
+ */
+async function manualBuy(tokenAddress, size = {}, options = {}) {
+    const { amountSOL, percentOfBalance } = size;
+    if (!watchService.isValidTokenAddress(tokenAddress)) {
+        return { success: false, error: 'Invalid or missing Solana token address.' };
+    }
+    if ((amountSOL === undefined) === (percentOfBalance === undefined)) {
+        return { success: false, error: 'Specify exactly one of amountSOL or percentOfBalance.' };
+    }
+    if (amountSOL !== undefined) {
+        if (typeof amountSOL !== 'number' || !Number.isFinite(amountSOL) || amountSOL <= 0) {
+            return { success: false, error: 'amountSOL must be a positive number.' };
+        }
+        const balanceSOL = tradingModeService.getPortfolio().getSOLBalance();
+        if (amountSOL > balanceSOL) {
+            return { success: false, error: `amountSOL ${amountSOL} exceeds the SOL balance (${balanceSOL}).` };
+        }
+    } else if (!isPercentage(percentOfBalance)) {
+        return { success: false, error: 'percentOfBalance must be a number greater than 0 and at most 100.' };
+    }
+    if (options.maxSlippagePercent !== undefined && !fillModelService.isValidSlippage(options.maxSlippagePercent)) {
+        return { success: false, error: INVALID_SLIPPAGE_ERROR };
+    }
+
+    log.info(`Manual buy of ${tokenAddress} (${amountSOL !== undefined ? `${amountSOL} SOL` : `${percentOfBalance}% of balance`}).`, { tokenAddress });
+    const result = await runManualOrder('buy', tokenAddress, {
+        options: { manual: true, reason: MANUAL_REASON, amountSOL, percentOfBalance, maxSlippagePercent: options.maxSlippagePercent },
+    }, options.idempotencyKey);
+    if (result.success) watchService.ensureWatched(tokenAddress); // So the new position's trading rules are checked
+    return result;
+}
+
+/**
+ * Sells a percentage of the holding of a token.
+ * @param {string} tokenAddress - The address of the token.
+ * @param {number} percentage - Percentage (0-100] of the holding to sell.
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Client-chosen key; resubmitting it returns the original order's outcome.
+ * @param {number|null} [options.maxSlippagePercent] - Slippage tolerance for this order instead of the configured one.
+ * @returns {Promise<{success: boolean, error?: string, trade?: Trade}>}
+ */
+async function manualSell(tokenAddress, percentage, options = {}) {
+    if (!watchService.isValidTokenAddress(tokenAddress)) {
+        return { success: false, error: 'Invalid or missing Solana token address.' };
+    }
+    if (!isPercentage(percentage)) {
+        return { success: false, error: 'percentage must be a number greater than 0 and at most 100.' };
+    }
+    if (options.maxSlippagePercent !== undefined && !fillModelService.isValidSlippage(options.maxSlippagePercent)) {
+        return { success: false, error: INVALID_SLIPPAGE_ERROR };
+    }
+    const position = tradingModeService.getPortfolio().getPosition(tokenAddress);
+    if (!position || position.amountHeld <= 0) {
+        return { success: false, error: `No open position in ${tokenAddress}.` };
+    }
+
+    log.info(`Manual sell of ${percentage}% of ${tokenAddress}.`, { tokenAddress });
+    return runManualOrder('sell', tokenAddress, {
+        percentageToSell: percentage,
+        reason: MANUAL_REASON,
+        options: { manual: true, maxSlippagePercent: options.maxSlippagePercent },
+    }, options.idempotencyKey);
+}
+
+module.exports = {
+    manualBuy,
+    manualSell,
+};
@@ -0,0 +1,542 @@
+// backend/services/portfolio.js
+const storage = require('./storageService');
+const Trade = require('../models/trade');
+const logger = require('./loggerService').createLogger('PortfolioService');
+
+// Portfolios: positions with cost-basis lots, the SOL balance and the trade history. Requiring this module creates
+// no portfolio; the app's paper portfolio is the one in portfolioService.
+// Portfolio state is persisted as a snapshot plus an append-only journal of committed changes.
+// On boot the snapshot is loaded and newer journal records are replayed on top of it.
+// Files are named after the portfolio: <name>.snapshot.json and <name>.journal.ndjson.
+const JOURNAL_COMPACT_THRESHOLD = 500; // Fold the journal into a fresh snapshot after this many records
+const INITIAL_SOL_BALANCE = 100;
+const POSITION_DUST_AMOUNT = 0.000001; // Holdings/lots at or below this are treated as zero (floating point leftovers)
+
+// How sells are matched against buy lots: 'fifo' consumes the oldest lots first,
+// 'average' takes the same share of every lot so the average cost is unchanged.
+const COST_BASIS_METHODS = ['fifo', 'average'];
+const DEFAULT_COST_BASIS_METHOD = COST_BASIS_METHODS.includes(process.env.COST_BASIS_METHOD) ? process.env.COST_BASIS_METHOD : 'fifo';
+
+function reviveTrade(rawTrade) {
+    const trade = Object.assign(new Trade(), rawTrade);
+    if (trade.timestamp) trade.timestamp = new Date(trade.timestamp);
+    return trade;
+}
+
+/**
+ * Brings positions persisted before lot accounting up to date: their holding becomes one lot
+ * at the average buy price. The SOL cost of such a lot is unknown.
+ */
+function migratePosition(position) {
+    if (!position.lots) {
+        position.lots = [{
+            amount: position.amountHeld,
+            costSOL: null,
+            costUSD: position.amountHeld * position.averageBuyPriceUSD,
+            priceUSD: position.averageBuyPriceUSD,
+            timestamp: null,
+        }];
+        position.realizedPnlSOL = null;
+        position.realizedPnlUSD = 0;
+        recalculateCostBasis(position);
+    }
+    return position;
+}
+
+// Adds a value that may be unknown (null) to a running total; the total becomes unknown too.
+function addNullable(total, value) {
+    return total === null || value === null || value === undefined ? null : total + value;
+}
+
+function recalculateCostBasis(position) {
+    position.costBasisUSD = position.lots.reduce((sum, lot) => sum + lot.costUSD, 0);
+    position.costBasisSOL = position.lots.reduce((sum, lot) => addNullable(sum, lot.costSOL), 0);
+    if (position.amountHeld > 0) {
+        position.averageBuyPriceUSD = position.costBasisUSD / position.amountHeld;
+    }
+}
+
+function scaleLot(lot, factor) {
+    lot.amount *= factor;
+    lot.costUSD *= factor;
+    lot.costSOL = lot.costSOL === null ? null : lot.costSOL * factor;
+}
+
+/**
+ * Matches a sale of `amount` tokens against the position's lots using the given cost-basis method.
+ * Does not modify the position.
+ * @returns {{costBasisSOL: number|null, costBasisUSD: number, remainingLots: Array<object>}}
+ */
+function allocateSaleToLots(position, amount, method) {
+    const lots = position.lots.map(lot => ({ ...lot }));
+    let costBasisSOL = 0;
+    let costBasisUSD = 0;
+    const takeFromLot = (lot, fraction) => {
+        costBasisUSD += lot.costUSD * fraction;
+        costBasisSOL = addNullable(costBasisSOL, lot.costSOL === null ? null : lot.costSOL * fraction);
+        scaleLot(lot, 1 - fraction);
+    };
+
+    if (method === 'average') {
+        const fraction = Math.min(1, amount / position.amountHeld);
+        lots.forEach(lot => takeFromLot(lot, fraction));
+    } else {
+        let remaining = amount;
+        for (const lot of lots) {
+            if (remaining <= 0) break;
+            const taken = Math.min(lot.amount, remaining);
+            takeFromLot(lot, taken / lot.amount);
+            remaining -= taken;
+        }
+    }
+
+    return { costBasisSOL, costBasisUSD, remainingLots: lots.filter(lot => lot.amount > POSITION_DUST_AMOUNT) };
+}
+
+/**
+ * Creates a portfolio with its own balance, positions and trade history.
+ * portfolioService's default export is the persisted main portfolio; other callers (e.g. backtests)
+ * can create throwaway in-memory ones with the exact same accounting.
+ * @param {object} [options]
+ * @param {string} [options.name='portfolio'] - Base name of the persisted snapshot/journal files.
+ * @param {boolean} [options.persist=true] - Load from and journal to disk.
+ * @param {number} [options.initialSOLBalance=100] - Starting balance when nothing is persisted.
+ * @param {string} [options.costBasisMethod] - 'fifo' or 'average'; defaults to COST_BASIS_METHOD or 'fifo'.
+ * @param {Function} [options.now] - Clock used for lot timestamps, e.g. the replay time in a backtest.
+ * @returns {object} Portfolio API.
+ */
+function createPortfolio(options = {}) {
+    const name = options.name || 'portfolio';
+    const log = logger.child({ portfolio: name }); // Tells the paper, real and backtest portfolios apart
+    const persist = options.persist !== false;
+    const initialSOLBalance = options.initialSOLBalance ?? INITIAL_SOL_BALANCE;
+    const now = options.now || (() => new Date());
+    const SNAPSHOT_FILE = `${name}.snapshot.json`;
+    const JOURNAL_FILE = `${name}.journal.ndjson`;
+
+    // In-memory store for portfolio
+    const portfolio = {
+        currentSOLBalance: initialSOLBalance, // Initial SOL balance
+        positions: new Map(), // Using a Map for easier management of positions by tokenAddress
+        // Example position structure:
+        // tokenAddress: {
+        //   tokenAddress: string,
+        //   amountHeld: number,
+        //   averageBuyPriceUSD: number, // Price per token in USD
+        //   initialInvestmentUSD: number, // Total USD value invested in this position over all buys
+        //   lots: Array<{amount, costSOL, costUSD, priceUSD, timestamp}>, // Open buy lots, oldest first
+        //   costBasisSOL: number|null, // Remaining cost of the open lots (what is still at risk); null if unknown
+        //   costBasisUSD: number,
+        //   realizedPnlSOL: number|null, // Cumulative realized P&L of sells from this position
+        //   realizedPnlUSD: number,
+        //   // Per-token exit rules (null = use the trading service defaults):
+        //   takeProfitPercent: number|null, // e.g. 20 for +20%
+        //   stopLossPercent: number|null, // e.g. 10 for -10%
+        //   takeProfitPriceUSD: number|null, // Absolute price, takes precedence over takeProfitPercent
+        //   stopLossPriceUSD: number|null, // Absolute price, takes precedence over stopLossPercent
+        //   stopLossMode: 'fixed'|'trailing'|null, // 'trailing' measures the stop from highestPriceUSD instead of the buy price
+        //   trailingStopPercent: number|null, // e.g. 15 to sell 15% below the high-water mark
+        //   highestPriceUSD: number, // High-water mark since entry, maintained by the trading rule check
+        //   takeProfitTiers: Array<{gainPercent, sellPercent, triggered, triggeredAt}>|null, // Scale-out ladder, replaces the single take-profit
+        //   tierBaseAmount: number|null, // Holding that tier sellPercents refer to (grows with add-on buys)
+        //   tierEntryPriceUSD: number|null, // Price tier gains are measured from: the average buy price when the ladder
+        //                                   // was set, blended with add-on buys but unaffected by sells
+        // }
+        simulatedTradeHistory: [], // To store all simulated Trade objects
+    };
+
+    // Latest market prices per token, used for unrealized P&L. Not persisted; refreshed by the watch loop.
+    const latestMarks = new Map(); // tokenAddress -> { priceUSD, solPriceUSD, timestamp }
+    let costBasisMethod = options.costBasisMethod || DEFAULT_COST_BASIS_METHOD;
+
+    let journalSeq = 0; // Sequence number of the last committed journal record
+    let journalRecordCount = 0; // Records in the journal file since the last snapshot
+    let activeTransaction = null; // { ops: [], backup, tradesBefore } while runInTransaction is executing
+
+    function applyOp(op) {
+        switch (op.op) {
+            case 'balance':
+                portfolio.currentSOLBalance = op.value;
+                break;
+            case 'position':
+                if (op.position) {
+                    portfolio.positions.set(op.tokenAddress, migratePosition(op.position));
+                } else {
+                    portfolio.positions.delete(op.tokenAddress);
+                }
+                break;
+            case 'trade':
+                portfolio.simulatedTradeHistory.push(reviveTrade(op.trade));
+                break;
+            case 'tradeStatus': {
+                const trade = portfolio.simulatedTradeHistory.find(t => t.id === op.id);
+                if (trade) Object.assign(trade, op.fields, { status: op.status });
+                break;
+            }
+            default:
+                log.warn(`Unknown journal op "${op.op}" ignored.`);
+        }
+    }
+
+    function writeSnapshot() {
+        storage.writeJSONAtomic(SNAPSHOT_FILE, {
+            seq: journalSeq,
+            currentSOLBalance: portfolio.currentSOLBalance,
+            positions: Object.fromEntries(portfolio.positions),
+            simulatedTradeHistory: portfolio.simulatedTradeHistory,
+        });
+        // Safe to drop the journal only after the snapshot covering it has been renamed into place.
+        storage.remove(JOURNAL_FILE);
+        journalRecordCount = 0;
+    }
+
+    /**
+     * Loads the persisted snapshot and replays the journal on top of it.
+     */
+    function loadPersistedState() {
+        const snapshot = storage.readJSON(SNAPSHOT_FILE);
+        if (snapshot) {
+            portfolio.currentSOLBalance = snapshot.currentSOLBalance;
+            portfolio.positions = new Map(Object.entries(snapshot.positions || {}).map(([address, position]) => [address, migratePosition(position)]));
+            portfolio.simulatedTradeHistory = (snapshot.simulatedTradeHistory || []).map(reviveTrade);
+            journalSeq = snapshot.seq || 0;
+        }
+
+        let replayed = 0;
+        for (const record of storage.readLines(JOURNAL_FILE)) {
+            // Records at or below the snapshot seq are already folded in (crash between snapshot and journal removal).
+            if (record.seq <= journalSeq) continue;
+            record.ops.forEach(applyOp);
+            journalSeq = record.seq;
+            replayed++;
+        }
+        journalRecordCount = replayed;
+
+        if (snapshot || replayed > 0) {
+            log.info(`Restored portfolio from ${storage.DATA_DIR} (${replayed} journal record(s) replayed). SOL Balance: ${portfolio.currentSOLBalance}, Positions: ${portfolio.positions.size}, Trades: ${portfolio.simulatedTradeHistory.length}`);
+        } else {
+            log.info(`No persisted portfolio found in ${storage.DATA_DIR}. Starting with ${initialSOLBalance} SOL.`);
+        }
+    }
+
+    function commit(ops) {
+        if (!persist) return;
+        journalSeq++;
+        storage.appendLine(JOURNAL_FILE, { seq: journalSeq, timestamp: new Date().toISOString(), ops });
+        journalRecordCount++;
+        if (journalRecordCount >= JOURNAL_COMPACT_THRESHOLD) {
+            writeSnapshot();
+        }
+    }
+
+    /**
+     * Records a state change. Inside a transaction the op is buffered until the transaction commits;
+     * otherwise it is written to the journal immediately.
+     */
+    function record(op) {
+        if (activeTransaction) {
+            activeTransaction.ops.push(op);
+        } else {
+            commit([op]);
+        }
+    }
+
+    /**
+     * Runs fn so that all portfolio changes it makes are journaled as one record.
+     * If fn throws, the in-memory state is rolled back and nothing is written.
+     * Nested calls join the outer transaction.
+     * @param {Function} fn - Synchronous function performing portfolio mutations.
+     * @returns {any} Whatever fn returns.
+     */
+    function runInTransaction(fn) {
+        if (activeTransaction) {
+            return fn();
+        }
+
+        activeTransaction = {
+            ops: [],
+            backup: {
+                currentSOLBalance: portfolio.currentSOLBalance,
+                positions: new Map([...portfolio.positions].map(([address, position]) => [address, structuredClone(position)])),
+                tradeCount: portfolio.simulatedTradeHistory.length,
+            },
+            tradesBefore: new Map(), // Trade -> copy taken before the transaction first changed its status
+        };
+
+        try {
+            const result = fn();
+            const { ops } = activeTransaction;
+            activeTransaction = null;
+            if (ops.length > 0) commit(ops);
+            return result;
+        } catch (error) {
+            const { backup, tradesBefore } = activeTransaction;
+            activeTransaction = null;
+            portfolio.currentSOLBalance = backup.currentSOLBalance;
+            portfolio.positions = backup.positions;
+            portfolio.simulatedTradeHistory.length = backup.tradeCount;
+            for (const [trade, before] of tradesBefore) {
+                Object.keys(trade).forEach(key => delete trade[key]);
+                Object.assign(trade, before);
+            }
+            log.error('Transaction rolled back', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Returns the cost basis a sale of `amount` tokens would realize, without changing the position.
+     * @param {string} tokenAddress - The address of the token.
+     * @param {number} amount - Tokens to sell.
+     * @returns {{costBasisSOL: number|null, costBasisUSD: number}|null} Null if there is no position.
+     */
+    function previewSaleCostBasis(tokenAddress, amount) {
+        const position = portfolio.positions.get(tokenAddress);
+        if (!position) return null;
+        const { costBasisSOL, costBasisUSD } = allocateSaleToLots(position, amount, costBasisMethod);
+        return { costBasisSOL, costBasisUSD };
+    }
+
+    function getCostBasisMethod() {
+        return costBasisMethod;
+    }
+
+    function setCostBasisMethod(method) {
+        if (!COST_BASIS_METHODS.includes(method)) {
+            log.error(`Invalid cost basis method "${method}". Expected one of: ${COST_BASIS_METHODS.join(', ')}`);
+            return false;
+        }
+        costBasisMethod = method;
+        log.info(`Cost basis method set to ${method}`);
+        return true;
+    }
+
+    /**
+     * Records the latest market price of a token so open positions can report unrealized P&L.
+     * @param {string} tokenAddress - The address of the token.
+     * @param {number} priceUSD - Latest token price in USD.
+     * @param {number|null} solPriceUSD - Latest SOL/USD rate, used for the SOL-denominated figure.
+     */
+    function markPrice(tokenAddress, priceUSD, solPriceUSD) {
+        if (typeof priceUSD !== 'number') return;
+        latestMarks.set(tokenAddress, { priceUSD, solPriceUSD: solPriceUSD || null, timestamp: now() });
+    }
+
+    function withUnrealizedPnl(position) {
+        const mark = latestMarks.get(position.tokenAddress);
+        if (!mark) {
+            return { ...position, lastPriceUSD: null, marketValueUSD: null, unrealizedPnlUSD: null, unrealizedPnlSOL: null };
+        }
+        const marketValueUSD = position.amountHeld * mark.priceUSD;
+        const unrealizedPnlSOL = mark.solPriceUSD && position.costBasisSOL !== null
+            ? marketValueUSD / mark.solPriceUSD - position.costBasisSOL
+            : null;
+        return {
+            ...position,
+            lastPriceUSD: mark.priceUSD,
+            marketValueUSD,
+            unrealizedPnlUSD: marketValueUSD - position.costBasisUSD,
+            unrealizedPnlSOL,
+        };
+    }
+
+    function getPortfolio() {
+        const positions = [...portfolio.positions.values()].map(withUnrealizedPnl);
+        const realizedTrades = portfolio.simulatedTradeHistory.filter(trade => trade.type === 'sell' && typeof trade.realizedPnlUSD === 'number');
+        return {
+            currentSOLBalance: portfolio.currentSOLBalance,
+            positions: Object.fromEntries(positions.map(position => [position.tokenAddress, position])), // Convert Map to object for easier external use/display
+            simulatedTradeHistory: [...portfolio.simulatedTradeHistory],
+            costBasisMethod,
+            realizedPnlUSD: realizedTrades.reduce((sum, trade) => sum + trade.realizedPnlUSD, 0),
+            realizedPnlSOL: realizedTrades.reduce((sum, trade) => addNullable(sum, trade.realizedPnlSOL), 0),
+            unrealizedPnlUSD: positions.reduce((sum, position) => addNullable(sum, position.unrealizedPnlUSD), 0),
+            unrealizedPnlSOL: positions.reduce((sum, position) => addNullable(sum, position.unrealizedPnlSOL), 0),
+        };
+    }
+
+    function getSOLBalance() {
+        return portfolio.currentSOLBalance;
+    }
+
+    function setSOLBalance(newBalance) {
+        if (typeof newBalance !== 'number' || newBalance < 0) {
+            log.error('Invalid attempt to set SOL balance.', { newBalance });
+            return false;
+        }
+        portfolio.currentSOLBalance = newBalance;
+        record({ op: 'balance', value: newBalance });
+        log.info(`SOL Balance updated to ${newBalance}`);
+        return true;
+    }
+
+    function getPosition(tokenAddress) {
+        return portfolio.positions.get(tokenAddress);
+    }
+
+    /**
+     * Updates or adds a position to the portfolio.
+     * @param {string} tokenAddress - The address of the token.
+     * @param {number} amountChange - The amount of token bought (+) or sold (-).
+     * @param {number} priceUSD - The current price of the token in USD.
+     * @param {number} solInvestedChange - The amount of SOL invested (+) or returned from sale (-).
+     * @param {number} usdValueChange - The USD value of the tokens bought (+) or sold (-).
+     */
+    function updatePosition(tokenAddress, amountChange, priceUSD, solInvestedChange, usdValueChange) {
+        let position = portfolio.positions.get(tokenAddress);
+
+        if (!position && amountChange <= 0) {
+            log.error(`Attempted to sell non-existent position for ${tokenAddress}`, { tokenAddress });
+            return null;
+        }
+
+        if (!position) { // New buy
+            position = {
+                tokenAddress,
+                amountHeld: amountChange,
+                averageBuyPriceUSD: priceUSD,
+                initialInvestmentUSD: usdValueChange, // USD value of this first buy
+                lots: [{ amount: amountChange, costSOL: solInvestedChange, costUSD: usdValueChange, priceUSD, timestamp: now().toISOString() }],
+                costBasisSOL: solInvestedChange,
+                costBasisUSD: usdValueChange,
+                realizedPnlSOL: 0,
+                realizedPnlUSD: 0,
+                takeProfitPercent: null,
+                stopLossPercent: null,
+                takeProfitPriceUSD: null,
+                stopLossPriceUSD: null,
+                stopLossMode: null,
+                trailingStopPercent: null,
+                highestPriceUSD: priceUSD,
+                takeProfitTiers: null,
+                tierBaseAmount: null,
+                tierEntryPriceUSD: null,
+            };
+            portfolio.positions.set(tokenAddress, position);
+            log.info(`New position ADDED for ${tokenAddress}`, { tokenAddress, amountHeld: position.amountHeld });
+        } else { // Existing position
+            if (amountChange > 0) { // Subsequent buy
+                position.lots.push({ amount: amountChange, costSOL: solInvestedChange, costUSD: usdValueChange, priceUSD, timestamp: now().toISOString() });
+                position.amountHeld += amountChange;
+                position.initialInvestmentUSD += usdValueChange; // Add to total USD invested
+                recalculateCostBasis(position); // Recalculates the average buy price over the open lots
+                if (position.tierBaseAmount) { // Ladder tiers scale with the add-on
+                    position.tierEntryPriceUSD = (position.tierEntryPriceUSD * position.tierBaseAmount + priceUSD * amountChange) / (position.tierBaseAmount + amountChange);
+                    position.tierBaseAmount += amountChange;
+                }
+                log.info(`Position UPDATED (buy) for ${tokenAddress}`, { tokenAddress, amountHeld: position.amountHeld });
+            } else { // Sell
+                // Match the sale against the open lots; what they cost is the realized cost basis.
+                const { costBasisSOL, costBasisUSD, remainingLots } = allocateSaleToLots(position, -amountChange, costBasisMethod);
+                position.realizedPnlUSD += -usdValueChange - costBasisUSD; // usdValueChange/solInvestedChange are negative for sells
+                position.realizedPnlSOL = addNullable(position.realizedPnlSOL, costBasisSOL === null ? null : -solInvestedChange - costBasisSOL);
+                position.amountHeld += amountChange; // amountChange is negative for sells
+                position.lots = remainingLots;
+                recalculateCostBasis(position);
+                log.info(`Position UPDATED (sell, ${costBasisMethod}) for ${tokenAddress}`, { tokenAddress, amountHeld: position.amountHeld });
+
+                if (position.amountHeld <= POSITION_DUST_AMOUNT) { // Using a small threshold for floating point issues
+                    portfolio.positions.delete(tokenAddress);
+                    record({ op: 'position', tokenAddress, position: null });
+                    log.info(`Position REMOVED for ${tokenAddress} (fully sold).`, { tokenAddress });
+                    return null; // Position closed
+                }
+            }
+        }
+        record({ op: 'position', tokenAddress, position: structuredClone(position) });
+        return portfolio.positions.get(tokenAddress); // Return the updated or new position
+    }
+
+    /**
+     * Merges non-holding fields (e.g. exit rules) into an existing position.
+     * @param {string} tokenAddress - The address of the token.
+     * @param {object} fields - Fields to set on the position.
+     * @returns {object|null} The updated position, or null if there is no such position.
+     */
+    function setPositionFields(tokenAddress, fields) {
+        const position = portfolio.positions.get(tokenAddress);
+        if (!position) {
+            log.error(`Attempted to update fields of non-existent position for ${tokenAddress}`, { tokenAddress });
+            return null;
+        }
+        Object.assign(position, fields);
+        record({ op: 'position', tokenAddress, position: structuredClone(position) });
+        return position;
+    }
+
+    function addTradeToHistory(trade) {
+        portfolio.simulatedTradeHistory.push(trade);
+        record({ op: 'trade', trade });
+        log.info(`Trade logged for ${trade.tokenId}, Type: ${trade.type}, Status: ${trade.status}`, { tokenAddress: trade.tokenId, tradeId: trade.id, status: trade.status });
+    }
+
+    /**
+     * Changes the status of a recorded trade, e.g. a 'pending' proposal that was confirmed, rejected or expired.
+     * @param {string} tradeId - The trade's id.
+     * @param {string} status - The new status.
+     * @param {object} [fields] - Other trade fields that change along with it (e.g. a transaction signature).
+     * @returns {Trade|null} The updated trade, or null if no trade has that id.
+     */
+    function updateTradeStatus(tradeId, status, fields = undefined) {
+        const trade = portfolio.simulatedTradeHistory.find(t => t.id === tradeId);
+        if (!trade) {
+            log.error(`Cannot update status of unknown trade ${tradeId}`, { tradeId });
+            return null;
+        }
+        if (activeTransaction && !activeTransaction.tradesBefore.has(trade)) {
+            activeTransaction.tradesBefore.set(trade, { ...trade });
+        }
+        Object.assign(trade, fields, { status });
+        record({ op: 'tradeStatus', id: tradeId, status, ...(fields ? { fields } : {}) });
+        log.info(`Trade ${tradeId} status -> ${status}`, { tradeId });
+        return trade;
+    }
+
+    /**
+     * Returns the trade history, optionally filtered.
+     * @param {object} [filters]
+     * @param {string} [filters.tokenId] - Only trades for this token address.
+     * @param {string} [filters.type] - 'buy' or 'sell'.
+     * @param {string} [filters.status] - Exact status, e.g. 'simulated_completed'.
+     * @param {Date} [filters.from] - Only trades at or after this time.
+     * @param {Date} [filters.to] - Only trades at or before this time.
+     * @returns {Array<Trade>}
+     */
+    function getTradeHistory(filters = {}) {
+        const { tokenId, type, status, from, to } = filters;
+        return portfolio.simulatedTradeHistory.filter(trade => {
+            if (tokenId && trade.tokenId !== tokenId) return false;
+            if (type && trade.type !== type) return false;
+            if (status && trade.status !== status) return false;
+            const time = new Date(trade.timestamp).getTime();
+            if (from && time < from.getTime()) return false;
+            if (to && time > to.getTime()) return false;
+            return true;
+        });
+    }
+
+    if (persist) {
+        loadPersistedState();
+    }
+
+    return {
+        getPortfolio,
+        getSOLBalance,
+        setSOLBalance,
+        getPosition,
+        updatePosition,
+        previewSaleCostBasis,
+        getCostBasisMethod,
+        setCostBasisMethod,
+        markPrice,
+        setPositionFields,
+        addTradeToHistory,
+        updateTradeStatus,
+        getTradeHistory,
+        runInTransaction,
+    };
+}
+
+module.exports = {
+    createPortfolio,
+};
@@ -0,0 +1,145 @@
+// backend/services/priceHistoryService.js
+const storage = require('./storageService');
+const log = require('./loggerService').createLogger('PriceHistoryService');
+
+// Time series of price / liquidity / market cap samples per token, recorded by the refresh loop.
+// Samples are appended to an NDJSON file so rolling performance survives a restart.
+const HISTORY_FILE = 'price_history.ndjson';
+const RETENTION_MS = (parseFloat(process.env.PRICE_HISTORY_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+const COMPACT_EVERY_N_APPENDS = 5000; // Rewrite the file without expired samples after this many appends
+
+const PERF_WINDOWS_MS = {
+    perf5min: 5 * 60 * 1000,
+    perf1hr: 60 * 60 * 1000,
+};
+
+const history = new Map(); // tokenAddress -> Array<{ timestamp, priceUSD, liquidityUSD, marketCapUSD }>, oldest first
+let appendsSinceCompaction = 0;
+
+function pruneExpired(samples, now = Date.now()) {
+    const cutoff = now - RETENTION_MS;
+    let firstKept = 0;
+    while (firstKept < samples.length && samples[firstKept].timestamp < cutoff) firstKept++;
+    if (firstKept > 0) samples.splice(0, firstKept);
+}
+
+function compact() {
+    const records = [];
+    for (const [address, samples] of history) {
+        pruneExpired(samples);
+        samples.forEach(sample => records.push({ address, ...sample }));
+    }
+    records.sort((a, b) => a.timestamp - b.timestamp);
+    storage.writeLinesAtomic(HISTORY_FILE, records);
+    appendsSinceCompaction = 0;
+}
+
+function loadPersistedHistory() {
+    const records = storage.readLines(HISTORY_FILE);
+    for (const { address, ...sample } of records) {
+        if (!history.has(address)) history.set(address, []);
+        history.get(address).push(sample);
+    }
+    compact();
+    if (records.length > 0) {
+        log.info(`Loaded ${records.length} sample(s) for ${history.size} token(s).`);
+    }
+}
+
+/**
+ * Records a sample from a freshly fetched Token. Re-deliveries of the same fetch (e.g. from cache) are ignored.
+ * @param {object} tokenData - Token with address, priceUSD, liquidityUSD, marketCapUSD and lastFetched.
+ * @returns {boolean} True if a new sample was stored.
+ */
+function recordSample(tokenData) {
+    if (!tokenData || !tokenData.address || typeof tokenData.priceUSD !== 'number') {
+        return false;
+    }
+
+    const timestamp = tokenData.lastFetched ? new Date(tokenData.lastFetched).getTime() : Date.now();
+    if (!history.has(tokenData.address)) history.set(tokenData.address, []);
+    const samples = history.get(tokenData.address);
+
+    const latest = samples[samples.length - 1];
+    if (latest && timestamp <= latest.timestamp) {
+        return false; // Same (cached) fetch delivered again
+    }
+
+    const sample = {
+        timestamp,
+        priceUSD: tokenData.priceUSD,
+        liquidityUSD: tokenData.liquidityUSD ?? null,
+        marketCapUSD: tokenData.marketCapUSD ?? null,
+    };
+    samples.push(sample);
+    pruneExpired(samples);
+
+    storage.appendLine(HISTORY_FILE, { address: tokenData.address, ...sample });
+    if (++appendsSinceCompaction >= COMPACT_EVERY_N_APPENDS) {
+        compact();
+    }
+    return true;
+}
+
+/**
+ * Returns the samples for a token, optionally only those at or after sinceMs.
+ * @param {string} tokenAddress - The address of the token.
+ * @param {number} [sinceMs] - Epoch milliseconds.
+ * @returns {Array<object>} Samples, oldest first.
+ */
+function getSamples(tokenAddress, sinceMs = 0) {
+    const samples = history.get(tokenAddress) || [];
+    return samples.filter(sample => sample.timestamp >= sinceMs);
+}
+
+function getLatestSample(tokenAddress) {
+    const samples = history.get(tokenAddress);
+    return samples && samples.length > 0 ? samples[samples.length - 1] : null;
+}
+
+/**
+ * Percentage price change over a rolling window, measured from the newest sample at least windowMs old.
+ * @param {string} tokenAddress - The address of the token.
+ * @param {number} windowMs - Window length in milliseconds.
+ * @returns {number|null} e.g. 12.5 for +12.5%, or null if history doesn't cover the window yet.
+ */
+function getPerformance(tokenAddress, windowMs) {
+    const samples = history.get(tokenAddress);
+    if (!samples || samples.length < 2) return null;
+
+    const latest = samples[samples.length - 1];
+    const windowStart = latest.timestamp - windowMs;
+    let reference = null;
+    for (let i = samples.length - 2; i >= 0; i--) {
+        if (samples[i].timestamp <= windowStart) {
+            reference = samples[i];
+            break;
+        }
+    }
+    if (!reference || !reference.priceUSD) return null;
+
+    return ((latest.priceUSD - reference.priceUSD) / reference.priceUSD) * 100;
+}
+
+/**
+ * Returns a copy of the token data with rolling 5-minute and 1-hour performance attached.
+ * @param {object} tokenData - Token object.
+ * @returns {object} Token data plus perf5min and perf1hr (percent or null).
+ */
+function withPerformance(tokenData) {
+    const performance = {};
+    for (const [field, windowMs] of Object.entries(PERF_WINDOWS_MS)) {
+        performance[field] = getPerformance(tokenData.address, windowMs);
+    }
+    return { ...tokenData, ...performance };
+}
+
+module.exports = {
+    recordSample,
+    getSamples,
+    getLatestSample,
+    getPerformance,
+    withPerformance,
+};
+
+loadPersistedHistory();
@@ -0,0 +1,50 @@
+// backend/services/providers/birdeye.js
+const httpClient = require('../httpClient');
+const log = require('../loggerService').createLogger('Birdeye');
+
+// Birdeye token overview: metadata, price, liquidity and market cap in one call. Requires BIRDEYE_API_KEY.
+const BIRDEYE_API_KEY = process.env.BIRDEYE_API_KEY || null;
+const BIRDEYE_API_BASE_URL = 'https://public-api.birdeye.so';
+
+const name = 'birdeye';
+const fields = ['name', 'symbol', 'supply', 'priceUSD', 'liquidityUSD', 'marketCapUSD'];
+
+function isEnabled() {
+    return Boolean(BIRDEYE_API_KEY);
+}
+
+/**
+ * @param {string} tokenAddress The Solana address of the token.
+ * @returns {Promise<object|null>} { name, symbol, supply, priceUSD, liquidityUSD, marketCapUSD } or null.
+ */
+async function fetchFields(tokenAddress) {
+    try {
+        const response = await httpClient.get(`${BIRDEYE_API_BASE_URL}/defi/token_overview`, {
+            params: { address: tokenAddress },
+            headers: { 'X-API-KEY': BIRDEYE_API_KEY, 'x-chain': 'solana' },
+        });
+        if (!response.data?.success || !response.data.data) {
+            log.warn(`API did not return expected data for ${tokenAddress}.`, { tokenAddress, response: response.data?.message || response.data });
+            return null;
+        }
+        const overview = response.data.data;
+        return {
+            name: overview.name || null,
+            symbol: overview.symbol || null,
+            supply: overview.supply ?? null,
+            priceUSD: overview.price ?? null,
+            liquidityUSD: overview.liquidity ?? null,
+            marketCapUSD: overview.marketCap ?? overview.mc ?? null,
+        };
+    } catch (error) {
+        log.error(`Error fetching token overview for ${tokenAddress}.`, { tokenAddress, status: error.response?.status, error });
+        return null;
+    }
+}
+
+module.exports = {
+    name,
+    fields,
+    isEnabled,
+    fetchFields,
+};
@@ -0,0 +1,48 @@
+// backend/services/providers/dexScreener.js
+const httpClient = require('../httpClient');
+const log = require('../loggerService').createLogger('DexScreener');
+
+// DexScreener: keyless, covers pools on every Solana DEX (not only Raydium), keyed by mint address.
+const DEXSCREENER_API_BASE_URL = 'https://api.dexscreener.com/latest/dex';
+
+const name = 'dexscreener';
+const fields = ['name', 'symbol', 'priceUSD', 'liquidityUSD', 'marketCapUSD'];
+
+function isEnabled() {
+    return true;
+}
+
+/**
+ * Reads the token's deepest Solana pair where it is the base token.
+ * @param {string} tokenAddress The Solana address of the token.
+ * @returns {Promise<object|null>} { name, symbol, priceUSD, liquidityUSD, marketCapUSD } or null.
+ */
+async function fetchFields(tokenAddress) {
+    try {
+        const response = await httpClient.get(`${DEXSCREENER_API_BASE_URL}/tokens/${tokenAddress}`);
+        const pairs = (response.data?.pairs || []).filter(pair => pair.chainId === 'solana' && pair.baseToken?.address === tokenAddress);
+        if (pairs.length === 0) {
+            log.warn(`No Solana pair with ${tokenAddress} as base token.`, { tokenAddress });
+            return null;
+        }
+        const deepest = pairs.reduce((best, pair) => ((pair.liquidity?.usd || 0) > (best.liquidity?.usd || 0) ? pair : best));
+        const priceUSD = parseFloat(deepest.priceUsd);
+        return {
+            name: deepest.baseToken.name || null,
+            symbol: deepest.baseToken.symbol || null,
+            priceUSD: Number.isNaN(priceUSD) ? null : priceUSD,
+            liquidityUSD: deepest.liquidity?.usd ?? null,
+            marketCapUSD: deepest.marketCap ?? deepest.fdv ?? null,
+        };
+    } catch (error) {
+        log.error(`Error fetching token data for ${tokenAddress}.`, { tokenAddress, status: error.response?.status, error });
+        return null;
+    }
+}
+
+module.exports = {
+    name,
+    fields,
+    isEnabled,
+    fetchFields,
+};
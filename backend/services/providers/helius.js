@@ -0,0 +1,116 @@
+// backend/services/providers/helius.js
+const httpClient = require('../httpClient');
+const log = require('../loggerService').createLogger('Helius');
+const cache = require('../cacheService');
+
+// Helius DAS / RPC: token metadata (name, symbol, supply) and mint creation time.
+const HELIUS_API_KEY = process.env.HELIUS_API_KEY || 'YOUR_HELIUS_API_KEY'; // Placeholder, use environment variables
+const HELIUS_API_BASE_URL = 'https://mainnet.helius-rpc.com'; // Corrected Helius RPC endpoint
+
+const TOKEN_CREATION_RETRY_TTL_MS = 60 * 60 * 1000; // Retry an undetermined creation time after 1 hour
+const SIGNATURES_PAGE_LIMIT = 1000; // Max page size of getSignaturesForAddress
+const TOKEN_CREATION_MAX_SIGNATURE_PAGES = 5; // Older/busier mints than this are reported with unknown age
+
+const name = 'helius';
+const fields = ['name', 'symbol', 'supply'];
+
+function isEnabled() {
+    return true;
+}
+
+function heliusUrl() {
+    return `${HELIUS_API_BASE_URL}/?api-key=${HELIUS_API_KEY}`;
+}
+
+/**
+ * Fetches token metadata with getAsset.
+ * @param {string} tokenAddress The Solana address of the token.
+ * @returns {Promise<object|null>} { name, symbol, supply } (any may be null) or null on failure.
+ */
+async function fetchFields(tokenAddress) {
+    try {
+        const heliusResponse = await httpClient.post(heliusUrl(), {
+            jsonrpc: '2.0',
+            id: `helius-fetch-asset-${tokenAddress}`,
+            method: 'getAsset',
+            params: { id: tokenAddress },
+        });
+
+        if (!heliusResponse.data || !heliusResponse.data.result) {
+            log.warn(`API did not return expected data for ${tokenAddress}.`, { tokenAddress, response: heliusResponse.data?.error?.message || heliusResponse.data });
+            return null;
+        }
+
+        const assetData = heliusResponse.data.result;
+        let supply = null;
+        if (assetData.token_info && assetData.token_info.supply) {
+            const decimals = assetData.token_info.decimals === undefined ? 0 : assetData.token_info.decimals;
+            supply = assetData.token_info.supply / Math.pow(10, decimals);
+        }
+        return {
+            name: assetData.content?.metadata?.name || null,
+            symbol: assetData.content?.metadata?.symbol || null,
+            supply,
+        };
+    } catch (error) {
+        log.error(`Error fetching token metadata for ${tokenAddress}.`, { tokenAddress, response: error.response?.data, error });
+        return null;
+    }
+}
+
+/**
+ * Determines when a token mint was created from its oldest on-chain signature (the mint's first activity).
+ * Raydium's /main/pairs data carries no pool creation time, so first-mint data is the source for token age.
+ * Walks getSignaturesForAddress back from the newest page; gives up after a few pages for very active mints.
+ * @param {string} tokenAddress The Solana address of the token.
+ * @returns {Promise<Date|null>} Creation time, or null if it could not be determined.
+ */
+async function fetchTokenCreationTime(tokenAddress) {
+    const { createdAt } = await cache.getOrFetch(`token_created_${tokenAddress}`, () => fetchCreationFromSignatures(tokenAddress), {
+        // Creation time never changes, so a determined value is cached without TTL
+        ttlMs: ({ createdAt: found }) => (found ? undefined : TOKEN_CREATION_RETRY_TTL_MS),
+    });
+    return createdAt;
+}
+
+// Wrapped in { createdAt } so an undetermined (null) result is cached too
+async function fetchCreationFromSignatures(tokenAddress) {
+    let createdAt = null;
+    try {
+        let before;
+        for (let page = 0; page < TOKEN_CREATION_MAX_SIGNATURE_PAGES; page++) {
+            const response = await httpClient.post(heliusUrl(), {
+                jsonrpc: '2.0',
+                id: `helius-signatures-${tokenAddress}-${page}`,
+                method: 'getSignaturesForAddress',
+                params: [tokenAddress, { limit: SIGNATURES_PAGE_LIMIT, before }],
+            });
+            const signatures = response.data?.result;
+            if (!Array.isArray(signatures) || signatures.length === 0) {
+                break;
+            }
+            const oldest = signatures[signatures.length - 1];
+            if (signatures.length < SIGNATURES_PAGE_LIMIT) {
+                // Reached the first page of history: the oldest signature is the mint's creation
+                if (oldest.blockTime) createdAt = new Date(oldest.blockTime * 1000);
+                break;
+            }
+            before = oldest.signature;
+        }
+        if (!createdAt) {
+            log.warn(`Could not determine creation time for ${tokenAddress} within ${TOKEN_CREATION_MAX_SIGNATURE_PAGES} signature page(s).`, { tokenAddress });
+        }
+    } catch (error) {
+        log.error(`Error fetching creation time for ${tokenAddress}.`, { tokenAddress, response: error.response?.data, error });
+    }
+
+    return { createdAt };
+}
+
+module.exports = {
+    name,
+    fields,
+    isEnabled,
+    fetchFields,
+    fetchTokenCreationTime,
+};
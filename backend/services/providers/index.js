@@ -0,0 +1,53 @@
+// backend/services/providers/index.js
+const helius = require('./helius');
+const raydium = require('./raydium');
+const dexScreener = require('./dexScreener');
+const birdeye = require('./birdeye');
+const log = require('../loggerService').createLogger('Providers');
+
+// Market data providers. Each one exports:
+//   name                               - identifier used in MARKET_DATA_PROVIDERS and Token.sources
+//   fields                             - Token fields it can supply
+//   isEnabled()                        - false when it lacks configuration (e.g. an API key)
+//   fetchFields(tokenAddress, known)   - { field: value } for the fields it found, or null on failure;
+//                                        `known` holds what higher-priority providers already supplied
+const PROVIDERS = { helius, raydium, dexscreener: dexScreener, birdeye };
+
+// Metadata from Helius first, prices from Raydium, then the aggregators as fallbacks.
+const DEFAULT_PROVIDER_ORDER = ['helius', 'raydium', 'dexscreener', 'birdeye'];
+
+function resolveProviderOrder() {
+    const configured = process.env.MARKET_DATA_PROVIDERS
+        ? process.env.MARKET_DATA_PROVIDERS.split(',').map(providerName => providerName.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_PROVIDER_ORDER;
+
+    const providers = [];
+    for (const providerName of configured) {
+        const provider = PROVIDERS[providerName];
+        if (!provider) {
+            log.warn(`Ignoring unknown market data provider "${providerName}". Known: ${Object.keys(PROVIDERS).join(', ')}`);
+        } else if (!provider.isEnabled()) {
+            log.info(`${providerName} is not configured, skipping it.`);
+        } else if (!providers.includes(provider)) {
+            providers.push(provider);
+        }
+    }
+    log.info(`Market data provider order: ${providers.map(provider => provider.name).join(' > ') || '(none)'}`);
+    return providers;
+}
+
+const orderedProviders = resolveProviderOrder();
+
+/**
+ * Enabled providers in priority order (MARKET_DATA_PROVIDERS, e.g. "dexscreener,helius,raydium").
+ * @returns {Array<object>}
+ */
+function getProviders() {
+    return orderedProviders;
+}
+
+module.exports = {
+    getProviders,
+    helius,
+    raydium,
+};
@@ -0,0 +1,176 @@
+// backend/services/providers/raydium.js
+const httpClient = require('../httpClient');
+const cache = require('../cacheService');
+const log = require('../loggerService').createLogger('Raydium');
+
+// Raydium AMM pairs: price and liquidity, plus the SOL/USD rate used throughout the app.
+// Pairs carry baseMint / quoteMint, which is how tokens are matched to their pools.
+const RAYDIUM_API_BASE_URL = 'https://api.raydium.io/v2';
+
+const TOKEN_DATA_CACHE_TTL_MS = 60 * 1000; // 1 minute
+const RAYDIUM_PAIRS_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes for the general pairs list
+const RAYDIUM_PAIRS_STALE_TTL_MS = 5 * 60 * 1000; // Served for 5 more minutes while a fresh list downloads
+const SOL_MINT_ADDRESS = "So11111111111111111111111111111111111111112";
+const USDC_MINT_ADDRESS = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const USDT_MINT_ADDRESS = "Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB";
+const STABLECOIN_MINTS = new Set([USDC_MINT_ADDRESS, USDT_MINT_ADDRESS]); // Valued at $1
+// Counter-side mints we can value in USD, so a pool against them can price a token.
+const PRICING_MINTS = new Set([SOL_MINT_ADDRESS, ...STABLECOIN_MINTS]);
+
+const name = 'raydium';
+const fields = ['priceUSD', 'liquidityUSD'];
+
+function isEnabled() {
+    return true;
+}
+
+/**
+ * Fetches and caches the list of all pairs from Raydium. Concurrent callers share one download, and an expired
+ * list is served for a while longer as the fresh one downloads in the background.
+ * @returns {Promise<Array>} A promise that resolves to an array of pairs, or an empty array on error.
+ */
+async function getRaydiumPairs() {
+    const { pairs } = await cache.getOrFetch('raydium_all_pairs', fetchRaydiumPairs, {
+        ttlMs: RAYDIUM_PAIRS_CACHE_TTL_MS,
+        staleTtlMs: RAYDIUM_PAIRS_STALE_TTL_MS,
+        // A stale copy (served while Raydium's circuit is open) isn't cached, so fresh data is fetched once it recovers
+        shouldStore: ({ pairs: fetched, stale }) => fetched.length > 0 && !stale,
+    });
+    return pairs;
+}
+
+// Downloads the pairs list; `stale` is set when httpClient served its last good copy instead
+async function fetchRaydiumPairs() {
+    try {
+        log.debug("Fetching all pairs from the Raydium API...");
+        const raydiumPairsResponse = await httpClient.get(`${RAYDIUM_API_BASE_URL}/main/pairs`);
+        if (raydiumPairsResponse.data && Array.isArray(raydiumPairsResponse.data)) {
+            return { pairs: raydiumPairsResponse.data, stale: Boolean(raydiumPairsResponse.stale) };
+        } else {
+            log.warn(`API /main/pairs did not return expected array data.`, { response: raydiumPairsResponse.data });
+            return { pairs: [], stale: false }; // Ensure it's an array to prevent errors
+        }
+    } catch (error) {
+        log.error(`Error fetching all pairs.`, error);
+        return { pairs: [], stale: false }; // Ensure it's an array
+    }
+}
+
+
+// Mint-keyed index over the pairs list, rebuilt whenever a fresh list is fetched.
+// Symbols are not unique among memecoins, so pools are only ever looked up by mint.
+let indexedPairs = null;
+let pairsByMint = new Map(); // mint -> Array<{ pair, side: 'base'|'quote', counterMint }>
+
+function getPairIndex(allPairs) {
+    if (allPairs === indexedPairs) {
+        return pairsByMint;
+    }
+    const index = new Map();
+    const addEntry = (mint, entry) => {
+        if (!index.has(mint)) index.set(mint, []);
+        index.get(mint).push(entry);
+    };
+    for (const pair of allPairs) {
+        const price = parseFloat(pair.price);
+        if (!pair.baseMint || !pair.quoteMint || !(price > 0)) continue;
+        addEntry(pair.baseMint, { pair, side: 'base', counterMint: pair.quoteMint });
+        addEntry(pair.quoteMint, { pair, side: 'quote', counterMint: pair.baseMint });
+    }
+    indexedPairs = allPairs;
+    pairsByMint = index;
+    log.debug(`Indexed ${allPairs.length} Raydium pairs by mint (${index.size} mints).`);
+    return pairsByMint;
+}
+
+/**
+ * Finds the deepest pool for a mint against one of the given counter mints, whichever side the mint is on.
+ * @returns {{pair: object, side: string, counterMint: string}|null}
+ */
+function findDeepestPool(index, mint, counterMints) {
+    let deepest = null;
+    for (const entry of index.get(mint) || []) {
+        if (!counterMints.has(entry.counterMint)) continue;
+        const liquidity = parseFloat(entry.pair.liquidity) || 0;
+        if (!deepest || liquidity > deepest.liquidity) {
+            deepest = { entry, liquidity };
+        }
+    }
+    return deepest ? deepest.entry : null;
+}
+
+// Raydium pair prices are quote per base; a token on the quote side is priced by the inverse.
+function priceInCounterMint(entry) {
+    const price = parseFloat(entry.pair.price);
+    return entry.side === 'base' ? price : 1 / price;
+}
+
+
+/**
+ * Fetches the current SOL/USD price from the deepest Raydium SOL pool against USDC or USDT.
+ * @returns {Promise<object|null>} Object like { price: number } or null.
+ */
+async function fetchSolPriceUSD() {
+    return cache.getOrFetch('sol_price_usd_data', fetchSolPriceFromPairs, { ttlMs: TOKEN_DATA_CACHE_TTL_MS }); // Use a shorter TTL, same as other tokens
+}
+
+async function fetchSolPriceFromPairs() {
+    log.debug("Fetching SOL/USD price from Raydium pairs...");
+    const allPairs = await getRaydiumPairs();
+    if (!allPairs || allPairs.length === 0) {
+        log.error("fetchSolPriceUSD: Raydium pairs data is unavailable.");
+        return null;
+    }
+
+    const solPool = findDeepestPool(getPairIndex(allPairs), SOL_MINT_ADDRESS, STABLECOIN_MINTS);
+    if (!solPool) {
+        log.warn("fetchSolPriceUSD: Could not find a SOL-USDC or SOL-USDT pool in Raydium data.");
+        return null;
+    }
+
+    const priceData = { price: priceInCounterMint(solPool) };
+    log.info(`Fetched SOL/USD price from ${solPool.pair.name}.`, { price: priceData.price });
+    return priceData;
+}
+
+
+/**
+ * Prices a token from its deepest Raydium pool against SOL, USDC or USDT, looked up by mint.
+ * @param {string} tokenAddress The Solana address (mint) of the token.
+ * @returns {Promise<object|null>} { priceUSD, liquidityUSD } or null if no pool was found.
+ */
+async function fetchFields(tokenAddress) {
+    const allRaydiumPairs = await getRaydiumPairs();
+    if (!allRaydiumPairs || allRaydiumPairs.length === 0) {
+        return null;
+    }
+
+    const counterMints = new Set([...PRICING_MINTS].filter(mint => mint !== tokenAddress));
+    const pool = findDeepestPool(getPairIndex(allRaydiumPairs), tokenAddress, counterMints);
+    if (!pool) {
+        log.warn(`Could not find a pool for ${tokenAddress} against SOL, USDC or USDT via /main/pairs.`, { tokenAddress });
+        return null;
+    }
+
+    // Raydium reports pool liquidity in USD regardless of the quote token
+    const liquidityUSD = parseFloat(pool.pair.liquidity);
+    let counterPriceUSD = 1;
+    if (pool.counterMint === SOL_MINT_ADDRESS) {
+        const solPriceInUSD = await fetchSolPriceUSD();
+        if (!solPriceInUSD || !solPriceInUSD.price) {
+            log.warn(`Could not convert price from ${pool.pair.name} to USD: SOL/USD price unavailable.`, { tokenAddress });
+            return { priceUSD: null, liquidityUSD }; // Price is uncertain
+        }
+        counterPriceUSD = solPriceInUSD.price;
+    }
+    return { priceUSD: priceInCounterMint(pool) * counterPriceUSD, liquidityUSD };
+}
+
+module.exports = {
+    name,
+    fields,
+    isEnabled,
+    fetchFields,
+    getRaydiumPairs,
+    fetchSolPriceUSD,
+};
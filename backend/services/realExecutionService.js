@@ -0,0 +1,301 @@
+// backend/services/realExecutionService.js
+const EventEmitter = require('events');
+const storage = require('./storageService');
+const solanaRpcService = require('./solanaRpcService');
+const swapBuilderService = require('./swapBuilderService');
+const tradingModeService = require('./tradingModeService');
+const Trade = require('../models/trade');
+const log = require('./loggerService').createLogger('RealExecutionService');
+
+// Real-mode order execution. The trading engine hands over a sized order; we build the swap transaction
+// and record an 'awaiting_signature' Trade in the real portfolio. A client has the connected wallet sign it
+// and sends it back; we submit it through the RPC endpoint and track it until it is confirmed on chain,
+// then the settlement handler (the real trading engine) books what the chain says actually happened.
+// Request trade statuses: awaiting_signature -> submitted -> confirmed | failed_onchain | failed_unconfirmed,
+// or rejected / expired / failed_submission along the way. Events (broadcast by server.js):
+//   'signatureRequested' ({ trade, transaction })        - a transaction awaits the wallet's signature
+//   'signatureResolved' ({ trade, status, executedTrade }) - a request settled or ended without a trade
+const events = new EventEmitter();
+
+// Submitted orders whose confirmation is still being tracked; persisted so tracking resumes after a restart
+const REAL_ORDERS_FILE = 'real_orders.json';
+// Unsigned transactions carry a recent blockhash, which expires after roughly a minute anyway
+const SIGNATURE_TIMEOUT_MS = parseInt(process.env.REAL_SIGNATURE_TIMEOUT_MS, 10) || 60 * 1000;
+const CONFIRMATION_POLL_MS = parseInt(process.env.REAL_CONFIRMATION_POLL_MS, 10) || 2000;
+const CONFIRMATION_TIMEOUT_MS = parseInt(process.env.REAL_CONFIRMATION_TIMEOUT_MS, 10) || 90 * 1000;
+const MAX_SLIPPAGE_BPS = 10000;
+
+const requests = new Map(); // request trade id -> { trade, order, transaction, status, signature, timer }
+let settlementHandler = null;
+
+function portfolio() {
+    return tradingModeService.getPortfolio('real');
+}
+
+function persistSubmitted() {
+    const submitted = [...requests.values()]
+        .filter(request => request.status === 'submitted')
+        .map(({ trade, order, signature, submittedAt }) => ({ tradeId: trade.id, order, signature, submittedAt }));
+    storage.writeJSONAtomic(REAL_ORDERS_FILE, submitted);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+/**
+ * Registers who books confirmed swaps: (order, fill) => executed Trade or null.
+ * fill: { amountSOL, tokenAmount, feesSOL, priceImpactPercent, txSignature, requestTradeId }.
+ */
+function setSettlementHandler(handler) {
+    settlementHandler = handler;
+}
+
+function getPendingTrade(tokenAddress, type) {
+    for (const { trade } of requests.values()) {
+        if (trade.tokenId === tokenAddress && trade.type === type) return trade;
+    }
+    return null;
+}
+
+/**
+ * Requests still waiting for a signature, for clients that connect while they are open.
+ * @returns {Array<{trade: Trade, transaction: string}>}
+ */
+function getPendingRequests() {
+    return [...requests.values()]
+        .filter(request => request.status === 'awaiting_signature')
+        .map(({ trade, transaction }) => ({ trade, transaction }));
+}
+
+function recordFailedOrder(order, status) {
+    const trade = new Trade(order.tokenAddress, order.type, order.amountSOL || 0, order.priceUSD, new Date(), status);
+    trade.reasonForTrade = order.reason || null;
+    trade.sizingStrategy = order.sizingStrategy || null;
+    trade.jobId = order.jobId || null;
+    portfolio().addTradeToHistory(trade);
+    return null;
+}
+
+function resolve(tradeId, status, executedTrade = null, fields = undefined) {
+    const request = requests.get(tradeId);
+    if (!request) return null;
+    clearTimeout(request.timer);
+    requests.delete(tradeId);
+    if (request.status === 'submitted') persistSubmitted();
+    const trade = portfolio().updateTradeStatus(tradeId, status, fields) || request.trade;
+    log.info(`Trade ${tradeId} ${status}.`, { tradeId, tokenAddress: request.trade.tokenId });
+    events.emit('signatureResolved', { trade, status, executedTrade });
+    return request;
+}
+
+/**
+ * Builds the swap for a sized order and asks for the wallet's signature.
+ * @param {object} order - { type: 'buy'|'sell', tokenAddress, tokenSymbol, priceUSD, solPrice, amountSOL (buy),
+ *                         tokenAmount (sell), reason, sizingStrategy, positionFields, jobId, maxSlippagePercent,
+ *                         priorityFeeSOL }. Kept with the request and handed to the settlement handler.
+ * @returns {Promise<{pending: true, trade: Trade}|null>} null if no transaction could be built (a failed trade is recorded).
+ */
+async function requestSignature(order) {
+    const walletPublicKey = tradingModeService.getWalletPublicKey();
+    if (!walletPublicKey) {
+        log.error(`No wallet connected, cannot ${order.type} ${order.tokenAddress}.`, { tokenAddress: order.tokenAddress });
+        return recordFailedOrder(order, 'failed_no_wallet');
+    }
+
+    let decimals;
+    try {
+        decimals = await solanaRpcService.getTokenDecimals(order.tokenAddress);
+    } catch (error) {
+        log.error(`Could not read the decimals of ${order.tokenAddress}: ${error.message}`, { tokenAddress: order.tokenAddress });
+        return recordFailedOrder(order, 'failed_swap_build');
+    }
+    const isBuy = order.type === 'buy';
+    const tolerance = order.maxSlippagePercent;
+    const build = await swapBuilderService.buildSwapTransaction({
+        inputMint: isBuy ? swapBuilderService.SOL_MINT_ADDRESS : order.tokenAddress,
+        outputMint: isBuy ? order.tokenAddress : swapBuilderService.SOL_MINT_ADDRESS,
+        amountRaw: isBuy
+            ? Math.floor(order.amountSOL * solanaRpcService.LAMPORTS_PER_SOL)
+            : Math.floor(order.tokenAmount * 10 ** decimals),
+        userPublicKey: walletPublicKey,
+        slippageBps: tolerance === null ? MAX_SLIPPAGE_BPS : Math.min(MAX_SLIPPAGE_BPS, Math.round(tolerance * 100)),
+        priorityFeeLamports: Math.round((order.priorityFeeSOL || 0) * solanaRpcService.LAMPORTS_PER_SOL),
+    });
+    if (!build.success) {
+        log.error(build.error, { tokenAddress: order.tokenAddress });
+        return recordFailedOrder(order, 'failed_swap_build');
+    }
+    const { quote } = build;
+    if (tolerance !== null && quote.priceImpactPercent !== null && quote.priceImpactPercent > tolerance) {
+        log.warn(`${order.type.toUpperCase()} of ${order.tokenAddress} rejected: price impact ${quote.priceImpactPercent.toFixed(2)}% exceeds the ${tolerance}% slippage tolerance.`, { tokenAddress: order.tokenAddress });
+        return recordFailedOrder(order, 'failed_slippage_exceeded');
+    }
+
+    // Expected amounts from the quote; the settled trade records what actually happened
+    const expectedTokenAmount = isBuy ? quote.outAmount / 10 ** decimals : order.tokenAmount;
+    const expectedSOL = isBuy ? order.amountSOL : quote.outAmount / solanaRpcService.LAMPORTS_PER_SOL;
+    const trade = new Trade(order.tokenAddress, order.type, expectedSOL, order.priceUSD, new Date(), 'awaiting_signature');
+    trade.reasonForTrade = order.reason || null;
+    trade.tokenSymbol = order.tokenSymbol || null;
+    trade.tokenAmount = expectedTokenAmount;
+    trade.solPriceUSD = order.solPrice;
+    trade.sizingStrategy = order.sizingStrategy || null;
+    trade.priceImpactPercent = quote.priceImpactPercent;
+    trade.jobId = order.jobId || null;
+    portfolio().addTradeToHistory(trade);
+
+    const settledOrder = { ...order, walletPublicKey, expectedTokenAmount, expectedSOL, priceImpactPercent: quote.priceImpactPercent };
+    const timer = setTimeout(() => resolve(trade.id, 'expired'), SIGNATURE_TIMEOUT_MS);
+    timer.unref();
+    requests.set(trade.id, { trade, order: settledOrder, transaction: build.transaction, status: 'awaiting_signature', signature: null, timer });
+    log.info(`${order.type.toUpperCase()} of ${trade.tokenSymbol || order.tokenAddress} awaiting the wallet's signature (trade ${trade.id}, expires in ${SIGNATURE_TIMEOUT_MS / 1000}s).`, { tokenAddress: order.tokenAddress, tradeId: trade.id });
+    events.emit('signatureRequested', { trade, transaction: build.transaction });
+    return { pending: true, trade };
+}
+
+/**
+ * Books a confirmed swap through the settlement handler, using the balance changes the chain recorded
+ * (falling back to the quote if the transaction can't be read).
+ */
+async function settle(tradeId, order, signature) {
+    const txLog = log.child({ tradeId, tokenAddress: order.tokenAddress, txSignature: signature });
+    let changes = null;
+    try {
+        const transaction = await solanaRpcService.getTransaction(signature);
+        changes = solanaRpcService.summarizeBalanceChanges(transaction, order.walletPublicKey, order.tokenAddress);
+    } catch (error) {
+        txLog.warn(`Could not read transaction ${signature}`, { error });
+    }
+    if (!changes || changes.tokenChange === 0) {
+        txLog.warn(`No balance changes found for ${signature}, booking the quoted amounts.`);
+    }
+    const isBuy = order.type === 'buy';
+    const fill = {
+        amountSOL: changes ? Math.abs(changes.solChange) : (isBuy ? order.amountSOL : order.expectedSOL),
+        tokenAmount: changes && changes.tokenChange !== 0 ? Math.abs(changes.tokenChange) : order.expectedTokenAmount,
+        feesSOL: changes ? changes.feeSOL : 0,
+        priceImpactPercent: order.priceImpactPercent,
+        txSignature: signature,
+        requestTradeId: tradeId,
+    };
+    const executedTrade = settlementHandler ? settlementHandler(order, fill) : null;
+    if (!executedTrade) {
+        txLog.error(`Confirmed swap ${signature} could not be booked (no settlement handler or position).`);
+    }
+    resolve(tradeId, 'confirmed', executedTrade);
+    await tradingModeService.syncRealBalance();
+}
+
+async function trackConfirmation(tradeId, order, signature, submittedAt) {
+    const txLog = log.child({ tradeId, tokenAddress: order.tokenAddress, txSignature: signature });
+    const deadline = new Date(submittedAt).getTime() + CONFIRMATION_TIMEOUT_MS;
+    while (requests.has(tradeId)) {
+        try {
+            const status = await solanaRpcService.getSignatureStatus(signature);
+            if (status?.err) {
+                txLog.error(`Transaction ${signature} failed on chain: ${JSON.stringify(status.err)}`);
+                resolve(tradeId, 'failed_onchain');
+                await tradingModeService.syncRealBalance(); // The fee was still paid
+                return;
+            }
+            if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+                await settle(tradeId, order, signature);
+                return;
+            }
+        } catch (error) {
+            txLog.warn(`Status check of ${signature} failed`, { error });
+        }
+        if (Date.now() > deadline) {
+            // Past its blockhash's lifetime a transaction can no longer land
+            resolve(tradeId, 'failed_unconfirmed');
+            return;
+        }
+        await sleep(CONFIRMATION_POLL_MS);
+    }
+}
+
+/**
+ * Submits a transaction the wallet signed for a request and starts tracking its confirmation.
+ * @param {string} tradeId - The request's trade id.
+ * @param {string} signedTransaction - Base64 serialized, signed transaction.
+ * @returns {Promise<{success: boolean, error?: string, signature?: string}>}
+ */
+async function submitSignedTransaction(tradeId, signedTransaction) {
+    const request = requests.get(tradeId);
+    if (!request || request.status !== 'awaiting_signature') {
+        return { success: false, error: `No transaction awaiting a signature for trade ${tradeId} (already submitted, resolved or expired).` };
+    }
+    if (typeof signedTransaction !== 'string' || signedTransaction.length === 0) {
+        return { success: false, error: 'Signed transaction missing (base64 expected).' };
+    }
+    // Claim it before awaiting anything so a second submission or the timeout can't interfere
+    clearTimeout(request.timer);
+    request.status = 'submitting';
+
+    let signature;
+    try {
+        signature = await solanaRpcService.sendTransaction(signedTransaction);
+    } catch (error) {
+        log.error(`Submitting trade ${tradeId} failed`, { tradeId, tokenAddress: request.trade.tokenId, error });
+        resolve(tradeId, 'failed_submission');
+        return { success: false, error: `Submission failed: ${error.message}` };
+    }
+
+    request.status = 'submitted';
+    request.signature = signature;
+    request.submittedAt = new Date().toISOString();
+    persistSubmitted();
+    portfolio().updateTradeStatus(tradeId, 'submitted', { txSignature: signature });
+    log.info(`Trade ${tradeId} submitted as ${signature}.`, { tradeId, tokenAddress: request.trade.tokenId, txSignature: signature });
+    trackConfirmation(tradeId, request.order, signature, request.submittedAt);
+    return { success: true, signature };
+}
+
+/**
+ * The user declined to sign.
+ * @returns {{success: boolean, error?: string}}
+ */
+function rejectSignature(tradeId) {
+    const request = requests.get(tradeId);
+    if (!request || request.status !== 'awaiting_signature') {
+        return { success: false, error: `No transaction awaiting a signature for trade ${tradeId}.` };
+    }
+    resolve(tradeId, 'rejected');
+    return { success: true };
+}
+
+/**
+ * Expires signature requests left over from before a restart (their transactions are stale) and resumes
+ * tracking submitted ones. Called once by server.js on startup.
+ */
+function start() {
+    const stale = portfolio().getTradeHistory({ status: 'awaiting_signature' });
+    stale.forEach(trade => portfolio().updateTradeStatus(trade.id, 'expired'));
+    if (stale.length > 0) {
+        log.info(`Expired ${stale.length} signature request(s) left over from before the restart.`);
+    }
+
+    const submitted = storage.readJSON(REAL_ORDERS_FILE, []);
+    for (const { tradeId, order, signature, submittedAt } of submitted) {
+        const trade = portfolio().getTradeHistory({ status: 'submitted' }).find(t => t.id === tradeId);
+        if (!trade) continue;
+        requests.set(tradeId, { trade, order, transaction: null, status: 'submitted', signature, submittedAt, timer: null });
+        trackConfirmation(tradeId, order, signature, submittedAt);
+    }
+    if (requests.size > 0) {
+        log.info(`Resumed tracking ${requests.size} submitted transaction(s).`);
+    }
+    persistSubmitted();
+}
+
+module.exports = {
+    events,
+    setSettlementHandler,
+    getPendingTrade,
+    getPendingRequests,
+    requestSignature,
+    submitSignedTransaction,
+    rejectSignature,
+    start,
+};
@@ -0,0 +1,129 @@
+// backend/services/riskService.js
+const storage = require('./storageService');
+const log = require('./loggerService').createLogger('RiskService');
+
+// Portfolio-level guards checked by the trading engine before every buy, whatever sized it. Each limit
+// can be turned off with null. Limits set through the API are persisted; the environment provides defaults:
+//   RISK_MAX_EXPOSURE_PERCENT          - open positions may make up at most this share of equity (default 80)
+//   RISK_MAX_OPEN_POSITIONS            - at most this many tokens held at once (default 10)
+//   RISK_MAX_TOKEN_ALLOCATION_PERCENT  - one token, add-on buys included, at most this share of equity (default 25)
+//   RISK_DAILY_LOSS_LIMIT_SOL          - once the day's realized losses reach this, no new buys until 00:00 UTC (default 10)
+const RISK_LIMITS_FILE = 'risk_limits.json';
+
+function envLimit(variable, fallback) {
+    if (process.env[variable] === undefined) return fallback;
+    if (process.env[variable] === 'off') return null;
+    const value = parseFloat(process.env[variable]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_LIMITS = {
+    maxExposurePercent: envLimit('RISK_MAX_EXPOSURE_PERCENT', 80),
+    maxOpenPositions: envLimit('RISK_MAX_OPEN_POSITIONS', 10),
+    maxTokenAllocationPercent: envLimit('RISK_MAX_TOKEN_ALLOCATION_PERCENT', 25),
+    dailyLossLimitSOL: envLimit('RISK_DAILY_LOSS_LIMIT_SOL', 10),
+};
+const NO_LIMITS = Object.fromEntries(Object.keys(DEFAULT_LIMITS).map(field => [field, null]));
+
+/**
+ * Validates a partial set of limits.
+ * @returns {string|null} Error message, or null if valid.
+ */
+function validateLimits(limits) {
+    if (!limits || typeof limits !== 'object') return 'Risk limits payload missing.';
+    for (const [field, value] of Object.entries(limits)) {
+        if (!(field in DEFAULT_LIMITS)) {
+            return `Unknown risk limit "${field}". Expected one of: ${Object.keys(DEFAULT_LIMITS).join(', ')}.`;
+        }
+        if (value === null) continue;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            return `${field} must be a positive number or null.`;
+        }
+        if (field.endsWith('Percent') && value > 100) return `${field} must be at most 100.`;
+        if (field === 'maxOpenPositions' && !Number.isInteger(value)) return 'maxOpenPositions must be a whole number.';
+    }
+    return null;
+}
+
+function startOfUTCDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Creates a risk policy.
+ * @param {object} [options]
+ * @param {boolean} [options.persist=false] - Load and save the limits in the data directory.
+ * @param {object} [options.limits] - Initial limits; omitted ones are off for a non-persisted policy and
+ *                                    take the environment defaults for a persisted one.
+ * @returns {object} Risk policy API.
+ */
+function createRiskPolicy(options = {}) {
+    const { persist = false } = options;
+    let limits = { ...(persist ? DEFAULT_LIMITS : NO_LIMITS), ...options.limits };
+    if (persist) {
+        limits = { ...limits, ...storage.readJSON(RISK_LIMITS_FILE, {}) };
+    }
+
+    function getLimits() {
+        return { ...limits };
+    }
+
+    /**
+     * @param {object} changes - Any of the limit fields; null turns a limit off.
+     * @returns {{success: boolean, error?: string, limits?: object}}
+     */
+    function setLimits(changes) {
+        const error = validateLimits(changes);
+        if (error) return { success: false, error };
+        limits = { ...limits, ...changes };
+        if (persist) storage.writeJSONAtomic(RISK_LIMITS_FILE, limits);
+        log.info('Risk limits updated.', { limits });
+        return { success: true, limits: getLimits() };
+    }
+
+    /**
+     * Checks a buy against the limits.
+     * @param {object} state - Portfolio state before the buy: { equitySOL, exposureSOL, openPositions,
+     *                         tokenExposureSOL, tokenHasPosition, realizedPnlTodaySOL }.
+     * @param {number} amountSOL - Size of the buy.
+     * @returns {{allowed: boolean, limit?: string, reason?: string}}
+     */
+    function evaluateBuy(state, amountSOL) {
+        const { maxExposurePercent, maxOpenPositions, maxTokenAllocationPercent, dailyLossLimitSOL } = limits;
+        const block = (limit, reason) => ({ allowed: false, limit, reason });
+
+        if (dailyLossLimitSOL !== null && -state.realizedPnlTodaySOL >= dailyLossLimitSOL) {
+            return block('dailyLossLimitSOL', `Realized losses today (${(-state.realizedPnlTodaySOL).toFixed(4)} SOL) reached the daily limit of ${dailyLossLimitSOL} SOL; new buys resume at 00:00 UTC.`);
+        }
+        if (maxOpenPositions !== null && !state.tokenHasPosition && state.openPositions >= maxOpenPositions) {
+            return block('maxOpenPositions', `Already holding ${state.openPositions} position(s), the maximum is ${maxOpenPositions}.`);
+        }
+        if (!(state.equitySOL > 0)) {
+            return block('equity', 'No equity to measure exposure against.');
+        }
+        const exposurePercent = ((state.exposureSOL + amountSOL) / state.equitySOL) * 100;
+        if (maxExposurePercent !== null && exposurePercent > maxExposurePercent) {
+            return block('maxExposurePercent', `Total exposure would be ${exposurePercent.toFixed(2)}% of equity, the maximum is ${maxExposurePercent}%.`);
+        }
+        const tokenPercent = ((state.tokenExposureSOL + amountSOL) / state.equitySOL) * 100;
+        if (maxTokenAllocationPercent !== null && tokenPercent > maxTokenAllocationPercent) {
+            return block('maxTokenAllocationPercent', `The token would be ${tokenPercent.toFixed(2)}% of equity, the maximum per token is ${maxTokenAllocationPercent}%.`);
+        }
+        return { allowed: true };
+    }
+
+    return {
+        getLimits,
+        setLimits,
+        evaluateBuy,
+    };
+}
+
+const defaultPolicy = createRiskPolicy({ persist: true });
+
+module.exports = {
+    ...defaultPolicy,
+    createRiskPolicy,
+    validateLimits,
+    startOfUTCDay,
+};
@@ -0,0 +1,230 @@
+// backend/services/simulatedMarket.js
+const Token = require('../models/token');
+const { DEMO_MODE } = require('./demoMode');
+const log = require('./loggerService').createLogger('SimulatedMarket');
+
+// Simulated market data provider for demo mode. Produces mock tokens whose prices follow
+// random-walk, pump or rug paths, plus a synthetic SOL/USD price, without any network access.
+// Enabled with DEMO_MODE=true, MARKET_DATA_PROVIDER=simulated or the --demo startup flag (see demoMode.js).
+
+const SOL_MINT_ADDRESS = "So11111111111111111111111111111111111111112";
+const USDC_MINT_ADDRESS = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+const PRICE_PATHS = ['random-walk', 'pump', 'rug'];
+
+// Simulated minutes per real minute, so a pump or rug plays out quickly in a demo.
+const TIME_SCALE = parseFloat(process.env.DEMO_TIME_SCALE) || 1;
+
+const DEFAULT_DEMO_TOKENS = [
+    { address: 'DemoRandomWa1kToken1111111111111111111111', name: 'Demo Random Walk', symbol: 'DWALK', path: 'random-walk', startPriceUSD: 0.01, liquidityUSD: 80000, supply: 1e9, volatility: 0.02 },
+    { address: 'DemoPumpToken111111111111111111111111111111', name: 'Demo Pump', symbol: 'DPUMP', path: 'pump', startPriceUSD: 0.002, liquidityUSD: 30000, supply: 1e9, volatility: 0.01, pumpStartMinutes: 2, pumpDurationMinutes: 10, pumpMultiplier: 3 },
+    { address: 'DemoRugPu11Token11111111111111111111111111', name: 'Demo Rug Pull', symbol: 'DRUG', path: 'rug', startPriceUSD: 0.05, liquidityUSD: 40000, supply: 1e8, volatility: 0.01, rugAtMinutes: 8, rugDropPercent: 95 },
+];
+
+/**
+ * Seeded PRNG (mulberry32) so demo runs are reproducible with DEMO_SEED.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const random = createRandom(parseInt(process.env.DEMO_SEED, 10) || Date.now());
+
+// Standard normal sample (Box-Muller)
+function randomNormal() {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+function loadTokenConfigs() {
+    if (!process.env.DEMO_TOKENS) {
+        return DEFAULT_DEMO_TOKENS;
+    }
+    try {
+        const configs = JSON.parse(process.env.DEMO_TOKENS);
+        if (!Array.isArray(configs)) throw new Error('DEMO_TOKENS must be a JSON array');
+        return configs.filter(config => {
+            if (!config.address || !PRICE_PATHS.includes(config.path || 'random-walk')) {
+                log.warn('Ignoring invalid DEMO_TOKENS entry.', { config });
+                return false;
+            }
+            return true;
+        });
+    } catch (error) {
+        log.error(`Could not parse DEMO_TOKENS (${error.message}). Using default demo tokens.`);
+        return DEFAULT_DEMO_TOKENS;
+    }
+}
+
+// Per-token simulation state, created lazily so any address added in demo mode gets a market too.
+const simulations = new Map();
+const startedAt = Date.now();
+
+/**
+ * Creates the simulation state for a token. Unknown addresses get a random-walk token derived from the address.
+ */
+function createSimulation(config) {
+    const seed = hashString(config.address);
+    const startPriceUSD = config.startPriceUSD ?? (0.0005 + (seed % 1000) / 10000);
+    return {
+        config: {
+            name: `Simulated ${config.address.substring(0, 4)}`,
+            symbol: `SIM${config.address.substring(0, 3).toUpperCase()}`,
+            path: 'random-walk',
+            liquidityUSD: 20000 + (seed % 80000),
+            supply: 1e9,
+            volatility: 0.02,
+            drift: 0,
+            ...config,
+            startPriceUSD,
+        },
+        walkMultiplier: 1, // Random-walk component of the price, applied on top of the path shape
+        lastSimMinutes: simulatedMinutesNow(),
+        createdAt: new Date(startedAt - (1 + (seed % 72)) * 60 * 60 * 1000), // Pretend the mint is 1-72 hours old
+    };
+}
+
+function getSimulation(address) {
+    if (!simulations.has(address)) {
+        const config = loadTokenConfigs().find(token => token.address === address) || { address };
+        simulations.set(address, createSimulation(config));
+    }
+    return simulations.get(address);
+}
+
+function simulatedMinutesNow() {
+    return ((Date.now() - startedAt) / 60000) * TIME_SCALE;
+}
+
+/**
+ * Deterministic price shape of a path at a simulated time, as a multiple of the start price.
+ * @returns {{priceMultiplier: number, liquidityMultiplier: number}}
+ */
+function pathShape(config, minutes) {
+    if (config.path === 'pump') {
+        const start = config.pumpStartMinutes ?? 2;
+        const duration = config.pumpDurationMinutes ?? 10;
+        const progress = Math.min(1, Math.max(0, (minutes - start) / duration));
+        const smooth = progress * progress * (3 - 2 * progress); // smoothstep
+        return { priceMultiplier: 1 + ((config.pumpMultiplier ?? 3) - 1) * smooth, liquidityMultiplier: 1 };
+    }
+    if (config.path === 'rug' && minutes >= (config.rugAtMinutes ?? 8)) {
+        const remaining = 1 - (config.rugDropPercent ?? 95) / 100;
+        return { priceMultiplier: remaining, liquidityMultiplier: remaining }; // LP pulled: price and liquidity collapse
+    }
+    return { priceMultiplier: 1, liquidityMultiplier: 1 };
+}
+
+/**
+ * Advances a token's random walk to the current simulated time and returns its market state.
+ */
+function stepSimulation(simulation) {
+    const { config } = simulation;
+    const minutes = simulatedMinutesNow();
+    const elapsed = minutes - simulation.lastSimMinutes;
+    if (elapsed > 0) {
+        // Geometric Brownian motion: volatility and drift are per simulated minute
+        simulation.walkMultiplier *= Math.exp((config.drift ?? 0) * elapsed + config.volatility * Math.sqrt(elapsed) * randomNormal());
+        simulation.lastSimMinutes = minutes;
+    }
+    const { priceMultiplier, liquidityMultiplier } = pathShape(config, minutes);
+    const priceRatio = simulation.walkMultiplier * priceMultiplier;
+    const priceUSD = config.startPriceUSD * priceRatio;
+    // In a constant-product pool the pooled value grows with the square root of the price
+    const liquidityUSD = config.liquidityUSD * Math.sqrt(priceRatio) * liquidityMultiplier;
+    return { priceUSD, liquidityUSD, marketCapUSD: priceUSD * config.supply };
+}
+
+// Synthetic SOL/USD: a slow random walk around the starting price
+const solSimulation = createSimulation({
+    address: SOL_MINT_ADDRESS,
+    name: 'Wrapped SOL',
+    symbol: 'SOL',
+    startPriceUSD: parseFloat(process.env.DEMO_SOL_PRICE_USD) || 150,
+    liquidityUSD: 50000000,
+    supply: 5.8e8,
+    volatility: 0.002,
+});
+simulations.set(SOL_MINT_ADDRESS, solSimulation);
+
+/**
+ * Simulated counterpart of apiClient.fetchTokenData.
+ * @param {string} tokenAddress The token address.
+ * @returns {Promise<Token>}
+ */
+async function fetchTokenData(tokenAddress) {
+    const simulation = getSimulation(tokenAddress);
+    const { priceUSD, liquidityUSD, marketCapUSD } = stepSimulation(simulation);
+    const token = new Token(
+        tokenAddress,
+        simulation.config.name,
+        simulation.config.symbol,
+        priceUSD,
+        liquidityUSD,
+        marketCapUSD,
+        new Date()
+    );
+    token.supply = simulation.config.supply;
+    token.createdAt = simulation.createdAt;
+    token.sources = { name: 'simulated', symbol: 'simulated', supply: 'simulated', priceUSD: 'simulated', liquidityUSD: 'simulated', marketCapUSD: 'simulated' };
+    return token;
+}
+
+/**
+ * Simulated counterpart of apiClient.fetchSolPriceUSD.
+ * @returns {Promise<{price: number}>}
+ */
+async function fetchSolPriceUSD() {
+    return { price: stepSimulation(solSimulation).priceUSD };
+}
+
+async function fetchTokenCreationTime(tokenAddress) {
+    return getSimulation(tokenAddress).createdAt;
+}
+
+/**
+ * Simulated counterpart of apiClient.getRaydiumPairs: a SOL-USDC pair plus a TOKEN-SOL pair per simulated token.
+ * @returns {Promise<Array>}
+ */
+async function getRaydiumPairs() {
+    const solPriceUSD = (await fetchSolPriceUSD()).price;
+    const pairs = [{ name: 'SOL-USDC', baseMint: SOL_MINT_ADDRESS, quoteMint: USDC_MINT_ADDRESS, price: solPriceUSD, liquidity: solSimulation.config.liquidityUSD }];
+    for (const [address, simulation] of simulations) {
+        if (address === SOL_MINT_ADDRESS) continue;
+        const { priceUSD, liquidityUSD } = stepSimulation(simulation);
+        pairs.push({ name: `${simulation.config.symbol}-SOL`, baseMint: address, quoteMint: SOL_MINT_ADDRESS, price: priceUSD / solPriceUSD, liquidity: liquidityUSD });
+    }
+    return pairs;
+}
+
+/**
+ * Addresses of the configured demo tokens, preloaded into the watch list in demo mode.
+ * @returns {Array<string>}
+ */
+function getDemoTokenAddresses() {
+    return loadTokenConfigs().map(config => config.address);
+}
+
+module.exports = {
+    DEMO_MODE,
+    fetchTokenData,
+    fetchSolPriceUSD,
+    fetchTokenCreationTime,
+    getRaydiumPairs,
+    getDemoTokenAddresses,
+};
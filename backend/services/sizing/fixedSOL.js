@@ -0,0 +1,22 @@
+// backend/services/sizing/fixedSOL.js
+
+// The same SOL amount for every buy, whatever the token or balance.
+const name = 'fixedSOL';
+const description = 'A fixed amountSOL per buy; skipped if the balance cannot cover it.';
+const params = {
+    amountSOL: { default: 1, min: 0.000001 },
+};
+
+function size({ availableSOL }, { amountSOL }) {
+    if (amountSOL > availableSOL) {
+        return { allocate: false, reason: `Balance ${availableSOL} SOL is below the fixed size of ${amountSOL} SOL.`, allocationSOL: 0 };
+    }
+    return { allocate: true, allocationSOL: amountSOL };
+}
+
+module.exports = {
+    name,
+    description,
+    params,
+    size,
+};
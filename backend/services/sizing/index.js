@@ -0,0 +1,64 @@
+// backend/services/sizing/index.js
+const riskScore = require('./riskScore');
+const fixedSOL = require('./fixedSOL');
+const percentOfEquity = require('./percentOfEquity');
+const volatilityScaled = require('./volatilityScaled');
+
+// Position sizing strategies for automatically sized buys. Each one exports:
+//   name, description
+//   params                        - { param: { default, min?, max? } }; every param is a number
+//   validate(params)              - optional cross-param check, returns an error message or null
+//   size(context, params)         - { allocate, allocationSOL, reason? } (reason when allocate is false)
+// The context: { tokenAddress, tokenData, availableSOL, equitySOL, now, getPriceSamples(sinceMs) }.
+const STRATEGIES = { riskScore, fixedSOL, percentOfEquity, volatilityScaled };
+
+const DEFAULT_STRATEGY = 'riskScore';
+
+function getStrategy(strategyName) {
+    return STRATEGIES[strategyName] || null;
+}
+
+/**
+ * Validates param overrides for a strategy and merges them over its defaults.
+ * @param {string} strategyName
+ * @param {object} [overrides]
+ * @returns {{params?: object, error?: string}}
+ */
+function resolveParams(strategyName, overrides = {}) {
+    const strategy = getStrategy(strategyName);
+    if (!strategy) {
+        return { error: `Unknown sizing strategy "${strategyName}". Known: ${Object.keys(STRATEGIES).join(', ')}.` };
+    }
+    if (!overrides || typeof overrides !== 'object') {
+        return { error: 'Sizing params must be an object.' };
+    }
+
+    const params = {};
+    for (const [param, spec] of Object.entries(strategy.params)) {
+        const value = param in overrides ? overrides[param] : spec.default;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return { error: `${strategyName}.${param} must be a number.` };
+        }
+        if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+            return { error: `${strategyName}.${param} must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}.` };
+        }
+        params[param] = value;
+    }
+    const unknown = Object.keys(overrides).filter(param => !(param in strategy.params));
+    if (unknown.length > 0) {
+        return { error: `Unknown ${strategyName} param(s): ${unknown.join(', ')}. Expected: ${Object.keys(strategy.params).join(', ')}.` };
+    }
+    const error = strategy.validate ? strategy.validate(params) : null;
+    return error ? { error } : { params };
+}
+
+function listStrategies() {
+    return Object.values(STRATEGIES).map(({ name, description, params }) => ({ name, description, params }));
+}
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    getStrategy,
+    resolveParams,
+    listStrategies,
+};
@@ -0,0 +1,24 @@
+// backend/services/sizing/percentOfEquity.js
+
+// A fixed share of total equity (SOL balance plus open positions at their last price), so buy sizes
+// grow and shrink with the portfolio rather than with the cash left over.
+const name = 'percentOfEquity';
+const description = 'percent of total equity (SOL balance plus open positions) per buy.';
+const params = {
+    percent: { default: 5, min: 0.01, max: 100 },
+};
+
+function size({ equitySOL }, { percent }) {
+    const allocationSOL = equitySOL * percent / 100;
+    if (!(allocationSOL > 0)) {
+        return { allocate: false, reason: 'No equity to allocate from.', allocationSOL: 0 };
+    }
+    return { allocate: true, allocationSOL, equitySOL };
+}
+
+module.exports = {
+    name,
+    description,
+    params,
+    size,
+};
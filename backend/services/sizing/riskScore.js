@@ -0,0 +1,35 @@
+// backend/services/sizing/riskScore.js
+const investmentService = require('../investmentService');
+
+// The original allocation formula: a share of the SOL balance scaled by liquidity and market cap scores,
+// skipping tokens below the minimums.
+const { DEFAULT_RISK_SCORE_CONFIG } = investmentService;
+
+const name = 'riskScore';
+const description = 'Up to maxAllocationPercent of the SOL balance, scaled by weighted liquidity and market cap scores.';
+const params = {
+    maxAllocationPercent: { default: 20, min: 0, max: 100 },
+    minLiquidityUSD: { default: DEFAULT_RISK_SCORE_CONFIG.minLiquidityUSD, min: 0 },
+    minMarketCapUSD: { default: DEFAULT_RISK_SCORE_CONFIG.minMarketCapUSD, min: 0 },
+    liquidityScoreCapUSD: { default: DEFAULT_RISK_SCORE_CONFIG.liquidityScoreCapUSD, min: 1 },
+    marketCapScoreCapUSD: { default: DEFAULT_RISK_SCORE_CONFIG.marketCapScoreCapUSD, min: 1 },
+    liquidityWeight: { default: DEFAULT_RISK_SCORE_CONFIG.liquidityWeight, min: 0, max: 1 },
+    marketCapWeight: { default: DEFAULT_RISK_SCORE_CONFIG.marketCapWeight, min: 0, max: 1 },
+};
+
+function validate({ liquidityWeight, marketCapWeight }) {
+    // Above 1 the scores could push an allocation past maxAllocationPercent
+    return liquidityWeight + marketCapWeight > 1 ? 'liquidityWeight + marketCapWeight must not exceed 1.' : null;
+}
+
+function size({ tokenData, availableSOL }, { maxAllocationPercent, ...config }) {
+    return investmentService.calculateInvestmentAllocation(tokenData, availableSOL, maxAllocationPercent / 100, config);
+}
+
+module.exports = {
+    name,
+    description,
+    params,
+    validate,
+    size,
+};
@@ -0,0 +1,58 @@
+// backend/services/sizing/volatilityScaled.js
+
+// Sizes inversely to recent volatility: basePercent of equity when the token's realized volatility over
+// the window equals targetVolatilityPercent, less when it is more volatile, more (up to maxAllocationPercent)
+// when it is calmer. Realized volatility is the standard deviation of log returns between consecutive
+// price samples, scaled to the whole window.
+const name = 'volatilityScaled';
+const description = 'basePercent of equity at targetVolatilityPercent realized volatility over windowMinutes, scaled inversely to volatility.';
+const params = {
+    basePercent: { default: 10, min: 0.01, max: 100 },
+    targetVolatilityPercent: { default: 5, min: 0.01 },
+    maxAllocationPercent: { default: 20, min: 0.01, max: 100 },
+    windowMinutes: { default: 60, min: 1 },
+    minSamples: { default: 10, min: 3 },
+};
+
+function validate({ basePercent, maxAllocationPercent }) {
+    return basePercent > maxAllocationPercent ? 'basePercent must not exceed maxAllocationPercent.' : null;
+}
+
+/**
+ * Realized volatility of a price series, in percent over the series.
+ * @param {Array<number>} prices - Oldest first.
+ * @returns {number}
+ */
+function realizedVolatilityPercent(prices) {
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+        if (prices[i - 1] > 0 && prices[i] > 0) returns.push(Math.log(prices[i] / prices[i - 1]));
+    }
+    if (returns.length < 2) return 0;
+    const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+    const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+    return Math.sqrt(variance * returns.length) * 100;
+}
+
+function size({ equitySOL, now, getPriceSamples }, { basePercent, targetVolatilityPercent, maxAllocationPercent, windowMinutes, minSamples }) {
+    const samples = getPriceSamples(now.getTime() - windowMinutes * 60 * 1000);
+    const prices = samples.map(sample => sample.priceUSD).filter(price => typeof price === 'number');
+    if (prices.length < minSamples) {
+        return { allocate: false, reason: `Not enough price history (${prices.length} of ${minSamples} samples in the last ${windowMinutes} min).`, allocationSOL: 0 };
+    }
+
+    const volatilityPercent = realizedVolatilityPercent(prices);
+    const allocationPercent = volatilityPercent > 0
+        ? Math.min(maxAllocationPercent, basePercent * targetVolatilityPercent / volatilityPercent)
+        : maxAllocationPercent;
+    return { allocate: true, allocationSOL: equitySOL * allocationPercent / 100, volatilityPercent, allocationPercent };
+}
+
+module.exports = {
+    name,
+    description,
+    params,
+    validate,
+    size,
+    realizedVolatilityPercent,
+};
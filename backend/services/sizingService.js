@@ -0,0 +1,110 @@
+// backend/services/sizingService.js
+const storage = require('./storageService');
+const strategies = require('./sizing');
+const log = require('./loggerService').createLogger('SizingService');
+
+// Which sizing strategy sizes automatic buys: a global default, optionally overridden per token.
+// Only the param overrides are stored; defaults are merged in when a buy is sized.
+const SIZING_CONFIG_FILE = 'sizing_config.json';
+
+/**
+ * Creates a sizing policy.
+ * @param {object} [options]
+ * @param {boolean} [options.persist=false] - Load and save the configuration in the data directory.
+ * @param {string} [options.strategy] - Initial default strategy (when nothing is persisted).
+ * @param {object} [options.params] - Param overrides for that strategy.
+ * @returns {object} Sizing policy API.
+ */
+function createSizingPolicy(options = {}) {
+    const { persist = false } = options;
+    let config = {
+        default: { strategy: options.strategy || strategies.DEFAULT_STRATEGY, params: options.params || {} },
+        tokens: {}, // tokenAddress -> { strategy, params }
+    };
+    if (persist) {
+        config = { ...config, ...storage.readJSON(SIZING_CONFIG_FILE, {}) };
+    }
+    if (strategies.resolveParams(config.default.strategy, config.default.params).error) {
+        log.warn(`Invalid default sizing strategy "${config.default.strategy}", using ${strategies.DEFAULT_STRATEGY}.`);
+        config.default = { strategy: strategies.DEFAULT_STRATEGY, params: {} };
+    }
+
+    function save() {
+        if (persist) storage.writeJSONAtomic(SIZING_CONFIG_FILE, config);
+    }
+
+    function getConfig() {
+        return JSON.parse(JSON.stringify(config));
+    }
+
+    /**
+     * @param {string} strategy - Strategy name.
+     * @param {object} [params] - Param overrides.
+     * @returns {{success: boolean, error?: string}}
+     */
+    function setDefaultStrategy(strategy, params = {}) {
+        const { error } = strategies.resolveParams(strategy, params);
+        if (error) return { success: false, error };
+        config.default = { strategy, params };
+        save();
+        log.info(`Default sizing strategy set to ${strategy}.`);
+        return { success: true };
+    }
+
+    /**
+     * @param {string} tokenAddress
+     * @param {string|null} strategy - Strategy name, or null to fall back to the default again.
+     * @param {object} [params] - Param overrides.
+     * @returns {{success: boolean, error?: string}}
+     */
+    function setTokenStrategy(tokenAddress, strategy, params = {}) {
+        if (strategy === null) {
+            delete config.tokens[tokenAddress];
+        } else {
+            const { error } = strategies.resolveParams(strategy, params);
+            if (error) return { success: false, error };
+            config.tokens[tokenAddress] = { strategy, params };
+        }
+        save();
+        log.info(`Sizing strategy for ${tokenAddress} ${strategy === null ? 'cleared' : `set to ${strategy}`}.`, { tokenAddress });
+        return { success: true };
+    }
+
+    /**
+     * The strategy that sizes buys of a token, with its params resolved.
+     * @returns {{strategy: string, params: object, scope: 'token'|'default'}}
+     */
+    function getStrategyFor(tokenAddress) {
+        const selection = config.tokens[tokenAddress];
+        const { strategy, params } = selection || config.default;
+        return { strategy, params: strategies.resolveParams(strategy, params).params, scope: selection ? 'token' : 'default' };
+    }
+
+    /**
+     * Sizes a buy with the token's strategy.
+     * @param {object} context - { tokenAddress, tokenData, availableSOL, equitySOL, now, getPriceSamples(sinceMs) }
+     * @returns {{allocate: boolean, allocationSOL: number, reason?: string, strategy: string}}
+     */
+    function sizeBuy(context) {
+        const { strategy, params } = getStrategyFor(context.tokenAddress);
+        const result = strategies.getStrategy(strategy).size(context, params);
+        return { ...result, strategy };
+    }
+
+    return {
+        getConfig,
+        setDefaultStrategy,
+        setTokenStrategy,
+        getStrategyFor,
+        sizeBuy,
+    };
+}
+
+// SIZING_STRATEGY picks the default until one is set through the API
+const defaultPolicy = createSizingPolicy({ persist: true, strategy: process.env.SIZING_STRATEGY });
+
+module.exports = {
+    ...defaultPolicy,
+    createSizingPolicy,
+    listStrategies: strategies.listStrategies,
+};
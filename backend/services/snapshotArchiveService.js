@@ -0,0 +1,206 @@
+// backend/services/snapshotArchiveService.js
+const fs = require('fs');
+const path = require('path');
+const storage = require('./storageService');
+const log = require('./loggerService').createLogger('SnapshotArchive');
+
+// Long-term archive of every token snapshot fetched from the market data providers, for offline analysis.
+// Snapshots are appended to one NDJSON segment per UTC day under <data dir>/snapshots, so retention deletes whole
+// files and time-range reads only open the days they cover. Records carry the fields scripts/backtest.js reads,
+// so an export can be replayed with --file. Settings from the environment:
+//   SNAPSHOT_ARCHIVE_ENABLED  - 'false' stops archiving (default on)
+//   SNAPSHOT_RETENTION_DAYS   - days of segments kept, today included (default 90, 'off' keeps everything)
+//   SNAPSHOT_ARCHIVE_MAX_MB   - oldest segments are deleted beyond this total (default 1024, 'off' for no limit)
+const ARCHIVE_DIR = 'snapshots';
+const SEGMENT_PATTERN = /^snapshots-(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_QUERY_LIMIT = 1000;
+const MAX_QUERY_LIMIT = 10000;
+
+function envSetting(variable, fallback) {
+    if (process.env[variable] === undefined) return fallback;
+    if (process.env[variable] === 'off') return null;
+    const value = parseFloat(process.env[variable]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const ARCHIVE_ENABLED = process.env.SNAPSHOT_ARCHIVE_ENABLED !== 'false';
+const RETENTION_DAYS = envSetting('SNAPSHOT_RETENTION_DAYS', 90);
+const MAX_ARCHIVE_MB = envSetting('SNAPSHOT_ARCHIVE_MAX_MB', 1024);
+const MAX_ARCHIVE_BYTES = MAX_ARCHIVE_MB === null ? null : MAX_ARCHIVE_MB * 1024 * 1024;
+
+const lastArchivedAt = new Map(); // tokenAddress -> fetch time (ms) of its latest archived snapshot
+let currentSegment = null; // Segment written last; retention runs whenever a new one is started
+let archiveBytes = null; // Total size of the segments, known once retention has run
+
+function segmentName(date) {
+    return `snapshots-${date.toISOString().slice(0, 10)}.ndjson`;
+}
+
+/**
+ * Segments on disk, oldest first.
+ * @returns {Array<{fileName: string, date: string, sizeBytes: number}>}
+ */
+function listSegments() {
+    const dir = storage.resolvePath(ARCHIVE_DIR);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(fileName => SEGMENT_PATTERN.test(fileName))
+        .sort()
+        .map(fileName => ({
+            fileName,
+            date: SEGMENT_PATTERN.exec(fileName)[1],
+            sizeBytes: fs.statSync(path.join(dir, fileName)).size,
+        }));
+}
+
+function deleteSegment(segment) {
+    storage.remove(path.join(ARCHIVE_DIR, segment.fileName));
+    log.info(`Deleted segment ${segment.fileName} (${segment.date}).`, { sizeBytes: segment.sizeBytes });
+}
+
+/**
+ * Deletes segments past the retention period, then the oldest ones while the archive is over its size limit.
+ * The segment being written is never deleted.
+ * @returns {number} Segments deleted.
+ */
+function enforceRetention() {
+    let segments = listSegments();
+    const kept = [];
+    let deleted = 0;
+    // Day N's segment is kept while it is within the last RETENTION_DAYS days
+    const oldestKeptDate = RETENTION_DAYS === null ? null : new Date(Date.now() - (RETENTION_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+    for (const segment of segments) {
+        if (oldestKeptDate && segment.date < oldestKeptDate && segment.fileName !== currentSegment) {
+            deleteSegment(segment);
+            deleted++;
+        } else {
+            kept.push(segment);
+        }
+    }
+    segments = kept;
+    archiveBytes = segments.reduce((total, segment) => total + segment.sizeBytes, 0);
+    while (MAX_ARCHIVE_BYTES !== null && archiveBytes > MAX_ARCHIVE_BYTES && segments.length > 1) {
+        const oldest = segments.shift();
+        if (oldest.fileName === currentSegment) break;
+        deleteSegment(oldest);
+        archiveBytes -= oldest.sizeBytes;
+        deleted++;
+    }
+    return deleted;
+}
+
+function toRecord(token) {
+    const toISO = value => (value ? new Date(value).toISOString() : null);
+    return {
+        timestamp: toISO(token.lastFetched),
+        address: token.address,
+        name: token.name ?? null,
+        symbol: token.symbol ?? null,
+        priceUSD: token.priceUSD ?? null,
+        liquidityUSD: token.liquidityUSD ?? null,
+        marketCapUSD: token.marketCapUSD ?? null,
+        supply: token.supply ?? null,
+        createdAt: toISO(token.createdAt),
+        sources: token.sources || {},
+    };
+}
+
+/**
+ * Archives a freshly fetched Token. Re-deliveries of the same fetch (same lastFetched) are ignored.
+ * Never throws: a failed write is logged and the snapshot dropped.
+ * @param {Token} token - Token as returned by the market data providers.
+ * @returns {boolean} Whether the snapshot was archived.
+ */
+function recordSnapshot(token) {
+    if (!ARCHIVE_ENABLED || !token || !token.address || !token.lastFetched) return false;
+    const fetchedAt = new Date(token.lastFetched).getTime();
+    if (Number.isNaN(fetchedAt) || fetchedAt <= (lastArchivedAt.get(token.address) || 0)) return false;
+
+    try {
+        const fileName = segmentName(new Date(fetchedAt));
+        if (fileName !== currentSegment) {
+            fs.mkdirSync(storage.resolvePath(ARCHIVE_DIR), { recursive: true });
+            currentSegment = fileName;
+            enforceRetention();
+        }
+        const record = toRecord(token);
+        storage.appendLine(path.join(ARCHIVE_DIR, fileName), record);
+        lastArchivedAt.set(token.address, fetchedAt);
+        archiveBytes += Buffer.byteLength(JSON.stringify(record)) + 1;
+        if (MAX_ARCHIVE_BYTES !== null && archiveBytes > MAX_ARCHIVE_BYTES) enforceRetention();
+        return true;
+    } catch (error) {
+        log.error(`Could not archive the snapshot of ${token.address}.`, { tokenAddress: token.address, error });
+        return false;
+    }
+}
+
+function segmentsInRange(from, to) {
+    return listSegments().filter(segment => {
+        const dayStart = Date.parse(`${segment.date}T00:00:00.000Z`);
+        return (!from || dayStart + DAY_MS > from.getTime()) && (!to || dayStart <= to.getTime());
+    });
+}
+
+function matches(record, { tokenAddress, from, to }) {
+    if (tokenAddress && record.address !== tokenAddress) return false;
+    const time = Date.parse(record.timestamp);
+    return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+}
+
+/**
+ * Calls onBatch with the archived snapshots matching the filters, oldest first, one batch per segment so the whole
+ * archive is never held in memory. Stops early when onBatch returns false.
+ * @param {object} [filters] - { tokenAddress?, from?: Date, to?: Date }
+ * @param {Function} onBatch - (Array<object>) => boolean|undefined
+ */
+function forEachSnapshotBatch(filters, onBatch) {
+    for (const segment of segmentsInRange(filters.from, filters.to)) {
+        const batch = storage.readLines(path.join(ARCHIVE_DIR, segment.fileName)).filter(record => matches(record, filters));
+        if (batch.length > 0 && onBatch(batch) === false) return;
+    }
+}
+
+/**
+ * Archived snapshots, oldest first.
+ * @param {object} [filters]
+ * @param {string} [filters.tokenAddress] - Snapshots of this token only.
+ * @param {Date} [filters.from] - Inclusive lower bound on the fetch time.
+ * @param {Date} [filters.to] - Inclusive upper bound on the fetch time.
+ * @param {number} [filters.limit] - Most snapshots returned (default 1000, at most 10000).
+ * @returns {Array<object>}
+ */
+function querySnapshots(filters = {}) {
+    const limit = Math.min(filters.limit || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+    const snapshots = [];
+    forEachSnapshotBatch(filters, batch => {
+        snapshots.push(...batch.slice(0, limit - snapshots.length));
+        return snapshots.length < limit;
+    });
+    return snapshots;
+}
+
+/**
+ * Archive settings and segments, for GET /api/snapshots/archive.
+ * @returns {object} { enabled, retentionDays, maxSizeMB, totalBytes, segments }
+ */
+function getArchiveInfo() {
+    const segments = listSegments();
+    return {
+        enabled: ARCHIVE_ENABLED,
+        retentionDays: RETENTION_DAYS,
+        maxSizeMB: MAX_ARCHIVE_MB,
+        totalBytes: segments.reduce((total, segment) => total + segment.sizeBytes, 0),
+        segments,
+    };
+}
+
+module.exports = {
+    recordSnapshot,
+    querySnapshots,
+    forEachSnapshotBatch,
+    enforceRetention,
+    getArchiveInfo,
+    MAX_QUERY_LIMIT,
+};
@@ -0,0 +1,108 @@
+// backend/services/solanaRpcService.js
+const httpClient = require('./httpClient');
+
+// Minimal Solana JSON-RPC client for real trading: submitting signed transactions, tracking their
+// confirmation and reading balances. SOLANA_RPC_URL picks the endpoint, e.g. http://127.0.0.1:8899 for a
+// local validator or scripts/mockSolana.js.
+const DEFAULT_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+const LAMPORTS_PER_SOL = 1e9;
+
+/**
+ * Creates an RPC client for one endpoint.
+ * @param {string} [url] - JSON-RPC endpoint.
+ * @returns {object} RPC API. Every method rejects on transport errors and RPC errors.
+ */
+function createRpcClient(url = DEFAULT_RPC_URL) {
+    let requestId = 0;
+    const decimalsByMint = new Map();
+
+    async function call(method, params = []) {
+        // Sending isn't retried by the HTTP client; a resend is left to the caller, who knows the signature
+        const response = await httpClient.post(url, { jsonrpc: '2.0', id: ++requestId, method, params }, {
+            retries: method === 'sendTransaction' ? 0 : undefined,
+        });
+        if (response.stale) {
+            // Chain state from before the circuit opened would be misleading
+            throw new Error(`RPC ${method}: endpoint unavailable (circuit open)`);
+        }
+        if (response.data?.error) {
+            throw new Error(`RPC ${method}: ${response.data.error.message || JSON.stringify(response.data.error)}`);
+        }
+        return response.data?.result;
+    }
+
+    /**
+     * @param {string} signedTransaction - Base64 serialized, signed transaction.
+     * @returns {Promise<string>} Transaction signature.
+     */
+    function sendTransaction(signedTransaction) {
+        return call('sendTransaction', [signedTransaction, { encoding: 'base64', preflightCommitment: 'confirmed' }]);
+    }
+
+    /**
+     * @returns {Promise<{confirmationStatus: string, err: object|null}|null>} null while the cluster hasn't seen it.
+     */
+    async function getSignatureStatus(signature) {
+        const result = await call('getSignatureStatuses', [[signature], { searchTransactionHistory: true }]);
+        return result?.value?.[0] || null;
+    }
+
+    async function getBalanceSOL(publicKey) {
+        const result = await call('getBalance', [publicKey, { commitment: 'confirmed' }]);
+        return result.value / LAMPORTS_PER_SOL;
+    }
+
+    async function getTokenDecimals(mint) {
+        if (!decimalsByMint.has(mint)) {
+            const result = await call('getTokenSupply', [mint]);
+            decimalsByMint.set(mint, result.value.decimals);
+        }
+        return decimalsByMint.get(mint);
+    }
+
+    function getTransaction(signature) {
+        return call('getTransaction', [signature, { encoding: 'jsonParsed', commitment: 'confirmed', maxSupportedTransactionVersion: 0 }]);
+    }
+
+    return {
+        call,
+        sendTransaction,
+        getSignatureStatus,
+        getBalanceSOL,
+        getTokenDecimals,
+        getTransaction,
+    };
+}
+
+/**
+ * What a confirmed swap did to the wallet: SOL and token balance changes, read from the transaction's
+ * pre/post balances. solChange includes the network fee and any account rent.
+ * @param {object} transaction - getTransaction result (jsonParsed).
+ * @param {string} owner - Wallet public key.
+ * @param {string} mint - Token mint.
+ * @returns {{solChange: number, tokenChange: number, feeSOL: number}|null} null if the wallet isn't in the transaction.
+ */
+function summarizeBalanceChanges(transaction, owner, mint) {
+    const { meta } = transaction || {};
+    const accountKeys = transaction?.transaction?.message?.accountKeys || [];
+    const ownerIndex = accountKeys.findIndex(key => (typeof key === 'string' ? key : key.pubkey) === owner);
+    if (!meta || ownerIndex === -1) return null;
+
+    const tokenAmount = balances => balances
+        .filter(balance => balance.owner === owner && balance.mint === mint)
+        .reduce((sum, balance) => sum + Number(balance.uiTokenAmount.uiAmountString ?? balance.uiTokenAmount.uiAmount ?? 0), 0);
+
+    return {
+        solChange: (meta.postBalances[ownerIndex] - meta.preBalances[ownerIndex]) / LAMPORTS_PER_SOL,
+        tokenChange: tokenAmount(meta.postTokenBalances || []) - tokenAmount(meta.preTokenBalances || []),
+        feeSOL: (meta.fee || 0) / LAMPORTS_PER_SOL,
+    };
+}
+
+module.exports = {
+    ...createRpcClient(),
+    createRpcClient,
+    summarizeBalanceChanges,
+    RPC_URL: DEFAULT_RPC_URL,
+    LAMPORTS_PER_SOL,
+};
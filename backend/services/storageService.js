@@ -0,0 +1,142 @@
+// backend/services/storageService.js
+const fs = require('fs');
+const path = require('path');
+const { DEMO_MODE } = require('./demoMode');
+const log = require('./loggerService').createLogger('StorageService');
+
+// All persisted state lives under one directory so it can be backed up or wiped as a unit.
+// Demo mode keeps its own directory so simulated trades never mix with the regular portfolio.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data', ...(DEMO_MODE ? ['demo'] : []));
+
+function ensureDataDir() {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+}
+
+function resolvePath(fileName) {
+    return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Reads and parses a JSON file from the data directory.
+ * @param {string} fileName - File name relative to the data directory.
+ * @param {any} fallback - Value returned when the file does not exist or cannot be parsed.
+ * @returns {any} The parsed contents or the fallback.
+ */
+function readJSON(fileName, fallback = null) {
+    const filePath = resolvePath(fileName);
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        log.error(`Failed to read ${filePath}`, { error });
+        return fallback;
+    }
+}
+
+function writeFileAtomic(fileName, contents) {
+    ensureDataDir();
+    const filePath = resolvePath(fileName);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Writes a JSON file atomically: the data goes to a temp file which is fsynced
+ * and then renamed over the target, so readers only ever see the old or the new file.
+ * @param {string} fileName - File name relative to the data directory.
+ * @param {any} data - JSON-serializable data.
+ */
+function writeJSONAtomic(fileName, data) {
+    writeFileAtomic(fileName, JSON.stringify(data));
+}
+
+/**
+ * Rewrites an NDJSON file atomically with the given records (used to compact append-only files).
+ * @param {string} fileName - File name relative to the data directory.
+ * @param {Array<object>} records - JSON-serializable records.
+ */
+function writeLinesAtomic(fileName, records) {
+    writeFileAtomic(fileName, records.map(record => JSON.stringify(record) + '\n').join(''));
+}
+
+/**
+ * Appends one record as a single NDJSON line and fsyncs it.
+ * A record is either fully on disk or (after a crash mid-write) a torn line that readLines() drops.
+ * If the file ends in such a torn line, the record starts on a new line so it isn't glued onto the fragment.
+ * @param {string} fileName - File name relative to the data directory.
+ * @param {object} record - JSON-serializable record.
+ */
+function appendLine(fileName, record) {
+    ensureDataDir();
+    const fd = fs.openSync(resolvePath(fileName), 'a+');
+    try {
+        const { size } = fs.fstatSync(fd);
+        let separator = '';
+        if (size > 0) {
+            const lastByte = Buffer.alloc(1);
+            fs.readSync(fd, lastByte, 0, 1, size - 1);
+            if (lastByte[0] !== 0x0a) separator = '\n';
+        }
+        fs.writeSync(fd, separator + JSON.stringify(record) + '\n');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Reads all complete records from an NDJSON file.
+ * @param {string} fileName - File name relative to the data directory.
+ * @returns {Array<object>} Parsed records, in file order.
+ */
+function readLines(fileName) {
+    const filePath = resolvePath(fileName);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    const records = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            // A crash during append leaves a torn line: the last one, or followed by records appended after restart
+            log.warn(`Skipping incomplete or corrupt record in ${fileName} (line ${index + 1}).`);
+        }
+    });
+    return records;
+}
+
+/**
+ * Removes a file from the data directory if it exists.
+ * @param {string} fileName - File name relative to the data directory.
+ */
+function remove(fileName) {
+    const filePath = resolvePath(fileName);
+    if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    resolvePath,
+    readJSON,
+    writeJSONAtomic,
+    writeLinesAtomic,
+    appendLine,
+    readLines,
+    remove,
+};
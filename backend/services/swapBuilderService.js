@@ -0,0 +1,65 @@
+// backend/services/swapBuilderService.js
+const httpClient = require('./httpClient');
+const log = require('./loggerService').createLogger('SwapBuilderService');
+
+// Builds unsigned swap transactions for real trades through the Jupiter swap API: a quote for the route,
+// then the serialized transaction for the wallet to sign. JUPITER_API_URL points it elsewhere, e.g. at
+// scripts/mockSolana.js for end-to-end tests.
+const JUPITER_API_BASE_URL = process.env.JUPITER_API_URL || 'https://quote-api.jup.ag/v6';
+const SOL_MINT_ADDRESS = 'So11111111111111111111111111111111111111112'; // Wrapped SOL; Jupiter wraps/unwraps it
+
+/**
+ * Quotes a swap and builds its transaction.
+ * @param {object} swap
+ * @param {string} swap.inputMint - Mint spent (SOL_MINT_ADDRESS to spend SOL).
+ * @param {string} swap.outputMint - Mint received.
+ * @param {number} swap.amountRaw - Input amount in the input mint's smallest unit (lamports for SOL).
+ * @param {string} swap.userPublicKey - Wallet that signs and pays.
+ * @param {number} swap.slippageBps - Slippage tolerance in basis points.
+ * @param {number} [swap.priorityFeeLamports] - Priority fee to attach.
+ * @returns {Promise<{success: boolean, error?: string, transaction?: string, quote?: object, lastValidBlockHeight?: number}>}
+ *          transaction: base64 serialized versioned transaction; quote: { inAmount, outAmount, priceImpactPercent }.
+ */
+async function buildSwapTransaction({ inputMint, outputMint, amountRaw, userPublicKey, slippageBps, priorityFeeLamports }) {
+    try {
+        const quoteResponse = await httpClient.get(`${JUPITER_API_BASE_URL}/quote`, {
+            params: { inputMint, outputMint, amount: String(amountRaw), slippageBps },
+        });
+        const quote = quoteResponse.data;
+        if (!quote || quote.error || !quote.outAmount) {
+            return { success: false, error: `No swap route: ${quote?.error || 'empty quote'}` };
+        }
+
+        // Not retried: each call returns a transaction with a fresh blockhash, there's nothing stale to reuse
+        const swapResponse = await httpClient.post(`${JUPITER_API_BASE_URL}/swap`, {
+            quoteResponse: quote,
+            userPublicKey,
+            wrapAndUnwrapSol: true,
+            dynamicComputeUnitLimit: true,
+            prioritizationFeeLamports: priorityFeeLamports,
+        }, { retries: 0 });
+        if (!swapResponse.data?.swapTransaction) {
+            return { success: false, error: `Swap transaction not built: ${swapResponse.data?.error || 'empty response'}` };
+        }
+
+        return {
+            success: true,
+            transaction: swapResponse.data.swapTransaction,
+            lastValidBlockHeight: swapResponse.data.lastValidBlockHeight ?? null,
+            quote: {
+                inAmount: Number(quote.inAmount),
+                outAmount: Number(quote.outAmount),
+                priceImpactPercent: quote.priceImpactPct !== undefined ? Number(quote.priceImpactPct) * 100 : null,
+            },
+        };
+    } catch (error) {
+        const detail = error.response?.data?.error || error.message;
+        log.error(`Could not build swap ${inputMint} -> ${outputMint}: ${detail}`);
+        return { success: false, error: `Swap API error: ${detail}` };
+    }
+}
+
+module.exports = {
+    buildSwapTransaction,
+    SOL_MINT_ADDRESS,
+};
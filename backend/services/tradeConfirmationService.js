@@ -0,0 +1,159 @@
+// backend/services/tradeConfirmationService.js
+const EventEmitter = require('events');
+const portfolioService = require('./portfolioService');
+const apiClient = require('./apiClient');
+const tradeQueueService = require('./tradeQueueService');
+const log = require('./loggerService').createLogger('TradeConfirmationService');
+
+// Optional confirm mode: instead of executing, the trading engine records a proposed buy or sell as a
+// 'pending' Trade and hands it here. It executes once a client confirms it; a rejection or the timeout
+// cancels it. Events (broadcast by server.js):
+//   'tradeProposed' (trade)                      - a new pending trade awaits confirmation
+//   'tradeResolved' ({ trade, status, result })  - it was confirmed, failed to execute ('failed_execution'), rejected or expired
+const events = new EventEmitter();
+
+// TRADE_CONFIRMATION_MODE: 'auto' executes immediately (default), 'confirm' asks the client first.
+const CONFIRMATION_MODES = ['auto', 'confirm'];
+const CONFIRMATION_MODE = CONFIRMATION_MODES.includes(process.env.TRADE_CONFIRMATION_MODE) ? process.env.TRADE_CONFIRMATION_MODE : 'auto';
+const CONFIRMATION_TIMEOUT_MS = parseInt(process.env.TRADE_CONFIRMATION_TIMEOUT_MS, 10) || 60 * 1000;
+// Stop-loss exits protect capital, so by policy they don't wait for a click unless this is set to 'false'.
+const AUTO_EXECUTE_STOP_LOSS = process.env.AUTO_EXECUTE_STOP_LOSS !== 'false';
+const STOP_LOSS_REASONS = ['stop-loss', 'trailing-stop'];
+
+const pendingTrades = new Map(); // tradeId -> { trade, tokenData, order, timer }
+
+/**
+ * Whether a trade of this type and reason has to be confirmed before it executes.
+ * @param {string} type - 'buy' or 'sell'.
+ * @param {string|null} reason - The sell reason, e.g. 'take-profit' or 'stop-loss'.
+ * @returns {boolean}
+ */
+function requiresConfirmation(type, reason) {
+    if (CONFIRMATION_MODE !== 'confirm') return false;
+    if (type === 'sell' && AUTO_EXECUTE_STOP_LOSS && STOP_LOSS_REASONS.includes(reason)) return false;
+    return true;
+}
+
+/**
+ * The pending proposal for a token and side, so repeated rule checks don't stack up duplicates.
+ * @returns {Trade|null}
+ */
+function getPendingTrade(tokenAddress, type) {
+    for (const { trade } of pendingTrades.values()) {
+        if (trade.tokenId === tokenAddress && trade.type === type) return trade;
+    }
+    return null;
+}
+
+function getPendingTrades() {
+    return [...pendingTrades.values()].map(({ trade }) => trade);
+}
+
+/**
+ * Registers a proposal recorded by the trading engine and notifies clients.
+ * @param {Trade} trade - The 'pending' trade, already in the trade history.
+ * @param {object} tokenData - Market data the proposal was priced with; used if fresh data is unavailable at confirmation.
+ * @param {object} order - { type: 'buy'|'sell', tokenAddress, percentageToSell?, reason?, options }; queued as a trade job once confirmed.
+ */
+function propose(trade, tokenData, order) {
+    const timer = setTimeout(() => resolve(trade.id, 'expired'), CONFIRMATION_TIMEOUT_MS);
+    timer.unref();
+    pendingTrades.set(trade.id, { trade, tokenData, order, timer });
+    log.info(`${trade.type.toUpperCase()} of ${trade.tokenSymbol || trade.tokenId} awaiting confirmation (trade ${trade.id}, expires in ${CONFIRMATION_TIMEOUT_MS / 1000}s).`, { tokenAddress: trade.tokenId, tradeId: trade.id });
+    events.emit('tradeProposed', trade);
+}
+
+// Records how a proposal ended and tells clients
+function finish(pending, status, result = null) {
+    const tradeId = pending.trade.id;
+    const trade = portfolioService.updateTradeStatus(tradeId, status) || pending.trade;
+    log.info(`Trade ${tradeId} ${status}.`, { tradeId });
+    events.emit('tradeResolved', { trade, status, result });
+}
+
+function resolve(tradeId, status) {
+    const pending = pendingTrades.get(tradeId);
+    if (!pending) return null;
+    clearTimeout(pending.timer);
+    pendingTrades.delete(tradeId);
+    finish(pending, status);
+    return pending;
+}
+
+/**
+ * Executes a pending trade at the current market price.
+ * @param {string} tradeId - Id of the pending trade.
+ * @returns {Promise<{success: boolean, error?: string, trade?: Trade}>}
+ */
+async function confirmTrade(tradeId) {
+    const pending = pendingTrades.get(tradeId);
+    if (!pending) {
+        return { success: false, error: `No pending trade ${tradeId} (already resolved or expired).` };
+    }
+    // Claim it before awaiting anything so a second confirm or the timeout can't execute it twice
+    clearTimeout(pending.timer);
+    pendingTrades.delete(tradeId);
+
+    let result = null;
+    try {
+        let tokenData = await apiClient.fetchTokenData(pending.trade.tokenId, { allowStale: false });
+        if (!tokenData || tokenData.symbol === 'Error' || typeof tokenData.priceUSD !== 'number') {
+            log.warn(`No fresh data for ${pending.trade.tokenId}, executing at the proposed price.`, { tokenAddress: pending.trade.tokenId, tradeId });
+            tokenData = pending.tokenData;
+        }
+        const { type, tokenAddress, options, ...orderParams } = pending.order;
+        // Only paper orders are proposed (a real order's confirmation is the wallet's signature), so they execute on paper
+        const job = await tradeQueueService.run(type, tokenAddress, { ...orderParams, mode: 'paper', tokenData, options: { ...options, proposalId: tradeId } }, {
+            idempotencyKey: `confirm:${tradeId}`,
+        });
+        result = job && job.status === 'completed' ? job.result : null;
+    } catch (error) {
+        // Claimed already, so the proposal has to be resolved here or it would stay pending for good
+        log.error(`Executing confirmed trade ${tradeId} failed`, { tradeId, tokenAddress: pending.trade.tokenId, error });
+    }
+    // The job fails, or completes without a trade, when the order is refused (e.g. slippage or risk limits)
+    const status = result?.trade ? 'confirmed' : 'failed_execution';
+
+    finish(pending, status, result);
+    if (status !== 'confirmed') {
+        return { success: false, error: 'The confirmed trade could not be executed (see trade history).' };
+    }
+    return { success: true, trade: result.trade };
+}
+
+/**
+ * Cancels a pending trade.
+ * @param {string} tradeId - Id of the pending trade.
+ * @returns {{success: boolean, error?: string}}
+ */
+function rejectTrade(tradeId) {
+    if (!resolve(tradeId, 'rejected')) {
+        return { success: false, error: `No pending trade ${tradeId} (already resolved or expired).` };
+    }
+    return { success: true };
+}
+
+/**
+ * Proposals don't survive a restart (their timers are gone); mark any left in the history as expired.
+ * Called once by server.js on startup.
+ */
+function expireStalePendingTrades() {
+    const stale = portfolioService.getTradeHistory({ status: 'pending' });
+    stale.forEach(trade => portfolioService.updateTradeStatus(trade.id, 'expired'));
+    if (stale.length > 0) {
+        log.info(`Expired ${stale.length} pending trade(s) left over from before the restart.`);
+    }
+}
+
+log.info(`Mode ${CONFIRMATION_MODE}${CONFIRMATION_MODE === 'confirm' ? ` (timeout ${CONFIRMATION_TIMEOUT_MS / 1000}s, stop-loss auto-execute: ${AUTO_EXECUTE_STOP_LOSS})` : ''}.`);
+
+module.exports = {
+    events,
+    requiresConfirmation,
+    getPendingTrade,
+    getPendingTrades,
+    propose,
+    confirmTrade,
+    rejectTrade,
+    expireStalePendingTrades,
+};
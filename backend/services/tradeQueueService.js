@@ -0,0 +1,314 @@
+// backend/services/tradeQueueService.js
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const storage = require('./storageService');
+const log = require('./loggerService').createLogger('TradeQueueService');
+
+// In-process job queue for trades (no external broker). Jobs for the same token run one at a time, in
+// order; jobs for different tokens run in parallel up to TRADE_QUEUE_CONCURRENCY. Job state changes are
+// appended to a log so queued trades survive a restart; the log is compacted to the live jobs now and then.
+// Handlers are registered per job type by the services that own them (tradingService registers 'buy', 'sell'
+// and 'checkRules'). Events:
+//   'jobFinished' (job)   - a job completed or failed for good
+const events = new EventEmitter();
+
+const JOBS_FILE = 'trade_jobs.ndjson'; // One record per job state change; the last record of a job wins
+const LEGACY_JOBS_FILE = 'trade_jobs.json'; // Whole-array format written by earlier versions
+const COMPACT_EVERY_N_APPENDS = 1000;
+const CONCURRENCY = parseInt(process.env.TRADE_QUEUE_CONCURRENCY, 10) || 2;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.TRADE_QUEUE_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+const FINISHED_JOB_RETENTION_MS = 24 * 60 * 60 * 1000; // Finished jobs are kept this long so their idempotency keys keep deduplicating
+
+const handlers = new Map(); // type -> { handler, hasCommitted, persist, transientParams }
+const jobs = new Map(); // jobId -> job, insertion (= enqueue) order
+const jobsByKey = new Map(); // idempotencyKey -> job
+const waiters = new Map(); // jobId -> Array<resolve>
+const busyTokens = new Set(); // tokens with a job currently running
+let runningCount = 0;
+let started = false;
+let wakeTimer = null;
+let appendsSinceCompaction = 0;
+
+function addJob(job) {
+    jobs.set(job.id, job);
+    if (job.idempotencyKey) jobsByKey.set(job.idempotencyKey, job);
+}
+
+function removeJob(job) {
+    jobs.delete(job.id);
+    if (job.idempotencyKey && jobsByKey.get(job.idempotencyKey) === job) jobsByKey.delete(job.idempotencyKey);
+}
+
+function isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+}
+
+// Job types registered with persist: false (e.g. rule checks, which the next refresh repeats anyway)
+// live in memory only, until they finish.
+function isPersisted(job) {
+    return handlers.get(job.type)?.persist !== false;
+}
+
+// The job as written to disk, without the params its type marks transient (e.g. market data, refetched after a restart)
+function toRecord(job) {
+    const transientParams = handlers.get(job.type)?.transientParams || [];
+    if (transientParams.length === 0 || !job.params) return job;
+    const params = { ...job.params };
+    transientParams.forEach(name => delete params[name]);
+    return { ...job, params };
+}
+
+function compactJobs() {
+    storage.writeLinesAtomic(JOBS_FILE, [...jobs.values()].filter(isPersisted).map(toRecord));
+    appendsSinceCompaction = 0;
+}
+
+function persistJob(job) {
+    if (!isPersisted(job)) return;
+    storage.appendLine(JOBS_FILE, toRecord(job));
+    appendsSinceCompaction++;
+    if (appendsSinceCompaction >= COMPACT_EVERY_N_APPENDS) {
+        pruneFinishedJobs();
+        compactJobs();
+    }
+}
+
+function pruneFinishedJobs() {
+    const cutoff = Date.now() - FINISHED_JOB_RETENTION_MS;
+    for (const job of jobs.values()) {
+        if (isFinished(job) && new Date(job.updatedAt).getTime() < cutoff) {
+            removeJob(job);
+        }
+    }
+}
+
+// Restore persisted jobs right away so enqueues before start() don't overwrite them; they run once start() is called.
+function loadPersistedJobs() {
+    const legacyJobs = storage.readJSON(LEGACY_JOBS_FILE);
+    if (legacyJobs) {
+        legacyJobs.forEach(addJob);
+        compactJobs();
+        storage.remove(LEGACY_JOBS_FILE);
+        return;
+    }
+    for (const record of storage.readLines(JOBS_FILE)) {
+        const job = jobs.get(record.id);
+        if (job) {
+            Object.assign(job, record);
+        } else {
+            addJob(record);
+        }
+    }
+}
+
+loadPersistedJobs();
+
+/**
+ * Registers the function that executes jobs of a type.
+ * @param {string} type - Job type, e.g. 'buy'.
+ * @param {Function} handler - async (job) => result. Throwing marks the attempt as failed and schedules a retry.
+ * @param {object} [options]
+ * @param {Function} [options.hasCommitted] - (job) => boolean. Used after a restart for jobs that were running when
+ *                                            the process stopped: if their effect was already committed they are not rerun.
+ * @param {boolean} [options.persist=true] - false keeps the jobs in memory only and drops them once finished, so
+ *                                           their idempotency keys only deduplicate while they are queued or running.
+ * @param {Array<string>} [options.transientParams] - Params left out of the persisted job (the handler must cope
+ *                                                    with them missing after a restart).
+ */
+function registerHandler(type, handler, options = {}) {
+    handlers.set(type, {
+        handler,
+        hasCommitted: options.hasCommitted || null,
+        persist: options.persist !== false,
+        transientParams: options.transientParams || [],
+    });
+}
+
+/**
+ * Adds a job to the queue. A job with the same idempotency key that is already known is returned instead.
+ * @param {string} type - Registered job type.
+ * @param {string} tokenAddress - Token the job trades; jobs for one token are serialized.
+ * @param {object} params - JSON-serializable handler parameters.
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Deduplicates repeated submissions of the same trade.
+ * @param {number} [options.maxAttempts] - Attempts before the job fails for good.
+ * @returns {{job: object, duplicate: boolean}}
+ */
+function enqueue(type, tokenAddress, params, options = {}) {
+    if (options.idempotencyKey) {
+        const existing = jobsByKey.get(options.idempotencyKey);
+        if (existing) {
+            log.info(`Duplicate submission for key ${options.idempotencyKey}, returning job ${existing.id} (${existing.status}).`, { tokenAddress: existing.tokenAddress, jobId: existing.id });
+            return { job: existing, duplicate: true };
+        }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        idempotencyKey: options.idempotencyKey || null,
+        type,
+        tokenAddress,
+        params,
+        status: 'queued', // 'queued' | 'running' | 'completed' | 'failed'
+        attempts: 0,
+        maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        nextAttemptAt: null,
+        createdAt: now,
+        updatedAt: now,
+        result: null,
+        error: null,
+    };
+    addJob(job);
+    persistJob(job);
+    log.info(`Queued ${type} job ${job.id} for ${tokenAddress}.`, { tokenAddress, jobId: job.id });
+    processQueue();
+    return { job, duplicate: false };
+}
+
+/**
+ * Resolves with the job once it has completed or failed for good.
+ * @param {string} jobId
+ * @returns {Promise<object|null>} The finished job, or null if unknown.
+ */
+function waitForJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return Promise.resolve(null);
+    if (job.status === 'completed' || job.status === 'failed') return Promise.resolve(job);
+    return new Promise(resolve => {
+        if (!waiters.has(jobId)) waiters.set(jobId, []);
+        waiters.get(jobId).push(resolve);
+    });
+}
+
+/**
+ * Enqueues a job and waits for it to finish.
+ * @returns {Promise<object>} The finished job (see enqueue for the arguments).
+ */
+async function run(type, tokenAddress, params, options = {}) {
+    const { job } = enqueue(type, tokenAddress, params, options);
+    return waitForJob(job.id);
+}
+
+function finishJob(job, status, fields) {
+    Object.assign(job, fields, { status, updatedAt: new Date().toISOString(), nextAttemptAt: null });
+    if (isPersisted(job)) {
+        persistJob(job);
+    } else {
+        removeJob(job);
+    }
+    events.emit('jobFinished', job);
+    (waiters.get(job.id) || []).forEach(resolve => resolve(job));
+    waiters.delete(job.id);
+}
+
+async function executeJob(job) {
+    const registration = handlers.get(job.type);
+    job.status = 'running';
+    job.attempts++;
+    job.updatedAt = new Date().toISOString();
+    persistJob(job);
+
+    try {
+        if (!registration) throw new Error(`No handler registered for job type "${job.type}"`);
+        const result = await registration.handler(job);
+        log.info(`${job.type} job ${job.id} for ${job.tokenAddress} completed (attempt ${job.attempts}).`, { tokenAddress: job.tokenAddress, jobId: job.id });
+        finishJob(job, 'completed', { result: result ?? null, error: null });
+    } catch (error) {
+        if (registration && job.attempts < job.maxAttempts) {
+            const delay = Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** job.attempts);
+            log.warn(`${job.type} job ${job.id} attempt ${job.attempts}/${job.maxAttempts} failed (${error.message}), retrying in ${Math.round(delay)}ms.`, { tokenAddress: job.tokenAddress, jobId: job.id });
+            Object.assign(job, { status: 'queued', error: error.message, nextAttemptAt: new Date(Date.now() + delay).toISOString(), updatedAt: new Date().toISOString() });
+            persistJob(job);
+        } else {
+            log.error(`${job.type} job ${job.id} for ${job.tokenAddress} failed after ${job.attempts} attempt(s): ${error.message}`, { tokenAddress: job.tokenAddress, jobId: job.id });
+            finishJob(job, 'failed', { error: error.message });
+        }
+    }
+}
+
+/**
+ * Starts every runnable job: the oldest queued job per idle token, up to the concurrency limit.
+ * Jobs waiting out a retry delay hold their token's place so later jobs for it don't overtake them.
+ */
+function processQueue() {
+    if (!started) return;
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+
+    const now = Date.now();
+    const tokensSeen = new Set();
+    let nextWakeAt = null;
+    for (const job of jobs.values()) {
+        if (runningCount >= CONCURRENCY) break;
+        if (job.status !== 'queued' || tokensSeen.has(job.tokenAddress)) continue;
+        tokensSeen.add(job.tokenAddress);
+        if (busyTokens.has(job.tokenAddress)) continue;
+
+        const readyAt = job.nextAttemptAt ? new Date(job.nextAttemptAt).getTime() : 0;
+        if (readyAt > now) {
+            nextWakeAt = nextWakeAt === null ? readyAt : Math.min(nextWakeAt, readyAt);
+            continue;
+        }
+
+        busyTokens.add(job.tokenAddress);
+        runningCount++;
+        executeJob(job).finally(() => {
+            busyTokens.delete(job.tokenAddress);
+            runningCount--;
+            processQueue();
+        });
+    }
+
+    if (nextWakeAt !== null) {
+        wakeTimer = setTimeout(processQueue, nextWakeAt - now);
+    }
+}
+
+/**
+ * Recovers interrupted jobs and starts processing. Called by server.js once all handlers are registered.
+ */
+function start() {
+    if (started) return;
+    let recovered = 0;
+    for (const job of jobs.values()) {
+        if (job.status !== 'running') continue;
+        // Interrupted mid-run: the trade either committed fully or not at all (portfolio transactions are atomic)
+        const hasCommitted = handlers.get(job.type)?.hasCommitted;
+        if (hasCommitted && hasCommitted(job)) {
+            Object.assign(job, { status: 'completed', updatedAt: new Date().toISOString() });
+        } else {
+            Object.assign(job, { status: 'queued', nextAttemptAt: null });
+            recovered++;
+        }
+    }
+    pruneFinishedJobs();
+    compactJobs();
+
+    const queued = [...jobs.values()].filter(job => job.status === 'queued').length;
+    log.info(`Started (concurrency ${CONCURRENCY}). ${queued} job(s) queued${recovered > 0 ? `, ${recovered} of them interrupted mid-run and requeued` : ''}.`);
+    started = true;
+    processQueue();
+}
+
+/**
+ * Known jobs, newest first, optionally filtered by status.
+ * @param {object} [filters]
+ * @param {string} [filters.status]
+ * @returns {Array<object>}
+ */
+function getJobs(filters = {}) {
+    return [...jobs.values()].filter(job => !filters.status || job.status === filters.status).reverse();
+}
+
+module.exports = {
+    events,
+    registerHandler,
+    enqueue,
+    waitForJob,
+    run,
+    start,
+    getJobs,
+};
@@ -0,0 +1,790 @@
+// backend/services/tradingEngine.js
+const sizingService = require('./sizingService');
+const riskService = require('./riskService');
+const fillModelService = require('./fillModelService');
+const Trade = require('../models/trade');
+const log = require('./loggerService').createLogger('TradingService');
+
+// The buy/sell and exit-rule logic, bound to whatever portfolio, prices and execution it is given. Requiring this
+// module creates no engine; the app's paper and real engines are wired up in tradingService.
+
+// Exit thresholds used when a position has no per-token override.
+const DEFAULT_TAKE_PROFIT_PERCENT = 20; // 20% profit
+const DEFAULT_STOP_LOSS_PERCENT = 10;   // 10% loss
+const DEFAULT_TRAILING_STOP_PERCENT = 10; // 10% below the high-water mark
+const STOP_LOSS_MODES = ['fixed', 'trailing'];
+const TRADING_RULE_FIELDS = ['takeProfitPercent', 'stopLossPercent', 'takeProfitPriceUSD', 'stopLossPriceUSD', 'trailingStopPercent'];
+const MAX_TAKE_PROFIT_TIERS = 10;
+// Automatic exits take whatever price impact the pool gives: a token's liquidity drains as it collapses, so a stop
+// that waited for a tolerable impact would never fire. The slippage tolerance applies to entries and manual sells.
+const PROTECTIVE_EXIT_OPTIONS = { maxSlippagePercent: null };
+
+/**
+ * Resolves the take-profit and stop-loss trigger prices for a position.
+ * Absolute prices on the position win over percentages, which win over the defaults.
+ * In trailing mode the stop is measured from the high-water mark instead of the buy price.
+ * @param {object} position - The portfolio position.
+ * @returns {{takeProfitPriceUSD: number, stopLossPriceUSD: number, isTrailing: boolean}}
+ */
+function resolveExitPrices(position) {
+    const buyPriceUSD = position.averageBuyPriceUSD;
+    const takeProfitPercent = position.takeProfitPercent ?? DEFAULT_TAKE_PROFIT_PERCENT;
+    const takeProfitPriceUSD = position.takeProfitPriceUSD ?? buyPriceUSD * (1 + takeProfitPercent / 100);
+
+    if (position.stopLossMode === 'trailing') {
+        const highestPriceUSD = position.highestPriceUSD ?? buyPriceUSD;
+        const trailingStopPercent = position.trailingStopPercent ?? DEFAULT_TRAILING_STOP_PERCENT;
+        return {
+            takeProfitPriceUSD,
+            stopLossPriceUSD: highestPriceUSD * (1 - trailingStopPercent / 100),
+            isTrailing: true,
+        };
+    }
+
+    const stopLossPercent = position.stopLossPercent ?? DEFAULT_STOP_LOSS_PERCENT;
+    return {
+        takeProfitPriceUSD,
+        stopLossPriceUSD: position.stopLossPriceUSD ?? buyPriceUSD * (1 - stopLossPercent / 100),
+        isTrailing: false,
+    };
+}
+
+
+/**
+ * Validates a take-profit ladder and normalizes it into the stored tier shape.
+ * @param {Array<{gainPercent: number, sellPercent: number}>} tiers - Tiers; sellPercent is a share of the holding at setup.
+ * @returns {{tiers?: Array<object>, error?: string}}
+ */
+function normalizeTakeProfitTiers(tiers) {
+    if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TAKE_PROFIT_TIERS) {
+        return { error: `takeProfitTiers must be an array of 1 to ${MAX_TAKE_PROFIT_TIERS} tiers, or null.` };
+    }
+
+    const normalized = [];
+    let totalSellPercent = 0;
+    for (const [index, tier] of tiers.entries()) {
+        const { gainPercent, sellPercent } = tier || {};
+        if (typeof gainPercent !== 'number' || !Number.isFinite(gainPercent) || gainPercent <= 0) {
+            return { error: `takeProfitTiers[${index}].gainPercent must be a positive number.` };
+        }
+        if (typeof sellPercent !== 'number' || !(sellPercent > 0 && sellPercent <= 100)) {
+            return { error: `takeProfitTiers[${index}].sellPercent must be greater than 0 and at most 100.` };
+        }
+        if (index > 0 && gainPercent <= normalized[index - 1].gainPercent) {
+            return { error: 'takeProfitTiers must be ordered by strictly increasing gainPercent.' };
+        }
+        totalSellPercent += sellPercent;
+        normalized.push({ gainPercent, sellPercent, triggered: false, triggeredAt: null });
+    }
+    if (totalSellPercent > 100) {
+        return { error: `takeProfitTiers sell a total of ${totalSellPercent}%, which exceeds 100%.` };
+    }
+    return { tiers: normalized };
+}
+
+
+/**
+ * Creates a trading engine bound to a portfolio and a SOL/USD price source.
+ * tradingService's engines trade the main portfolios with live prices; a backtest can
+ * bind the same buy/sell and exit-rule logic to a virtual portfolio and replayed prices.
+ * @param {object} deps
+ * @param {object} deps.portfolio - Portfolio API (see portfolio.createPortfolio).
+ * @param {Function} deps.getSolPriceUSD - Async function returning the current SOL/USD price or null.
+ * @param {Function} [deps.now] - Clock for trade timestamps.
+ * @param {object} [deps.confirmation] - Confirmation workflow (tradeConfirmationService); without it trades execute immediately.
+ * @param {object} [deps.sizing] - Sizing policy for automatically sized buys (see sizingService.createSizingPolicy);
+ *                                 defaults to the risk-score strategy with default params.
+ * @param {Function} [deps.getPriceSamples] - (tokenAddress, sinceMs) => samples, oldest first; history for sizing.
+ * @param {object} [deps.risk] - Risk policy checked before every buy (see riskService.createRiskPolicy); none if omitted.
+ * @param {object} [deps.fillModel] - Prices fills, fees and slippage (see fillModelService.createFillModel);
+ *                                    fills at the quoted price with no fees if omitted.
+ * @param {object} [deps.execution] - Real execution (realExecutionService): orders become swaps for the wallet to
+ *                                    sign instead of paper fills, and settle through settleRealOrder.
+ * @returns {object} Trading API.
+ */
+function createTradingEngine({
+    portfolio,
+    getSolPriceUSD,
+    now = () => new Date(),
+    confirmation = null,
+    sizing = sizingService.createSizingPolicy(),
+    getPriceSamples = () => [],
+    risk = null,
+    fillModel = fillModelService.createFillModel(fillModelService.IDEAL_FILLS),
+    execution = null,
+}) {
+    const executionLabel = execution ? 'REAL' : 'SIMULATED';
+    const unknownPnlTradeIds = new Set(); // Sells whose unknown SOL P&L has been logged
+
+    // A position at its last marked price, or at cost basis until it has been marked
+    function getPositionValueSOL(position, solPrice) {
+        return typeof position.marketValueUSD === 'number' ? position.marketValueUSD / solPrice : (position.costBasisSOL || 0);
+    }
+
+    // SOL balance plus open positions
+    function getEquitySOL(solPrice) {
+        const { currentSOLBalance, positions } = portfolio.getPortfolio();
+        return Object.values(positions).reduce((equity, position) => equity + getPositionValueSOL(position, solPrice), currentSOLBalance);
+    }
+
+    /**
+     * A sell's realized P&L as counted against the daily loss limit. Lots bought before SOL costs were tracked
+     * leave it unknown; it is then estimated from the USD P&L at the sale's SOL price, and only a loss counts, so
+     * an unknown result never loosens the limit.
+     */
+    function realizedPnlForRiskSOL(trade) {
+        if (typeof trade.realizedPnlSOL === 'number') return trade.realizedPnlSOL;
+        if (typeof trade.realizedPnlUSD !== 'number') return 0; // Not executed (rejected, failed or pending)
+        const estimateSOL = trade.solPriceUSD ? trade.realizedPnlUSD / trade.solPriceUSD : -trade.amountSOL;
+        if (!unknownPnlTradeIds.has(trade.id)) {
+            unknownPnlTradeIds.add(trade.id);
+            log.warn(`Sell ${trade.id} of ${trade.tokenId} has no known SOL cost basis; counting ${Math.min(0, estimateSOL).toFixed(4)} SOL towards the daily loss limit.`, { tokenAddress: trade.tokenId, tradeId: trade.id });
+        }
+        return Math.min(0, estimateSOL);
+    }
+
+    /**
+     * What the risk limits are measured against: exposure overall and in one token, open positions and
+     * today's (UTC) realized P&L.
+     * @param {string|null} tokenAddress - Token about to be bought, if any.
+     * @param {number} solPrice - SOL/USD rate for valuing positions.
+     */
+    function getRiskState(tokenAddress, solPrice) {
+        const { currentSOLBalance, positions } = portfolio.getPortfolio();
+        const openPositions = Object.values(positions).filter(position => position.amountHeld > 0);
+        const exposureSOL = openPositions.reduce((sum, position) => sum + getPositionValueSOL(position, solPrice), 0);
+        const tokenPosition = openPositions.find(position => position.tokenAddress === tokenAddress) || null;
+        const realizedPnlTodaySOL = portfolio.getTradeHistory({ type: 'sell', from: riskService.startOfUTCDay(now()) })
+            .reduce((sum, trade) => sum + realizedPnlForRiskSOL(trade), 0);
+        return {
+            equitySOL: currentSOLBalance + exposureSOL,
+            exposureSOL,
+            openPositions: openPositions.length,
+            tokenExposureSOL: tokenPosition ? getPositionValueSOL(tokenPosition, solPrice) : 0,
+            tokenHasPosition: Boolean(tokenPosition),
+            realizedPnlTodaySOL,
+        };
+    }
+
+    /**
+     * Current risk limits and the portfolio's standing against them.
+     * @returns {Promise<{limits: object|null, state: object|null}>} state is null while the SOL price is unknown.
+     */
+    async function getRiskStatus() {
+        const solPrice = await getSolPriceUSD();
+        return { limits: risk ? risk.getLimits() : null, state: solPrice ? getRiskState(null, solPrice) : null };
+    }
+
+    function needsConfirmation(type, reason, options) {
+        // Orders the user placed themselves, or already confirmed, don't need another click
+        return Boolean(confirmation) && !options.proposalId && !options.manual && confirmation.requiresConfirmation(type, reason);
+    }
+
+    // An order of this type for the token already waiting on the user: a confirmation, or the wallet's signature in real mode
+    function findPendingOrder(tokenAddress, type, reason, options) {
+        if (execution) return execution.getPendingTrade(tokenAddress, type);
+        return needsConfirmation(type, reason, options) && confirmation.getPendingTrade(tokenAddress, type);
+    }
+
+    // Records an order the fill model rejected (slippage over tolerance, or fees eating the whole order)
+    function recordRejectedFill(type, tokenAddress, currentTokenData, quote, amountSOL, reason) {
+        log.warn(`${type.toUpperCase()} of ${tokenAddress} rejected: ${quote.error}`, { tokenAddress });
+        const trade = new Trade(tokenAddress, type, amountSOL, currentTokenData.priceUSD, now(), `failed_${quote.status}`);
+        trade.reasonForTrade = reason || null;
+        trade.priceImpactPercent = quote.priceImpactPercent ?? null;
+        portfolio.addTradeToHistory(trade);
+        return trade;
+    }
+
+    // Whether the token's last trade is this same rejected exit. Exit rules run on every price refresh, so a rejected
+    // exit (e.g. a dust position whose proceeds can't cover the fees) is recorded once, not again on every tick.
+    function isRepeatedRejection(tokenAddress, reason, quote) {
+        const trades = portfolio.getTradeHistory({ tokenId: tokenAddress });
+        const lastTrade = trades[trades.length - 1];
+        return Boolean(lastTrade) && lastTrade.type === 'sell' && lastTrade.status === `failed_${quote.status}` && lastTrade.reasonForTrade === reason;
+    }
+
+    /**
+     * Records a trade as 'pending' and hands it to the confirmation workflow instead of executing it.
+     * @param {object} order - How to place the order once confirmed: { type, tokenAddress, percentageToSell?, reason?, options }.
+     * @returns {{pending: true, trade: Trade}}
+     */
+    function proposeTrade(type, tokenAddress, currentTokenData, details, order) {
+        const trade = new Trade(tokenAddress, type, details.amountSOL, currentTokenData.priceUSD, now(), 'pending');
+        trade.reasonForTrade = details.reason || null;
+        trade.tokenSymbol = currentTokenData.symbol || null;
+        trade.tokenAmount = details.tokenAmount;
+        trade.solPriceUSD = details.solPrice;
+        trade.sizingStrategy = details.sizingStrategy || null;
+        trade.effectivePriceUSD = details.fill.effectivePriceUSD; // Expected; the fill is re-priced on execution
+        trade.priceImpactPercent = details.fill.priceImpactPercent;
+        trade.feesSOL = details.fill.feesSOL;
+        portfolio.addTradeToHistory(trade);
+        const { jobId, ...orderOptions } = order.options; // The confirmed order runs as a job of its own
+        confirmation.propose(trade, currentTokenData, { ...order, options: orderOptions });
+        return { pending: true, trade };
+    }
+
+    // Slippage tolerance and priority fee for a real swap; the fill model's settings unless the order overrides them
+    function getExecutionLimits(options) {
+        const { maxSlippagePercent, priorityFeeSOL } = fillModel.getConfig();
+        return {
+            maxSlippagePercent: options.maxSlippagePercent !== undefined ? options.maxSlippagePercent : maxSlippagePercent,
+            priorityFeeSOL,
+        };
+    }
+
+    /**
+     * Books a filled buy: balance, position and trade are committed together so a crash can't half-apply it.
+     * @param {object} fill - { amountSOL (spent, fees included), tokenAmount, effectivePriceUSD, priceImpactPercent, feesSOL }
+     * @param {object} details - { status, solPrice, sizingStrategy?, reason?, proposalId?, jobId?, txSignature? }
+     * @returns {{trade: Trade, updatedPosition: object, newSOLBalance: number}}
+     */
+    function commitBuy(tokenAddress, currentTokenData, fill, details) {
+        const usdValueOfInvestment = fill.amountSOL * details.solPrice; // Fees included: they're part of what the position cost
+        return portfolio.runInTransaction(() => {
+            const newSOLBalance = portfolio.getSOLBalance() - fill.amountSOL;
+            portfolio.setSOLBalance(newSOLBalance);
+
+            const previousHighUSD = portfolio.getPosition(tokenAddress)?.highestPriceUSD ?? 0;
+            portfolio.updatePosition(
+                tokenAddress,
+                fill.tokenAmount,
+                fill.effectivePriceUSD,
+                fill.amountSOL, // solInvestedChange is positive
+                usdValueOfInvestment // usdValueChange is positive
+            );
+            // The high-water mark follows market prices; the all-in fill price would start it above the market by the fees
+            const updatedPosition = portfolio.setPositionFields(tokenAddress, { highestPriceUSD: Math.max(previousHighUSD, currentTokenData.priceUSD) });
+
+            const trade = new Trade(tokenAddress, 'buy', fill.amountSOL, currentTokenData.priceUSD, now(), details.status);
+            trade.reasonForTrade = details.reason || null;
+            trade.sizingStrategy = details.sizingStrategy || null;
+            trade.tokenSymbol = currentTokenData.symbol || null;
+            trade.tokenAmount = fill.tokenAmount;
+            trade.solPriceUSD = details.solPrice;
+            trade.effectivePriceUSD = fill.effectivePriceUSD;
+            trade.priceImpactPercent = fill.priceImpactPercent;
+            trade.feesSOL = fill.feesSOL;
+            trade.proposalId = details.proposalId || null;
+            trade.jobId = details.jobId || null;
+            trade.txSignature = details.txSignature || null;
+            portfolio.addTradeToHistory(trade);
+            return { trade, updatedPosition, newSOLBalance };
+        });
+    }
+
+    /**
+     * Books a filled sell atomically, with its realized P&L against the cost of the lots it consumes
+     * (FIFO or average cost, per portfolio setting).
+     * @param {object} fill - { proceedsSOL (after fees), tokenAmount, effectivePriceUSD, priceImpactPercent, feesSOL }
+     * @param {object} details - { status, solPrice, reason?, positionFields?, proposalId?, jobId?, txSignature? }
+     * @returns {{trade: Trade, updatedPosition: object|null, newSOLBalance: number}}
+     */
+    function commitSell(tokenAddress, currentTokenData, fill, details) {
+        const usdValueOfSale = fill.proceedsSOL * details.solPrice;
+        const { costBasisSOL, costBasisUSD } = portfolio.previewSaleCostBasis(tokenAddress, fill.tokenAmount);
+        return portfolio.runInTransaction(() => {
+            const newSOLBalance = portfolio.getSOLBalance() + fill.proceedsSOL;
+            portfolio.setSOLBalance(newSOLBalance);
+
+            let updatedPosition = portfolio.updatePosition(
+                tokenAddress,
+                -fill.tokenAmount, // amountChange is negative for sells
+                fill.effectivePriceUSD,
+                -fill.proceedsSOL, // solInvestedChange is negative (SOL returned)
+                -usdValueOfSale // usdValueChange is negative (USD value removed from position)
+            );
+            if (updatedPosition && details.positionFields) {
+                updatedPosition = portfolio.setPositionFields(tokenAddress, details.positionFields);
+            }
+
+            const trade = new Trade(tokenAddress, 'sell', fill.proceedsSOL, currentTokenData.priceUSD, now(), details.status);
+            trade.reasonForTrade = details.reason || null;
+            trade.tokenSymbol = currentTokenData.symbol || null;
+            trade.tokenAmount = fill.tokenAmount;
+            trade.solPriceUSD = details.solPrice;
+            trade.realizedPnlSOL = costBasisSOL === null ? null : fill.proceedsSOL - costBasisSOL;
+            trade.realizedPnlUSD = usdValueOfSale - costBasisUSD;
+            trade.effectivePriceUSD = fill.effectivePriceUSD;
+            trade.priceImpactPercent = fill.priceImpactPercent;
+            trade.feesSOL = fill.feesSOL;
+            trade.proposalId = details.proposalId || null;
+            trade.jobId = details.jobId || null;
+            trade.txSignature = details.txSignature || null;
+            portfolio.addTradeToHistory(trade);
+            return { trade, updatedPosition, newSOLBalance };
+        });
+    }
+
+    /**
+     * Books a confirmed real swap at what it actually did on chain. Called by the execution service.
+     * @param {object} order - The order passed to execution.requestSignature.
+     * @param {object} fill - { amountSOL (spent on a buy, received on a sell), tokenAmount, feesSOL, priceImpactPercent,
+     *                         txSignature, requestTradeId }
+     * @returns {Trade|null} The completed trade.
+     */
+    function settleRealOrder(order, fill) {
+        const tokenData = { priceUSD: order.priceUSD, symbol: order.tokenSymbol };
+        const details = {
+            status: 'completed',
+            solPrice: order.solPrice,
+            reason: order.reason,
+            proposalId: fill.requestTradeId, // Links the fill to the trade that requested the signature
+            jobId: order.jobId,
+            txSignature: fill.txSignature,
+        };
+        let tokenAmount = fill.tokenAmount;
+        if (order.type === 'sell') {
+            // Never book more than the position holds, whatever else moved the wallet's balance
+            tokenAmount = Math.min(tokenAmount, portfolio.getPosition(order.tokenAddress)?.amountHeld || 0);
+        }
+        if (!(tokenAmount > 0)) {
+            log.error(`Real ${order.type} of ${order.tokenAddress} (${fill.txSignature}) moved no tokens; not booked.`, { tokenAddress: order.tokenAddress });
+            return null;
+        }
+        const effectivePriceUSD = (fill.amountSOL * order.solPrice) / tokenAmount;
+        const result = order.type === 'buy'
+            ? commitBuy(order.tokenAddress, tokenData, { ...fill, tokenAmount, effectivePriceUSD }, { ...details, sizingStrategy: order.sizingStrategy })
+            : commitSell(order.tokenAddress, tokenData, { ...fill, tokenAmount, effectivePriceUSD, proceedsSOL: fill.amountSOL }, { ...details, positionFields: order.positionFields });
+        log.info(`REAL ${order.type.toUpperCase()} of ${tokenAmount.toFixed(6)} ${order.tokenSymbol || order.tokenAddress} settled @ $${effectivePriceUSD.toFixed(6)}/token for ${fill.amountSOL.toFixed(4)} SOL (${fill.txSignature}).`, {
+            tokenAddress: order.tokenAddress,
+            tradeId: result.trade.id,
+            txSignature: fill.txSignature,
+        });
+        return result.trade;
+    }
+
+    /**
+     * Initiates a simulated buy order for a token.
+     * @param {string} tokenAddress - The address of the token to buy.
+     * @param {object} currentTokenData - The current market data for the token (from fetchTokenData).
+     * @param {object} [options]
+     * @param {string} [options.proposalId] - Set when executing a confirmed proposal (skips confirmation).
+     * @param {boolean} [options.manual] - Placed by the user directly (skips confirmation).
+     * @param {string} [options.jobId] - Trade queue job placing the order, recorded on the trade.
+     * @param {number} [options.amountSOL] - Explicit size in SOL instead of the automatic allocation.
+     * @param {number} [options.percentOfBalance] - Explicit size as a percentage (0-100] of the SOL balance.
+     * @param {string} [options.reason] - Recorded as the trade's reasonForTrade (e.g. 'manual').
+     * @param {number|null} [options.maxSlippagePercent] - Slippage tolerance for this order instead of the fill model's.
+     * @returns {object|null} Details of the buy ({ trade, position }, or { pending: true, trade } in confirm mode) or null if skipped.
+     */
+    async function initiateBuyOrder(tokenAddress, currentTokenData, options = {}) {
+        log.info(`Attempting ${executionLabel} BUY for ${tokenAddress}`, { tokenAddress });
+
+        const pendingBuy = findPendingOrder(tokenAddress, 'buy', null, options);
+        if (pendingBuy) {
+            log.info(`A buy for ${tokenAddress} is already awaiting ${execution ? 'the wallet' : 'confirmation'} (trade ${pendingBuy.id}).`, { tokenAddress, tradeId: pendingBuy.id });
+            return { pending: true, trade: pendingBuy };
+        }
+
+        if (!currentTokenData || typeof currentTokenData.priceUSD !== 'number') {
+            log.error(`Invalid currentTokenData for buy order of ${tokenAddress}`, { tokenAddress, currentTokenData });
+            portfolio.addTradeToHistory(new Trade(tokenAddress, 'buy', 0, 0, now(), 'failed_pre_check_invalid_data'));
+            return null;
+        }
+
+        const solPrice = await getSolPriceUSD();
+        if (!solPrice) {
+            log.error(`Cannot execute buy for ${tokenAddress}, SOL/USD price is unavailable.`, { tokenAddress });
+            portfolio.addTradeToHistory(new Trade(tokenAddress, 'buy', 0, currentTokenData.priceUSD, now(), 'failed_pre_check_no_sol_price'));
+            return null;
+        }
+
+        const availableSolForPortfolio = portfolio.getSOLBalance();
+        let amountSOLToInvest;
+        let sizingStrategy = 'explicit';
+
+        if (options.amountSOL !== undefined || options.percentOfBalance !== undefined) {
+            // Explicitly sized order: the size is validated but never adjusted
+            amountSOLToInvest = options.amountSOL !== undefined
+                ? options.amountSOL
+                : availableSolForPortfolio * options.percentOfBalance / 100;
+            const sizeError = !Number.isFinite(amountSOLToInvest) || amountSOLToInvest <= 0
+                ? 'invalid_size'
+                : (amountSOLToInvest > availableSolForPortfolio ? 'insufficient_balance' : null);
+            if (sizeError) {
+                log.error(`Cannot execute buy of ${amountSOLToInvest} SOL for ${tokenAddress} (${sizeError}, balance ${availableSolForPortfolio} SOL).`, { tokenAddress });
+                portfolio.addTradeToHistory(new Trade(tokenAddress, 'buy', 0, currentTokenData.priceUSD, now(), `failed_pre_check_${sizeError}`));
+                return null;
+            }
+        } else {
+            // Per issue: "app should automatically invest a calculated amount... upon input"
+            // The sizing policy picks the strategy (global default or per token) that decides how much of the
+            // portfolio's SOL to use; see services/sizing.
+            const allocationResult = sizing.sizeBuy({
+                tokenAddress,
+                tokenData: currentTokenData,
+                availableSOL: availableSolForPortfolio,
+                equitySOL: getEquitySOL(solPrice),
+                now: now(),
+                getPriceSamples: sinceMs => getPriceSamples(tokenAddress, sinceMs),
+            });
+            sizingStrategy = allocationResult.strategy;
+
+            if (!allocationResult.allocate || !(allocationResult.allocationSOL > 0)) {
+                log.info(`Skipping buy for ${tokenAddress} due to investment criteria (${sizingStrategy} sizing). Reason: ${allocationResult.reason}`, { tokenAddress });
+                // Log a 'skipped' or 'failed' trade for this attempt for audit.
+                portfolio.addTradeToHistory(new Trade(tokenAddress, 'buy', 0, currentTokenData.priceUSD, now(), `skipped_investment_criteria: ${allocationResult.reason}`));
+                return null;
+            }
+
+            amountSOLToInvest = allocationResult.allocationSOL;
+
+            // Ensure we don't invest more SOL than available
+            if (amountSOLToInvest > availableSolForPortfolio) {
+                log.warn(`${sizingStrategy} SOL investment (${amountSOLToInvest}) exceeds available SOL (${availableSolForPortfolio}). Adjusting to available SOL.`, { tokenAddress });
+                amountSOLToInvest = availableSolForPortfolio;
+            }
+        }
+
+        if (amountSOLToInvest <= 0) {
+            log.info(`Skipping buy for ${tokenAddress} as amountSOLToInvest is zero or less.`, { tokenAddress });
+            return null;
+        }
+
+        if (risk) {
+            const riskCheck = risk.evaluateBuy(getRiskState(tokenAddress, solPrice), amountSOLToInvest);
+            if (!riskCheck.allowed) {
+                log.warn(`Buy of ${amountSOLToInvest.toFixed(4)} SOL of ${tokenAddress} blocked by ${riskCheck.limit}: ${riskCheck.reason}`, { tokenAddress });
+                const blockedTrade = new Trade(tokenAddress, 'buy', amountSOLToInvest, currentTokenData.priceUSD, now(), 'blocked_risk_limit');
+                blockedTrade.reasonForTrade = options.reason || null;
+                blockedTrade.sizingStrategy = sizingStrategy;
+                blockedTrade.blockReason = `${riskCheck.limit}: ${riskCheck.reason}`;
+                portfolio.addTradeToHistory(blockedTrade);
+                return null;
+            }
+        }
+
+        if (execution) {
+            return execution.requestSignature({
+                type: 'buy',
+                tokenAddress,
+                tokenSymbol: currentTokenData.symbol || null,
+                priceUSD: currentTokenData.priceUSD,
+                solPrice,
+                amountSOL: amountSOLToInvest,
+                reason: options.reason || null,
+                sizingStrategy,
+                jobId: options.jobId || null,
+                ...getExecutionLimits(options),
+            });
+        }
+
+        const tokenPriceInUSD = currentTokenData.priceUSD;
+        const quote = fillModel.quoteBuy({
+            amountSOL: amountSOLToInvest,
+            priceUSD: tokenPriceInUSD,
+            liquidityUSD: currentTokenData.liquidityUSD,
+            solPriceUSD: solPrice,
+            maxSlippagePercent: options.maxSlippagePercent,
+        });
+        if (!quote.success) {
+            recordRejectedFill('buy', tokenAddress, currentTokenData, quote, amountSOLToInvest, options.reason).sizingStrategy = sizingStrategy;
+            return null;
+        }
+        const { fill } = quote;
+
+        if (needsConfirmation('buy', null, options)) {
+            return proposeTrade('buy', tokenAddress, currentTokenData, { amountSOL: amountSOLToInvest, tokenAmount: fill.tokenAmount, solPrice, reason: options.reason, sizingStrategy, fill },
+                { type: 'buy', tokenAddress, options });
+        }
+
+        const { trade, updatedPosition, newSOLBalance } = commitBuy(tokenAddress, currentTokenData, { ...fill, amountSOL: amountSOLToInvest }, {
+            status: 'simulated_completed',
+            solPrice,
+            sizingStrategy,
+            reason: options.reason,
+            proposalId: options.proposalId,
+            jobId: options.jobId,
+        });
+
+        log.info(`SIMULATED BUY for ${fill.tokenAmount.toFixed(6)} ${currentTokenData.symbol || tokenAddress} @ $${fill.effectivePriceUSD.toFixed(6)}/token (quoted $${tokenPriceInUSD.toFixed(6)}, fees ${fill.feesSOL.toFixed(6)} SOL). Cost: ${amountSOLToInvest.toFixed(4)} SOL ($${(amountSOLToInvest * solPrice).toFixed(2)}, ${sizingStrategy} sizing). New SOL Balance: ${newSOLBalance.toFixed(4)}`, { tokenAddress, tradeId: trade.id });
+
+        return { trade, position: updatedPosition };
+    }
+
+
+    /**
+     * Initiates a simulated sell order for a token.
+     * @param {string} tokenAddress - The address of the token to sell.
+     * @param {number} percentageToSell - Percentage of the holding to sell (e.g., 100 for 100%).
+     * @param {object} currentTokenData - Current market data for the token.
+     * @param {string} reason - Reason for the sell (e.g., "stop-loss", "take-profit").
+     * @param {object} [options]
+     * @param {object} [options.positionFields] - Fields to set on the remaining position in the same commit as the sell
+     *                                            (e.g. marking a take-profit tier as triggered).
+     * @param {string} [options.proposalId] - Set when executing a confirmed proposal (skips confirmation).
+     * @param {boolean} [options.manual] - Placed by the user directly (skips confirmation).
+     * @param {string} [options.jobId] - Trade queue job placing the order, recorded on the trade.
+     * @param {number|null} [options.maxSlippagePercent] - Slippage tolerance for this order instead of the fill model's.
+     * @returns {object|null} Details of the sell ({ trade, position }, or { pending: true, trade } in confirm mode) or null if failed.
+     */
+    async function initiateSellOrder(tokenAddress, percentageToSell, currentTokenData, reason, options = {}) {
+        log.info(`Attempting ${executionLabel} SELL for ${tokenAddress}, Reason: ${reason}`, { tokenAddress });
+
+        const pendingSell = findPendingOrder(tokenAddress, 'sell', reason, options);
+        if (pendingSell) {
+            log.info(`A sell for ${tokenAddress} is already awaiting ${execution ? 'the wallet' : 'confirmation'} (trade ${pendingSell.id}).`, { tokenAddress, tradeId: pendingSell.id });
+            return { pending: true, trade: pendingSell };
+        }
+
+        const position = portfolio.getPosition(tokenAddress);
+        if (!position || position.amountHeld <= 0) {
+            log.error(`No position to sell for ${tokenAddress}.`, { tokenAddress });
+            portfolio.addTradeToHistory(new Trade(tokenAddress, 'sell', 0, currentTokenData?.priceUSD || 0, now(), 'failed_no_position'));
+            return null;
+        }
+
+        if (!currentTokenData || typeof currentTokenData.priceUSD !== 'number') {
+            log.error(`Invalid currentTokenData for sell order of ${tokenAddress}`, { tokenAddress, currentTokenData });
+            portfolio.addTradeToHistory(new Trade(tokenAddress, 'sell', 0, 0, now(), 'failed_invalid_data'));
+            return null;
+        }
+
+        const solPrice = await getSolPriceUSD();
+        if (!solPrice) {
+            log.error(`Cannot execute sell for ${tokenAddress}, SOL/USD price is unavailable.`, { tokenAddress });
+            portfolio.addTradeToHistory(new Trade(tokenAddress, 'sell', 0, currentTokenData.priceUSD, now(), 'failed_no_sol_price'));
+            return null;
+        }
+
+        const amountOfTokenToSell = position.amountHeld * (percentageToSell / 100);
+        if (amountOfTokenToSell <= 0) {
+            log.info(`Sell amount is zero or less for ${tokenAddress}. Skipping sell.`, { tokenAddress });
+            return null;
+        }
+
+        if (execution) {
+            return execution.requestSignature({
+                type: 'sell',
+                tokenAddress,
+                tokenSymbol: currentTokenData.symbol || null,
+                priceUSD: currentTokenData.priceUSD,
+                solPrice,
+                tokenAmount: amountOfTokenToSell,
+                reason,
+                positionFields: options.positionFields || null,
+                jobId: options.jobId || null,
+                ...getExecutionLimits(options),
+            });
+        }
+
+        const tokenPriceInUSD = currentTokenData.priceUSD;
+        const quote = fillModel.quoteSell({
+            tokenAmount: amountOfTokenToSell,
+            priceUSD: tokenPriceInUSD,
+            liquidityUSD: currentTokenData.liquidityUSD,
+            solPriceUSD: solPrice,
+            maxSlippagePercent: options.maxSlippagePercent,
+        });
+        if (!quote.success) {
+            if (!options.manual && isRepeatedRejection(tokenAddress, reason, quote)) {
+                log.debug(`SELL of ${tokenAddress} (${reason}) still rejected: ${quote.error}`, { tokenAddress });
+            } else {
+                recordRejectedFill('sell', tokenAddress, currentTokenData, quote, 0, reason);
+            }
+            return null;
+        }
+        const { fill } = quote;
+
+        if (needsConfirmation('sell', reason, options)) {
+            return proposeTrade('sell', tokenAddress, currentTokenData, { amountSOL: fill.proceedsSOL, tokenAmount: amountOfTokenToSell, solPrice, reason, fill },
+                { type: 'sell', tokenAddress, percentageToSell, reason, options });
+        }
+
+        const { trade, updatedPosition, newSOLBalance } = commitSell(tokenAddress, currentTokenData, { ...fill, tokenAmount: amountOfTokenToSell }, {
+            status: 'simulated_completed',
+            solPrice,
+            reason,
+            positionFields: options.positionFields,
+            proposalId: options.proposalId,
+            jobId: options.jobId,
+        });
+
+        log.info(`SIMULATED SELL of ${amountOfTokenToSell.toFixed(6)} ${currentTokenData.symbol || tokenAddress} @ $${fill.effectivePriceUSD.toFixed(6)}/token (quoted $${tokenPriceInUSD.toFixed(6)}, fees ${fill.feesSOL.toFixed(6)} SOL). Proceeds: ${fill.proceedsSOL.toFixed(4)} SOL ($${(fill.proceedsSOL * solPrice).toFixed(2)}). Reason: ${reason}. New SOL Balance: ${newSOLBalance.toFixed(4)}`, { tokenAddress, tradeId: trade.id });
+
+        return { trade, position: updatedPosition };
+    }
+
+
+    /**
+     * Sets per-token take-profit / stop-loss rules on an open position.
+     * Each field is optional; pass null to clear an override and fall back to the default.
+     * @param {string} tokenAddress - The address of the token.
+     * @param {object} rules - { takeProfitPercent, stopLossPercent, takeProfitPriceUSD, stopLossPriceUSD,
+     *                           stopLossMode: 'fixed'|'trailing', trailingStopPercent,
+     *                           takeProfitTiers: [{ gainPercent, sellPercent }] }
+     * @returns {{success: boolean, position?: object, error?: string}}
+     */
+    function setTradingRules(tokenAddress, rules) {
+        const position = portfolio.getPosition(tokenAddress);
+        if (!position) {
+            return { success: false, error: `No open position for ${tokenAddress}.` };
+        }
+        if (!rules || typeof rules !== 'object') {
+            return { success: false, error: 'Trading rules payload missing.' };
+        }
+
+        const fields = {};
+        for (const field of TRADING_RULE_FIELDS) {
+            if (!(field in rules)) continue;
+            const value = rules[field];
+            if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+                return { success: false, error: `${field} must be a positive number or null.` };
+            }
+            fields[field] = value;
+        }
+        if ('stopLossMode' in rules) {
+            if (rules.stopLossMode !== null && !STOP_LOSS_MODES.includes(rules.stopLossMode)) {
+                return { success: false, error: `stopLossMode must be one of: ${STOP_LOSS_MODES.join(', ')}.` };
+            }
+            fields.stopLossMode = rules.stopLossMode;
+        }
+        if ('takeProfitTiers' in rules) {
+            if (rules.takeProfitTiers === null) {
+                fields.takeProfitTiers = null;
+                fields.tierBaseAmount = null;
+                fields.tierEntryPriceUSD = null;
+            } else {
+                const { tiers, error } = normalizeTakeProfitTiers(rules.takeProfitTiers);
+                if (error) return { success: false, error };
+                // A new ladder starts fresh: tiers refer to the current holding and entry price and none has fired
+                // yet. The entry price is kept because the average buy price moves as FIFO sells consume old lots.
+                fields.takeProfitTiers = tiers;
+                fields.tierBaseAmount = position.amountHeld;
+                fields.tierEntryPriceUSD = position.averageBuyPriceUSD;
+            }
+        }
+
+        if (Object.keys(fields).length === 0) {
+            return { success: false, error: `No trading rule fields provided. Expected one of: ${[...TRADING_RULE_FIELDS, 'stopLossMode', 'takeProfitTiers'].join(', ')}.` };
+        }
+        for (const field of ['stopLossPercent', 'trailingStopPercent']) {
+            if (typeof fields[field] === 'number' && fields[field] >= 100) {
+                return { success: false, error: `${field} must be below 100.` };
+            }
+        }
+
+        const proposed = { ...position, ...fields };
+        const { takeProfitPriceUSD, stopLossPriceUSD } = resolveExitPrices(proposed);
+        if (stopLossPriceUSD >= takeProfitPriceUSD) {
+            return { success: false, error: `Stop-loss price ($${stopLossPriceUSD}) must be below take-profit price ($${takeProfitPriceUSD}).` };
+        }
+
+        const updatedPosition = portfolio.setPositionFields(tokenAddress, fields);
+        log.info(`Trading rules updated for ${tokenAddress}. TP: $${takeProfitPriceUSD}, SL: $${stopLossPriceUSD}`, { tokenAddress, rules: fields });
+        return { success: true, position: updatedPosition };
+    }
+
+
+    /**
+     * Fires every take-profit tier whose gain threshold has been reached and that has not fired before.
+     * Gains are measured from tierEntryPriceUSD; each tier sells its share of tierBaseAmount and is marked
+     * triggered in the same commit as its sell.
+     * @returns {Promise<boolean>} True if at least one tier fired.
+     */
+    async function executeTakeProfitTiers(tokenAddress, currentTokenData) {
+        let fired = false;
+        const tierCount = portfolio.getPosition(tokenAddress)?.takeProfitTiers?.length || 0;
+
+        for (let index = 0; index < tierCount; index++) {
+            const position = portfolio.getPosition(tokenAddress);
+            if (!position || position.amountHeld <= 0) break; // Closed by an earlier tier
+
+            const tier = position.takeProfitTiers[index];
+            if (tier.triggered) continue;
+            const tierPriceUSD = position.tierEntryPriceUSD * (1 + tier.gainPercent / 100);
+            if (currentTokenData.priceUSD < tierPriceUSD) break; // Tiers are ordered, higher ones can't be met either
+
+            const amountToSell = position.tierBaseAmount * (tier.sellPercent / 100);
+            const percentageToSell = Math.min(100, (amountToSell / position.amountHeld) * 100);
+            const updatedTiers = position.takeProfitTiers.map((t, i) => (i === index ? { ...t, triggered: true, triggeredAt: now().toISOString() } : t));
+
+            log.info(`TAKE-PROFIT TIER ${index + 1} (+${tier.gainPercent}%) met for ${tokenAddress}. Current: $${currentTokenData.priceUSD}, Tier: $${tierPriceUSD}. Selling ${percentageToSell.toFixed(2)}% of holding.`, { tokenAddress, priceUSD: currentTokenData.priceUSD, tierPriceUSD });
+            const result = await initiateSellOrder(tokenAddress, percentageToSell, currentTokenData, `take-profit-tier-${index + 1}`, {
+                ...PROTECTIVE_EXIT_OPTIONS,
+                positionFields: { takeProfitTiers: updatedTiers },
+            });
+            if (!result) break; // Sell failed; leave the tier armed for the next check
+            fired = true;
+            if (result.pending) break; // One proposal at a time; the tier is marked triggered once it executes
+        }
+        return fired;
+    }
+
+
+    /**
+     * Checks automated trading rules (stop-loss or trailing stop, take-profit or take-profit ladder) for a token.
+     * @param {string} tokenAddress - The address of the token.
+     * @param {object} currentTokenData - Current market data for the token.
+     */
+    async function checkAutomatedTradingRules(tokenAddress, currentTokenData) {
+        const position = portfolio.getPosition(tokenAddress);
+
+        if (!position || position.amountHeld <= 0 || typeof position.averageBuyPriceUSD !== 'number') {
+            // No position, or not enough data to make a decision
+            return;
+        }
+
+        if (!currentTokenData || typeof currentTokenData.priceUSD !== 'number') {
+            log.warn(`checkAutomatedTradingRules - Invalid currentTokenData for ${tokenAddress}`, { tokenAddress });
+            return;
+        }
+
+        const currentPriceUSD = currentTokenData.priceUSD;
+        const buyPriceUSD = position.averageBuyPriceUSD;
+
+        // Track the high-water mark for trailing stops (persisted so a restart doesn't reset it)
+        if (currentPriceUSD > (position.highestPriceUSD ?? buyPriceUSD)) {
+            portfolio.setPositionFields(tokenAddress, { highestPriceUSD: currentPriceUSD });
+        }
+
+        // Per-token thresholds, falling back to the defaults
+        const { takeProfitPriceUSD, stopLossPriceUSD, isTrailing } = resolveExitPrices(position);
+
+        // Laddered exits replace the single take-profit; whatever remains rides with the stop.
+        if (position.takeProfitTiers && position.takeProfitTiers.length > 0) {
+            const tierFired = await executeTakeProfitTiers(tokenAddress, currentTokenData);
+            if (!tierFired && currentPriceUSD <= stopLossPriceUSD) {
+                await executeStopLoss(tokenAddress, currentTokenData, position, stopLossPriceUSD, isTrailing);
+            }
+            return;
+        }
+
+        // Take Profit Check
+        if (currentPriceUSD >= takeProfitPriceUSD) {
+            log.info(`TAKE-PROFIT condition met for ${tokenAddress}. Current: $${currentPriceUSD}, Buy: $${buyPriceUSD}`, { tokenAddress, priceUSD: currentPriceUSD, takeProfitPriceUSD });
+            await initiateSellOrder(tokenAddress, 100, currentTokenData, "take-profit", PROTECTIVE_EXIT_OPTIONS);
+        } 
+        // Stop Loss Check (else if, so we don't sell for stop-loss if take-profit already triggered in the same check)
+        else if (currentPriceUSD <= stopLossPriceUSD) {
+            await executeStopLoss(tokenAddress, currentTokenData, position, stopLossPriceUSD, isTrailing);
+        }
+    }
+
+
+    async function executeStopLoss(tokenAddress, currentTokenData, position, stopLossPriceUSD, isTrailing) {
+        const currentPriceUSD = currentTokenData.priceUSD;
+        if (isTrailing) {
+            log.info(`TRAILING-STOP condition met for ${tokenAddress}. Current: $${currentPriceUSD}, High: $${position.highestPriceUSD}, Stop: $${stopLossPriceUSD}`, { tokenAddress, priceUSD: currentPriceUSD, stopLossPriceUSD });
+            await initiateSellOrder(tokenAddress, 100, currentTokenData, "trailing-stop", PROTECTIVE_EXIT_OPTIONS);
+        } else {
+            log.info(`STOP-LOSS condition met for ${tokenAddress}. Current: $${currentPriceUSD}, Buy: $${position.averageBuyPriceUSD}`, { tokenAddress, priceUSD: currentPriceUSD, stopLossPriceUSD });
+            await initiateSellOrder(tokenAddress, 100, currentTokenData, "stop-loss", PROTECTIVE_EXIT_OPTIONS);
+        }
+    }
+
+    return {
+        initiateBuyOrder,
+        initiateSellOrder,
+        checkAutomatedTradingRules,
+        setTradingRules,
+        getRiskStatus,
+        settleRealOrder,
+    };
+}
+
+module.exports = {
+    createTradingEngine,
+};
@@ -0,0 +1,157 @@
+// backend/services/tradingModeService.js
+const EventEmitter = require('events');
+const storage = require('./storageService');
+const portfolioService = require('./portfolioService');
+const { createPortfolio } = require('./portfolio');
+const solanaRpcService = require('./solanaRpcService');
+const log = require('./loggerService').createLogger('TradingModeService');
+
+// Paper or real trading, switchable at runtime. Paper trades fill against the simulated balance in
+// portfolioService; real trades are swaps signed by the connected wallet and settle into a separate
+// 'real' portfolio whose SOL balance follows the wallet's on-chain balance. Positions never mix.
+// New orders go to the active mode; exit rules keep running for positions in both.
+// Switching to real requires REAL_TRADING_ENABLED=true and a connected wallet. The real portfolio belongs to one
+// wallet at a time: another wallet can only be connected once its positions and orders are closed. Events:
+//   'modeChanged' (status)   - the mode or the wallet changed; status as returned by getStatus()
+const events = new EventEmitter();
+
+const TRADING_MODES = ['paper', 'real'];
+const TRADING_MODE_FILE = 'trading_mode.json';
+const REAL_TRADING_ENABLED = process.env.REAL_TRADING_ENABLED === 'true';
+const WALLET_ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const realPortfolio = createPortfolio({ name: 'real', initialSOLBalance: 0 });
+const portfolios = { paper: portfolioService, real: realPortfolio };
+
+const saved = storage.readJSON(TRADING_MODE_FILE, {});
+let walletPublicKey = saved.walletPublicKey || null;
+// The wallet whose swaps the real portfolio holds; it stays the owner while disconnected
+let realPortfolioWallet = saved.realPortfolioWallet || walletPublicKey;
+let mode = REAL_TRADING_ENABLED && saved.mode === 'real' && walletPublicKey ? 'real' : 'paper';
+
+// Real trades still waiting on the wallet or the chain
+const OPEN_ORDER_STATUSES = ['awaiting_signature', 'submitted'];
+
+function persist() {
+    storage.writeJSONAtomic(TRADING_MODE_FILE, { mode, walletPublicKey, realPortfolioWallet });
+}
+
+function getMode() {
+    return mode;
+}
+
+function getWalletPublicKey() {
+    return walletPublicKey;
+}
+
+/**
+ * @param {string} [forMode] - 'paper' or 'real'; the active mode if omitted.
+ * @returns {object} The portfolio trades of that mode settle into.
+ */
+function getPortfolio(forMode = mode) {
+    return portfolios[forMode];
+}
+
+function getPortfolios() {
+    return Object.values(portfolios);
+}
+
+function getStatus() {
+    return { mode, walletPublicKey, realTradingEnabled: REAL_TRADING_ENABLED, rpcUrl: solanaRpcService.RPC_URL };
+}
+
+/**
+ * Sets the real portfolio's SOL balance to the wallet's on-chain balance.
+ * @returns {Promise<number|null>} The balance, or null without a wallet or if the RPC call failed.
+ */
+async function syncRealBalance() {
+    if (!walletPublicKey) return null;
+    try {
+        const balance = await solanaRpcService.getBalanceSOL(walletPublicKey);
+        if (balance !== realPortfolio.getSOLBalance()) realPortfolio.setSOLBalance(balance);
+        return balance;
+    } catch (error) {
+        log.error(`Could not read the balance of ${walletPublicKey}`, { error });
+        return null;
+    }
+}
+
+/**
+ * @param {string} newMode - 'paper' or 'real'.
+ * @returns {{success: boolean, error?: string, status?: object}}
+ */
+function setMode(newMode) {
+    if (!TRADING_MODES.includes(newMode)) {
+        return { success: false, error: `Trading mode must be one of: ${TRADING_MODES.join(', ')}.` };
+    }
+    if (newMode === 'real') {
+        if (!REAL_TRADING_ENABLED) return { success: false, error: 'Real trading is disabled; start the backend with REAL_TRADING_ENABLED=true.' };
+        if (!walletPublicKey) return { success: false, error: 'Connect a wallet before switching to real trading.' };
+    }
+    if (newMode !== mode) {
+        mode = newMode;
+        persist();
+        log.info(`Trading mode set to ${mode}.`);
+        events.emit('modeChanged', getStatus());
+    }
+    return { success: true, status: getStatus() };
+}
+
+/**
+ * Open positions and unsettled orders of the real portfolio. Only the wallet that holds them can sell or settle them.
+ * @returns {{positions: number, orders: number}}
+ */
+function getOpenRealHoldings() {
+    return {
+        positions: Object.keys(realPortfolio.getPortfolio().positions).length,
+        orders: realPortfolio.getTradeHistory().filter(trade => OPEN_ORDER_STATUSES.includes(trade.status)).length,
+    };
+}
+
+/**
+ * Records the wallet connected in the frontend; real swaps are built for and signed by it.
+ * Disconnecting (null) while trading for real switches back to paper. A different wallet than the one the real
+ * portfolio belongs to is refused while that portfolio has open positions or orders: the exit rules would try to
+ * sell tokens the new wallet doesn't hold.
+ * @param {string|null} publicKey - Base58 wallet address, or null when the wallet disconnected.
+ * @returns {Promise<{success: boolean, error?: string, status?: object}>}
+ */
+async function setWalletPublicKey(publicKey) {
+    if (publicKey !== null && (typeof publicKey !== 'string' || !WALLET_ADDRESS_PATTERN.test(publicKey))) {
+        return { success: false, error: 'Invalid wallet public key.' };
+    }
+    if (publicKey === walletPublicKey) return { success: true, status: getStatus() };
+    if (publicKey && realPortfolioWallet && publicKey !== realPortfolioWallet) {
+        const { positions, orders } = getOpenRealHoldings();
+        if (positions > 0 || orders > 0) {
+            log.warn(`Wallet ${publicKey} refused: the real portfolio holds ${positions} position(s) and ${orders} open order(s) of ${realPortfolioWallet}.`);
+            return { success: false, error: `The real portfolio holds ${positions} position(s) and ${orders} open order(s) of wallet ${realPortfolioWallet}. Reconnect that wallet and close them before connecting another one.` };
+        }
+    }
+    walletPublicKey = publicKey;
+    if (walletPublicKey) realPortfolioWallet = walletPublicKey;
+    if (!walletPublicKey && mode === 'real') {
+        mode = 'paper';
+        log.warn('Wallet disconnected, back to paper trading.');
+    }
+    persist();
+    log.info(`Wallet ${walletPublicKey || 'disconnected'}.`);
+    if (walletPublicKey) await syncRealBalance();
+    events.emit('modeChanged', getStatus());
+    return { success: true, status: getStatus() };
+}
+
+log.info(`Mode ${mode}${REAL_TRADING_ENABLED ? ` (real trading enabled, RPC ${solanaRpcService.RPC_URL})` : ''}.`);
+
+module.exports = {
+    events,
+    TRADING_MODES,
+    getMode,
+    setMode,
+    getWalletPublicKey,
+    setWalletPublicKey,
+    getPortfolio,
+    getPortfolios,
+    getStatus,
+    syncRealBalance,
+};
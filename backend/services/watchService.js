@@ -0,0 +1,348 @@
+// backend/services/watchService.js
+const EventEmitter = require('events');
+const apiClient = require('./apiClient');
+const tradingModeService = require('./tradingModeService');
+const tradingService = require('./tradingService');
+const tradeQueueService = require('./tradeQueueService');
+const priceHistoryService = require('./priceHistoryService');
+const cacheService = require('./cacheService');
+const storage = require('./storageService');
+const log = require('./loggerService').createLogger('WatchService');
+
+// Watch list and per-token processing shared by the WebSocket handlers and the REST API.
+// Transport concerns stay in server.js, which listens to these events and broadcasts them:
+//   'tokenUpdate' (tokenPayload)   - fresh data for a watched token
+//   'portfolioChanged' ()          - the portfolio may have changed (trade, rules check)
+//   'tokenUnwatched' (address)     - a token left the watch list
+// Trades and rule checks run as trade queue jobs (serialized per token); the data fetch that triggers them doesn't.
+const events = new EventEmitter();
+
+const WATCHED_TOKENS_FILE = 'watched_tokens.json';
+const SOLANA_ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// The tokens the backend actively monitors (the refresh loop). A token stays watched while something needs it
+// and is dropped once nothing does:
+//   - WebSocket clients subscribed to it (not persisted: clients subscribe again when they reconnect)
+//   - a watch placed through the REST API or by the server itself, kept until removed there (persisted)
+//   - an open position, whose trading rules are checked on every refresh
+const globallyWatchedTokens = new Set();
+const tokenSubscribers = new Map(); // address -> Set of subscriber ids (one per WebSocket client)
+const pinnedTokens = new Set(); // Watched without a subscriber, through the REST API or by the server
+
+function persistWatchList() {
+    storage.writeJSONAtomic(WATCHED_TOKENS_FILE, { watched: [...globallyWatchedTokens], pinned: [...pinnedTokens] });
+}
+
+function isValidTokenAddress(address) {
+    return typeof address === 'string' && SOLANA_ADDRESS_PATTERN.test(address);
+}
+
+function isWatched(address) {
+    return globallyWatchedTokens.has(address);
+}
+
+function getWatchedAddresses() {
+    return [...globallyWatchedTokens];
+}
+
+// Trading modes whose portfolio holds the token, whichever mode is active
+function modesHolding(address) {
+    return tradingModeService.TRADING_MODES.filter(mode => {
+        const position = tradingModeService.getPortfolio(mode).getPosition(address);
+        return Boolean(position && position.amountHeld > 0);
+    });
+}
+
+function hasOpenPosition(address) {
+    return modesHolding(address).length > 0;
+}
+
+function isSubscribed(address, subscriberId) {
+    return Boolean(tokenSubscribers.get(address)?.has(subscriberId));
+}
+
+function getSubscriptions(subscriberId) {
+    return [...tokenSubscribers.keys()].filter(address => isSubscribed(address, subscriberId));
+}
+
+function unwatch(address) {
+    globallyWatchedTokens.delete(address);
+    tokenSubscribers.delete(address);
+    pinnedTokens.delete(address);
+    persistWatchList();
+    log.info(`Stopped watching ${address}.`, { tokenAddress: address });
+    events.emit('tokenUnwatched', address);
+}
+
+function isNeeded(address) {
+    return tokenSubscribers.get(address)?.size > 0 || pinnedTokens.has(address) || hasOpenPosition(address);
+}
+
+/**
+ * Drops a token from the watch list if no subscriber, REST watch or open position needs it anymore.
+ * @returns {boolean} Whether the token was dropped.
+ */
+function unwatchIfUnneeded(address) {
+    if (!globallyWatchedTokens.has(address)) return false;
+    if (isNeeded(address)) return false;
+    unwatch(address);
+    return true;
+}
+
+// Resumes the persisted watch list. Tokens only clients subscribed to are dropped until a client subscribes again.
+function loadWatchList() {
+    const saved = storage.readJSON(WATCHED_TOKENS_FILE, { watched: [], pinned: [] });
+    // Earlier versions saved a plain list without telling subscriptions apart, so all of it stays watched
+    const { watched, pinned } = Array.isArray(saved) ? { watched: saved, pinned: saved } : saved;
+    pinned.forEach(address => pinnedTokens.add(address));
+    watched.filter(isNeeded).forEach(address => globallyWatchedTokens.add(address));
+    if (watched.length !== globallyWatchedTokens.size || Array.isArray(saved)) persistWatchList();
+}
+
+loadWatchList();
+
+/**
+ * Fetches data for a single token, records it, checks trading rules and emits the update.
+ * @param {string} tokenAddress - The address of the token.
+ * @returns {Promise<object|null>} Token payload (with rolling performance) or null if data was unavailable.
+ */
+async function processSingleToken(tokenAddress) {
+    try {
+        const tokenData = await apiClient.fetchTokenData(tokenAddress);
+        if (tokenData && tokenData.symbol !== 'Error') { // Ensure data is valid
+            priceHistoryService.recordSample(tokenData);
+            const solPrice = await tradingService.getSolPriceUSD();
+            tradingModeService.getPortfolios().forEach(portfolio => portfolio.markPrice(tokenAddress, tokenData.priceUSD, solPrice)); // For unrealized P&L
+            const tokenPayload = priceHistoryService.withPerformance(tokenData); // Adds perf5min / perf1hr
+            events.emit('tokenUpdate', tokenPayload);
+
+            // Check automated trading rules if the token is in our portfolio. Keyed by the sample, so a repeated
+            // refresh joins the check already queued for the same data instead of queuing another.
+            if (hasOpenPosition(tokenAddress)) {
+                await tradeQueueService.run('checkRules', tokenAddress, { tokenData }, {
+                    idempotencyKey: `rules:${tokenAddress}:${new Date(tokenData.lastFetched).getTime()}`,
+                });
+                // The rules might have triggered a sell, which logs a trade and updates portfolio.
+                // For simplicity, we signal a portfolio change after every check if a position exists.
+                events.emit('portfolioChanged');
+                unwatchIfUnneeded(tokenAddress); // The position may have just been closed
+            }
+            return tokenPayload; // Return data for potential initial buy decision
+        } else {
+            log.warn(`Failed to fetch valid data for ${tokenAddress}, skipping further processing.`, { tokenAddress });
+        }
+    } catch (error) {
+        log.error(`Error processing token ${tokenAddress}`, { tokenAddress, error });
+    }
+    return null;
+}
+
+/**
+ * Returns the latest known data for a watched token, from cache if possible.
+ * @param {string} tokenAddress - The address of the token.
+ * @returns {Promise<object|null>} Token payload or null.
+ */
+async function getTokenSnapshot(tokenAddress) {
+    const cachedToken = cacheService.get(`token_${tokenAddress}`); // Check cache first
+    if (cachedToken) {
+        return priceHistoryService.withPerformance(cachedToken);
+    }
+    return processSingleToken(tokenAddress); // Fetch if not in cache
+}
+
+// Makes sure the token is watched and registers what needs it: the subscriber, a pin (options.pin) or neither
+// (an open position keeps it). Returns whether it was already watched.
+function addSubscriber(address, subscriberId, options = {}) {
+    const alreadyWatched = globallyWatchedTokens.has(address);
+    const newPin = Boolean(options.pin) && !pinnedTokens.has(address);
+    if (!alreadyWatched) globallyWatchedTokens.add(address);
+    if (newPin) pinnedTokens.add(address);
+    if (!alreadyWatched || newPin) persistWatchList();
+    if (subscriberId) {
+        if (!tokenSubscribers.has(address)) tokenSubscribers.set(address, new Set());
+        tokenSubscribers.get(address).add(subscriberId);
+    }
+    return alreadyWatched;
+}
+
+/**
+ * Adds a token to the refresh loop without an initial buy or a subscriber, for as long as a position in it is open
+ * (e.g. after a manual buy, so its trading rules get checked).
+ * @returns {boolean} Whether the token was already watched.
+ */
+function ensureWatched(address) {
+    const alreadyWatched = addSubscriber(address, null);
+    if (!alreadyWatched) log.info(`Now watching ${address}.`, { tokenAddress: address });
+    return alreadyWatched;
+}
+
+/**
+ * Subscribes a client to a token's updates, watching the token (without an initial buy) if it isn't already.
+ * @param {string} address - The address of the token.
+ * @param {string} subscriberId - Id of the subscribing client.
+ * @returns {Promise<{success: boolean, error?: string, tokenData?: object|null}>} tokenData: latest data for the token.
+ */
+async function subscribe(address, subscriberId) {
+    if (!isValidTokenAddress(address)) {
+        return { success: false, error: `Invalid Solana token address: ${address}` };
+    }
+    const alreadyWatched = addSubscriber(address, subscriberId);
+    log.info(`Client ${subscriberId} subscribed to ${address}${alreadyWatched ? '' : ' (now watching it)'}.`, { tokenAddress: address });
+    return { success: true, tokenData: await getTokenSnapshot(address) };
+}
+
+/**
+ * Removes a client's subscription; the token is dropped if nothing else needs it.
+ * @returns {{success: boolean, error?: string, unwatched?: boolean}}
+ */
+function unsubscribe(address, subscriberId) {
+    if (!isSubscribed(address, subscriberId)) {
+        return { success: false, error: `Not subscribed to ${address}.` };
+    }
+    tokenSubscribers.get(address).delete(subscriberId);
+    return { success: true, unwatched: unwatchIfUnneeded(address) };
+}
+
+/**
+ * Removes every subscription of a client (e.g. on disconnect).
+ */
+function unsubscribeAll(subscriberId) {
+    getSubscriptions(subscriberId).forEach(address => unsubscribe(address, subscriberId));
+}
+
+/**
+ * Starts watching a token: fetches its data and attempts the automatic initial buy.
+ * @param {string} address - The address of the token.
+ * @param {object} [options]
+ * @param {string} [options.subscriberId] - Client to subscribe to the token's updates. Without one (REST API,
+ *                                          server) the token stays watched until removeTokenWatch without one.
+ * @returns {Promise<{success: boolean, error?: string, alreadyWatched?: boolean, tokenData?: object|null, buyResult?: object|null}>}
+ */
+async function addTokenWatch(address, options = {}) {
+    if (!isValidTokenAddress(address)) {
+        return { success: false, error: 'Invalid or missing Solana token address.' };
+    }
+
+    // Subscribe first so the client gets the update emitted by the fetch below
+    const alreadyWatched = addSubscriber(address, options.subscriberId, { pin: !options.subscriberId });
+    log.info(`Request to watch token: ${address}${alreadyWatched ? ' (already watched)' : ''}`, { tokenAddress: address });
+
+    // Fetch initial data for the newly added token and attempt initial buy
+    const initialTokenData = await processSingleToken(address);
+    let buyResult = null;
+    if (alreadyWatched) {
+        log.info(`${address} was already watched, not attempting another initial buy.`, { tokenAddress: address });
+    } else if (initialTokenData && initialTokenData.symbol !== 'Error') {
+        // Attempt initial buy based on this fresh data
+        // `calculateInvestmentAllocation` inside `initiateBuyOrder` will determine the actual SOL to use.
+        const job = await tradeQueueService.run('buy', address, { mode: tradingModeService.getMode(), tokenData: initialTokenData }, {
+            idempotencyKey: `initial-buy:${address}:${new Date(initialTokenData.lastFetched).getTime()}`,
+        });
+        buyResult = job.status === 'completed' ? job.result : null;
+        if (buyResult && buyResult.pending) {
+            log.info(`Initial buy for ${address} proposed, awaiting confirmation. Trade ID: ${buyResult.trade.id}`, { tokenAddress: address, tradeId: buyResult.trade.id });
+        } else if (buyResult && buyResult.trade) {
+            log.info(`Initial buy order processed for ${address}. Trade ID: ${buyResult.trade.id}`, { tokenAddress: address, tradeId: buyResult.trade.id });
+        } else {
+            log.info(`Initial buy for ${address} skipped or failed.`, { tokenAddress: address });
+        }
+    } else {
+        log.info(`Not attempting initial buy for ${address} due to invalid/missing initial data.`, { tokenAddress: address });
+    }
+
+    return { success: true, alreadyWatched, tokenData: initialTokenData, buyResult };
+}
+
+/**
+ * Stops watching a token for a client (or, without a subscriber id, removes the REST watch). An open position is
+ * either kept, in which case the token stays in the refresh loop for its trading rules, or sold in full first.
+ * The token is dropped once no client subscribes to it, no REST watch remains and no position is open.
+ * @param {string} address - The address of the token.
+ * @param {object} [options]
+ * @param {string} [options.subscriberId] - Client whose subscription ends.
+ * @param {string} [options.positionAction='keep'] - 'keep' or 'liquidate'.
+ * @returns {Promise<{success: boolean, error?: string, unwatched?: boolean, liquidations?: Array<object>}>}
+ *          liquidations: the sells placed, one per trading mode holding the token ({ mode, trade, pending }).
+ */
+async function removeTokenWatch(address, options = {}) {
+    const { subscriberId = null, positionAction = 'keep' } = options;
+    if (!globallyWatchedTokens.has(address)) {
+        return { success: false, error: `Token ${address} is not being watched.` };
+    }
+    if (!['keep', 'liquidate'].includes(positionAction)) {
+        return { success: false, error: `Invalid positionAction "${positionAction}" (expected 'keep' or 'liquidate').` };
+    }
+
+    const liquidations = [];
+    if (positionAction === 'liquidate') {
+        // Each position is sold in the mode that holds it, not the active one
+        for (const mode of modesHolding(address)) {
+            log.info(`Liquidating the ${mode} ${address} position before unwatching it.`, { tokenAddress: address });
+            const job = await tradeQueueService.run('sell', address, {
+                mode,
+                tokenData: cacheService.get(`token_${address}`), // Stale or missing data is refetched by the job
+                percentageToSell: 100,
+                reason: 'unwatch',
+                options: { manual: true },
+            });
+            const liquidation = job.status === 'completed' ? job.result : null;
+            if (!liquidation?.trade) {
+                if (liquidations.length > 0) events.emit('portfolioChanged');
+                return { success: false, error: `Could not liquidate the ${mode} ${address} position${job.error ? `: ${job.error}` : ''}; it is still open.` };
+            }
+            liquidations.push({ mode, ...liquidation });
+        }
+        if (liquidations.length > 0) events.emit('portfolioChanged');
+    }
+
+    if (subscriberId) {
+        tokenSubscribers.get(address)?.delete(subscriberId);
+    } else if (pinnedTokens.delete(address)) {
+        persistWatchList();
+    }
+    return { success: true, unwatched: unwatchIfUnneeded(address), liquidations };
+}
+
+let refreshInProgress = false;
+
+/**
+ * Fetches updates for all watched tokens, one after another. A tick that fires while the previous refresh
+ * is still running (slow APIs, queued trades) is skipped rather than overlapping it.
+ */
+async function refreshWatchedTokens() {
+    if (globallyWatchedTokens.size === 0) return;
+    if (refreshInProgress) {
+        log.info('Previous refresh still running, skipping this one.');
+        return;
+    }
+    refreshInProgress = true;
+    try {
+        log.info(`Periodic refresh for ${globallyWatchedTokens.size} watched token(s)...`);
+        // Fetch SOL price first to ensure it's fresh for any subsequent processing
+        await tradingService.getSolPriceUSD();
+
+        for (const address of globallyWatchedTokens) {
+            await processSingleToken(address);
+        }
+    } finally {
+        refreshInProgress = false;
+    }
+}
+
+module.exports = {
+    events,
+    isValidTokenAddress,
+    isWatched,
+    getWatchedAddresses,
+    processSingleToken,
+    getTokenSnapshot,
+    ensureWatched,
+    isSubscribed,
+    getSubscriptions,
+    subscribe,
+    unsubscribe,
+    unsubscribeAll,
+    addTokenWatch,
+    removeTokenWatch,
+    refreshWatchedTokens,
+};
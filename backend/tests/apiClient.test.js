@@ -0,0 +1,57 @@
+// backend/tests/apiClient.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cache = require('../services/cacheService');
+const providers = require('../services/providers');
+const apiClient = require('../services/apiClient');
+
+const TOKEN = 'FaLLback111111111111111111111111111111111111';
+
+// A provider answering with `result` and recording what it was asked with
+function provider(name, fields, result) {
+    const calls = [];
+    return {
+        name,
+        fields,
+        calls,
+        fetchFields: async (tokenAddress, known) => {
+            calls.push(known);
+            return typeof result === 'function' ? result() : result;
+        },
+    };
+}
+
+test.beforeEach(() => {
+    cache.clear();
+    providers.helius.fetchTokenCreationTime = async () => null;
+});
+
+test('fields a provider misses fall back to the next one, and each field records its provider', async () => {
+    const metadata = provider('metadata', ['name', 'symbol', 'supply', 'priceUSD'], { name: 'Fallback', symbol: 'FB', priceUSD: 0.5 });
+    const down = provider('down', ['supply', 'liquidityUSD'], () => { throw new Error('HTTP 503'); });
+    const aggregator = provider('aggregator', ['priceUSD', 'supply', 'liquidityUSD'], { priceUSD: 0.7, supply: 1000, liquidityUSD: 25000 });
+    const unused = provider('unused', ['liquidityUSD'], { liquidityUSD: 1 });
+    providers.getProviders = () => [metadata, down, aggregator, unused];
+
+    const token = await apiClient.fetchTokenData(TOKEN);
+    assert.equal(token.priceUSD, 0.5); // A field already supplied isn't overwritten by a later provider
+    assert.equal(token.supply, 1000);
+    assert.equal(token.liquidityUSD, 25000);
+    assert.equal(token.marketCapUSD, 500);
+    assert.deepEqual(token.sources, { name: 'metadata', symbol: 'metadata', priceUSD: 'metadata', supply: 'aggregator', liquidityUSD: 'aggregator', marketCapUSD: 'calculated' });
+
+    assert.deepEqual(aggregator.calls, [{ name: 'Fallback', symbol: 'FB', priceUSD: 0.5 }]);
+    assert.equal(unused.calls.length, 0); // Everything was resolved before its turn
+});
+
+test('a token without name or symbol from any provider is returned as an error and not cached', async () => {
+    const prices = provider('prices', ['priceUSD'], { priceUSD: 2 });
+    providers.getProviders = () => [provider('metadata', ['name', 'symbol'], null), prices];
+
+    const token = await apiClient.fetchTokenData(TOKEN);
+    assert.equal(token.symbol, 'Error');
+    assert.deepEqual(token.sources, { priceUSD: 'prices' });
+    await apiClient.fetchTokenData(TOKEN);
+    assert.equal(prices.calls.length, 2);
+});
@@ -0,0 +1,91 @@
+// backend/tests/cache.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCache } = require('../services/cacheService');
+
+test('the least recently used entry is evicted first', () => {
+    const cache = createCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a'); // b is now the least recently used
+    cache.set('c', 3);
+
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('b'), null);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.getStats().evictions, 1);
+});
+
+test('entries are evicted to stay under the size limit', () => {
+    const cache = createCache({ maxSizeBytes: 1000 });
+    cache.set('a', 'x'.repeat(300)); // About 600 bytes
+    cache.set('b', 'y'.repeat(300));
+
+    assert.equal(cache.get('a'), null);
+    assert.ok(cache.get('b'));
+    assert.ok(cache.getStats().sizeBytes <= 1000);
+});
+
+test('a size hint replaces the estimate', async () => {
+    const cache = createCache({ maxSizeBytes: 1000 });
+    await cache.getOrFetch('small', async () => 'x', { sizeBytes: 900 });
+    await cache.getOrFetch('other', async () => 'y', { sizeBytes: value => value.length * 200 });
+
+    assert.equal(cache.get('small'), null);
+    assert.equal(cache.getStats().sizeBytes, 200);
+});
+
+test('large arrays are sized from a sample', () => {
+    const cache = createCache({ maxSizeBytes: 1024 * 1024 * 1024 });
+    const pairs = Array.from({ length: 100000 }, (_, index) => ({ baseMint: `mint${index}`.padEnd(44, '1'), price: index }));
+    cache.set('pairs', pairs);
+
+    const { sizeBytes } = cache.getStats();
+    assert.ok(sizeBytes > 100000 * 88 && sizeBytes < 100000 * 200, `estimated ${sizeBytes} bytes`);
+});
+
+test('concurrent misses share one fetch', async () => {
+    const cache = createCache();
+    let fetches = 0;
+    let release;
+    const fetcher = () => {
+        fetches++;
+        return new Promise(resolve => { release = resolve; });
+    };
+
+    const first = cache.getOrFetch('k', fetcher, { ttlMs: 1000 });
+    const second = cache.getOrFetch('k', fetcher, { ttlMs: 1000 });
+    await new Promise(setImmediate);
+    release('value');
+
+    assert.deepEqual(await Promise.all([first, second]), ['value', 'value']);
+    assert.equal(fetches, 1);
+    assert.equal(cache.getStats().coalesced, 1);
+});
+
+test('an expired value is served while it is refreshed in the background', async () => {
+    const cache = createCache();
+    let version = 0;
+    const fetcher = async () => ++version;
+    const options = { ttlMs: 1, staleTtlMs: 60 * 1000 };
+
+    assert.equal(await cache.getOrFetch('k', fetcher, options), 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(await cache.getOrFetch('k', fetcher, options), 1);
+    await new Promise(setImmediate);
+    assert.equal(cache.get('k'), 2);
+    // Without allowStale the caller waits for the fresh value
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(await cache.getOrFetch('k', fetcher, { ...options, allowStale: false }), 3);
+});
+
+test('a failed fetch is not cached and rejects every waiting caller', async () => {
+    const cache = createCache();
+    const failing = () => Promise.reject(new Error('provider down'));
+
+    const results = await Promise.allSettled([cache.getOrFetch('k', failing), cache.getOrFetch('k', failing)]);
+    assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+    assert.equal(cache.getStats().fetchErrors, 1);
+    assert.equal(cache.get('k'), null);
+});
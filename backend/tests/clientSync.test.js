@@ -0,0 +1,61 @@
+// backend/tests/clientSync.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createClientSync } = require('../services/clientSyncService');
+
+function portfolio(overrides = {}) {
+    return { currentSOLBalance: 100, positions: {}, simulatedTradeHistory: [], realizedPnlUSD: 0, ...overrides };
+}
+
+function token(priceUSD, lastFetched = '2026-01-01T00:00:00.000Z') {
+    return { address: 'TokenA', symbol: 'A', priceUSD, lastFetched };
+}
+
+test('nothing is sent before the first snapshot', () => {
+    const sync = createClientSync();
+    assert.equal(sync.tokenDelta(token(1)), null);
+    assert.equal(sync.portfolioDelta(portfolio()), null);
+    assert.equal(sync.tokenRemoved('TokenA'), null);
+    assert.equal(sync.snapshot([], portfolio(), []).seq, 1);
+});
+
+test('sequence numbers have no gaps: updates without a change consume none', () => {
+    const sync = createClientSync();
+    sync.snapshot([token(1)], portfolio(), ['TokenA']);
+
+    assert.equal(sync.tokenDelta(token(1)), null);
+    assert.equal(sync.tokenDelta(token(1, '2026-01-01T00:00:30.000Z')), null); // Only the fetch time moved
+    assert.equal(sync.portfolioDelta(portfolio()), null);
+
+    const messages = [
+        sync.tokenDelta(token(2, '2026-01-01T00:01:00.000Z')),
+        sync.portfolioDelta(portfolio({ currentSOLBalance: 90 })),
+        sync.tokenRemoved('TokenA'),
+    ];
+    assert.deepEqual(messages.map(message => message.seq), [2, 3, 4]);
+    assert.deepEqual(messages[0].payload.changes, { priceUSD: 2, lastFetched: '2026-01-01T00:01:00.000Z' });
+    assert.deepEqual(messages[1].payload, { fields: { currentSOLBalance: 90 } });
+});
+
+test('a snapshot requested after a gap becomes the new baseline', () => {
+    const sync = createClientSync();
+    sync.snapshot([token(1)], portfolio(), ['TokenA']);
+    sync.tokenDelta(token(2)); // Lost on the way: the client asks for a snapshot
+
+    const resync = sync.snapshot([token(3)], portfolio(), ['TokenA']);
+    assert.equal(resync.seq, 3);
+    assert.equal(sync.tokenDelta(token(3)), null);
+    assert.equal(sync.tokenDelta(token(4)).seq, 4);
+});
+
+test('closed positions and trade status changes are sent', () => {
+    const sync = createClientSync();
+    const pending = { id: 't1', status: 'pending' };
+    sync.snapshot([], portfolio({ positions: { TokenA: { amountHeld: 10 } }, simulatedTradeHistory: [pending] }), []);
+
+    const delta = sync.portfolioDelta(portfolio({ simulatedTradeHistory: [{ ...pending, status: 'confirmed' }, { id: 't2', status: 'simulated_completed' }] }));
+    assert.deepEqual(delta.payload.positions, { TokenA: null });
+    assert.deepEqual(delta.payload.trades.map(trade => trade.id), ['t1', 't2']);
+    assert.equal(sync.portfolioDelta(portfolio({ simulatedTradeHistory: [{ ...pending, status: 'confirmed' }, { id: 't2', status: 'simulated_completed' }] })), null);
+});
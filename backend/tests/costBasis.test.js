@@ -0,0 +1,72 @@
+// backend/tests/costBasis.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPortfolio } = require('../services/portfolio');
+const { createTradingEngine } = require('../services/tradingEngine');
+
+const TOKEN = 'CostBasisToken';
+const SOL_PRICE_USD = 100;
+
+// Two buys of 10 tokens, at $1 and at $3
+function portfolioWithTwoLots(costBasisMethod) {
+    const portfolio = createPortfolio({ name: `cost-basis-${costBasisMethod}`, persist: false, costBasisMethod });
+    portfolio.updatePosition(TOKEN, 10, 1, 0.1, 10);
+    portfolio.updatePosition(TOKEN, 10, 3, 0.3, 30);
+    return portfolio;
+}
+
+function sell(portfolio, amount, priceUSD) {
+    const usdValue = amount * priceUSD;
+    return portfolio.updatePosition(TOKEN, -amount, priceUSD, -usdValue / SOL_PRICE_USD, -usdValue);
+}
+
+test('fifo sells consume the oldest lots first', () => {
+    const portfolio = portfolioWithTwoLots('fifo');
+    assert.deepEqual(portfolio.previewSaleCostBasis(TOKEN, 15), { costBasisSOL: 0.25, costBasisUSD: 25 });
+
+    const position = sell(portfolio, 15, 4);
+    assert.equal(position.realizedPnlUSD, 60 - 25);
+    assert.ok(Math.abs(position.realizedPnlSOL - 0.35) < 1e-12);
+    assert.equal(position.lots.length, 1);
+    assert.equal(position.averageBuyPriceUSD, 3);
+});
+
+test('average-cost sells take the same share of every lot', () => {
+    const portfolio = portfolioWithTwoLots('average');
+
+    const position = sell(portfolio, 15, 4);
+    assert.equal(position.realizedPnlUSD, 60 - 30);
+    assert.equal(position.lots.length, 2);
+    assert.equal(position.averageBuyPriceUSD, 2);
+});
+
+test('an invalid cost basis method is refused', () => {
+    const portfolio = portfolioWithTwoLots('fifo');
+    assert.equal(portfolio.setCostBasisMethod('lifo'), false);
+    assert.equal(portfolio.getCostBasisMethod(), 'fifo');
+});
+
+test('sells record realized P&L and open positions report unrealized P&L', async () => {
+    const portfolio = portfolioWithTwoLots('fifo');
+    const engine = createTradingEngine({ portfolio, getSolPriceUSD: async () => SOL_PRICE_USD });
+
+    const { trade } = await engine.initiateSellOrder(TOKEN, 50, { address: TOKEN, priceUSD: 2 }, 'manual');
+    assert.equal(trade.realizedPnlUSD, 20 - 10); // The $1 lot, sold at $2
+    assert.ok(Math.abs(trade.realizedPnlSOL - 0.1) < 1e-12);
+
+    portfolio.markPrice(TOKEN, 4, SOL_PRICE_USD);
+    const summary = portfolio.getPortfolio();
+    assert.equal(summary.realizedPnlUSD, 10);
+    assert.equal(summary.unrealizedPnlUSD, 40 - 30); // The $3 lot, marked at $4
+    assert.ok(Math.abs(summary.unrealizedPnlSOL - 0.1) < 1e-12);
+});
+
+test('a position without known SOL costs reports its SOL P&L as unknown', () => {
+    const portfolio = createPortfolio({ name: 'cost-basis-unknown', persist: false });
+    portfolio.updatePosition(TOKEN, 10, 1, null, 10);
+
+    const position = sell(portfolio, 5, 2);
+    assert.equal(position.realizedPnlUSD, 5);
+    assert.equal(position.realizedPnlSOL, null);
+});
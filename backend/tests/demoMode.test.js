@@ -0,0 +1,62 @@
+// backend/tests/demoMode.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MINUTE_MS = 60 * 1000;
+const RUG_TOKEN = 'DemoTestRug1111111111111111111111111111111';
+const PUMP_TOKEN = 'DemoTestPump111111111111111111111111111111';
+
+process.env.DEMO_MODE = 'true';
+process.env.DEMO_SEED = '42';
+process.env.DEMO_TOKENS = JSON.stringify([
+    { address: RUG_TOKEN, symbol: 'TRUG', path: 'rug', startPriceUSD: 1, liquidityUSD: 40000, supply: 1e6, volatility: 0, rugAtMinutes: 8, rugDropPercent: 95 },
+    { address: PUMP_TOKEN, symbol: 'TPUMP', path: 'pump', startPriceUSD: 1, liquidityUSD: 40000, supply: 1e6, volatility: 0, pumpStartMinutes: 2, pumpDurationMinutes: 10, pumpMultiplier: 3 },
+    { address: 'BadPathToken', path: 'sideways' },
+]);
+
+// Simulated time starts when the market module loads
+let now = Date.now();
+test.mock.method(Date, 'now', () => now);
+
+const storage = require('../services/storageService');
+const storageLoadedMarket = Boolean(require.cache[require.resolve('../services/simulatedMarket')]);
+const apiClient = require('../services/apiClient');
+const simulatedMarket = require('../services/simulatedMarket');
+
+test('storage reads the demo flag without loading the simulated market', () => {
+    assert.equal(typeof storage.resolvePath, 'function');
+    assert.equal(storageLoadedMarket, false);
+    assert.equal(require('../services/demoMode').DEMO_MODE, true);
+});
+
+test('the api client serves simulated market data in demo mode', async () => {
+    assert.deepEqual(simulatedMarket.getDemoTokenAddresses(), [RUG_TOKEN, PUMP_TOKEN]);
+
+    const token = await apiClient.fetchTokenData(RUG_TOKEN);
+    assert.equal(token.symbol, 'TRUG');
+    assert.equal(token.priceUSD, 1);
+    assert.equal(token.marketCapUSD, 1e6);
+    assert.ok(token.createdAt < new Date(now));
+    assert.ok((await apiClient.fetchSolPriceUSD()).price > 0);
+});
+
+test('pump and rug paths play out over simulated time', async () => {
+    now += 5 * MINUTE_MS;
+    const rugBefore = await simulatedMarket.fetchTokenData(RUG_TOKEN);
+    assert.equal(rugBefore.priceUSD, 1);
+    assert.ok((await simulatedMarket.fetchTokenData(PUMP_TOKEN)).priceUSD > 1);
+
+    now += 10 * MINUTE_MS;
+    const rugAfter = await simulatedMarket.fetchTokenData(RUG_TOKEN);
+    assert.ok(Math.abs(rugAfter.priceUSD - 0.05) < 1e-9);
+    assert.ok(rugAfter.liquidityUSD < rugBefore.liquidityUSD / 10); // LP pulled
+    assert.ok(Math.abs((await simulatedMarket.fetchTokenData(PUMP_TOKEN)).priceUSD - 3) < 1e-9);
+});
+
+test('any address added in demo mode gets a simulated market', async () => {
+    const token = await simulatedMarket.fetchTokenData('AnyOtherToken1111111111111111111111111111');
+    assert.ok(token.priceUSD > 0);
+    const pairs = await simulatedMarket.getRaydiumPairs();
+    assert.ok(pairs.some(pair => pair.baseMint === 'AnyOtherToken1111111111111111111111111111'));
+});
@@ -0,0 +1,47 @@
+// backend/tests/fillModel.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFillModel, IDEAL_FILLS } = require('../services/fillModelService');
+
+const NO_FEES = { swapFeePercent: 0, networkFeeSOL: 0, priorityFeeSOL: 0, maxSlippagePercent: null };
+
+test('ideal fills execute at the quoted price', () => {
+    const model = createFillModel(IDEAL_FILLS);
+    const { fill } = model.quoteBuy({ amountSOL: 10, priceUSD: 0.5, liquidityUSD: 1000, solPriceUSD: 150 });
+    assert.equal(fill.tokenAmount, 3000);
+    assert.equal(fill.effectivePriceUSD, 0.5);
+    assert.equal(fill.priceImpactPercent, null);
+});
+
+test('a buy moves the constant-product price against the order', () => {
+    const model = createFillModel(NO_FEES);
+    // $1000 into a pool with $1000 per side buys half the token reserve
+    const { fill } = model.quoteBuy({ amountSOL: 10, priceUSD: 1, liquidityUSD: 2000, solPriceUSD: 100 });
+    assert.equal(fill.tokenAmount, 500);
+    assert.equal(fill.effectivePriceUSD, 2);
+    assert.equal(fill.priceImpactPercent, 100);
+});
+
+test('a sell receives the constant-product output minus fees', () => {
+    const model = createFillModel({ ...NO_FEES, swapFeePercent: 1, networkFeeSOL: 0.01 });
+    // 1000 tokens worth $1000 into a $1000 side return $500 = 5 SOL before fees
+    const { fill } = model.quoteSell({ tokenAmount: 1000, priceUSD: 1, liquidityUSD: 2000, solPriceUSD: 100 });
+    assert.equal(fill.priceImpactPercent, 50);
+    assert.equal(fill.swapFeeSOL, 0.05);
+    assert.ok(Math.abs(fill.proceedsSOL - 4.94) < 1e-9);
+});
+
+test('orders over the slippage tolerance are rejected unless the order overrides it', () => {
+    const model = createFillModel({ ...NO_FEES, maxSlippagePercent: 5 });
+    const order = { tokenAmount: 1000, priceUSD: 1, liquidityUSD: 2000, solPriceUSD: 100 };
+    const rejected = model.quoteSell(order);
+    assert.equal(rejected.success, false);
+    assert.equal(rejected.status, 'slippage_exceeded');
+    assert.equal(model.quoteSell({ ...order, maxSlippagePercent: null }).success, true);
+});
+
+test('a buy whose fees exceed the order is rejected', () => {
+    const model = createFillModel({ ...NO_FEES, networkFeeSOL: 1 });
+    assert.equal(model.quoteBuy({ amountSOL: 0.5, priceUSD: 1, liquidityUSD: 2000, solPriceUSD: 100 }).status, 'fees_exceed_order');
+});
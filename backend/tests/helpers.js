@@ -0,0 +1,16 @@
+// backend/tests/helpers.js
+// Required first by every test file: points the services at a throwaway data directory (read when
+// storageService loads) and keeps the logger quiet and off disk.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coinhunter-test-'));
+process.env.DATA_DIR = dataDir;
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+require('../services/loggerService').configure({ file: false, consoleLevel: 'error' });
+
+module.exports = {
+    dataDir,
+};
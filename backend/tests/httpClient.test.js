@@ -0,0 +1,111 @@
+// backend/tests/httpClient.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const httpClient = require('../services/httpClient');
+
+const CIRCUIT_OPEN_MS = 30000;
+
+/**
+ * A local server answering with respond(req) -> { status, headers, body, delayMs }. Each test gets its own,
+ * and with it its own host and circuit.
+ */
+async function startServer(t, respond) {
+    const server = http.createServer(async (req, res) => {
+        server.requests.push(req.url);
+        const { status = 200, headers = {}, body = { ok: true }, delayMs = 0 } = respond(req);
+        if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    });
+    server.requests = [];
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    server.host = `127.0.0.1:${server.address().port}`;
+    return server;
+}
+
+async function failTimes(server, count) {
+    for (let i = 0; i < count; i++) {
+        await assert.rejects(httpClient.get(`${server.url}/fail`, { retries: 0 }));
+    }
+}
+
+// Moves the clock on by ms (from wherever an earlier call left it)
+function advanceClock(t, ms) {
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + ms);
+}
+
+test('throttling and server errors are retried, other client errors are not', async (t) => {
+    let failures = 2;
+    const server = await startServer(t, req => {
+        if (req.url === '/missing') return { status: 404 };
+        if (failures-- > 0) return { status: 503, headers: { 'Retry-After': '0' } };
+        return { body: { price: 1 } };
+    });
+
+    const response = await httpClient.get(`${server.url}/flaky`);
+    assert.deepEqual(response.data, { price: 1 });
+    assert.equal(server.requests.length, 3);
+
+    await assert.rejects(httpClient.get(`${server.url}/missing`), error => error.response.status === 404);
+    assert.equal(server.requests.length, 4);
+    assert.equal(httpClient.getCircuitStates()[server.host].failures, 0); // The host answered: not held against it
+});
+
+test('Retry-After sets the delay before the retry', async (t) => {
+    let throttled = true;
+    const server = await startServer(t, () => {
+        if (!throttled) return {};
+        throttled = false;
+        return { status: 429, headers: { 'Retry-After': '0.3' } };
+    });
+
+    const startedAt = Date.now();
+    await httpClient.get(`${server.url}/quote`);
+    assert.ok(Date.now() - startedAt >= 280);
+    assert.equal(server.requests.length, 2);
+});
+
+test('five failed requests open the circuit, which then serves the last good response', async (t) => {
+    const server = await startServer(t, req => (req.url === '/fail' ? { status: 500 } : { body: { price: 2 } }));
+    await httpClient.get(`${server.url}/price`);
+
+    await failTimes(server, 4);
+    assert.equal(httpClient.getCircuitStates()[server.host].state, 'closed');
+    await failTimes(server, 1);
+    assert.equal(httpClient.getCircuitStates()[server.host].state, 'open');
+    const requestsWhenOpened = server.requests.length;
+
+    const cached = await httpClient.get(`${server.url}/price`);
+    assert.equal(cached.stale, true);
+    assert.deepEqual(cached.data, { price: 2 });
+    await assert.rejects(httpClient.get(`${server.url}/other`), { code: 'ECIRCUITOPEN' });
+    assert.equal(server.requests.length, requestsWhenOpened); // Nothing reached the host
+});
+
+test('after the cool-down a single trial request decides whether the circuit closes', async (t) => {
+    let healthy = false;
+    const server = await startServer(t, () => (healthy ? { delayMs: 50 } : { status: 502 }));
+    await failTimes(server, 5);
+
+    // A failed trial opens it again, without retries
+    advanceClock(t, CIRCUIT_OPEN_MS);
+    await assert.rejects(httpClient.get(`${server.url}/trial`), error => error.response.status === 502);
+    assert.equal(server.requests.length, 6);
+    assert.equal(httpClient.getCircuitStates()[server.host].state, 'open');
+
+    // While the trial is in flight, other requests are still turned away
+    healthy = true;
+    advanceClock(t, CIRCUIT_OPEN_MS);
+    const trial = httpClient.get(`${server.url}/trial`);
+    assert.equal(httpClient.getCircuitStates()[server.host].state, 'half-open');
+    await assert.rejects(httpClient.get(`${server.url}/other`), { code: 'ECIRCUITOPEN' });
+    assert.equal((await trial).status, 200);
+    assert.deepEqual(httpClient.getCircuitStates()[server.host], { state: 'closed', failures: 0, openedAt: null });
+});
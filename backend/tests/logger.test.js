@@ -0,0 +1,12 @@
+// backend/tests/logger.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const loggerService = require('../services/loggerService');
+
+test('only the defined levels are levels, not keys inherited by the level table', () => {
+    assert.equal(loggerService.isLevel('warn'), true);
+    assert.equal(loggerService.isLevel('toString'), false);
+    assert.equal(loggerService.isLevel('constructor'), false);
+    assert.equal(loggerService.isLevel(undefined), false);
+});
@@ -0,0 +1,80 @@
+// backend/tests/manualTrade.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const apiClient = require('../services/apiClient');
+const cacheService = require('../services/cacheService');
+const portfolioService = require('../services/portfolioService');
+const tradeQueueService = require('../services/tradeQueueService');
+const watchService = require('../services/watchService');
+const manualTradeService = require('../services/manualTradeService');
+
+const TOKEN = 'ManuaLToken111111111111111111111111111111111';
+const SOL_PRICE_USD = 100;
+
+let tokenData;
+apiClient.fetchTokenData = async () => tokenData;
+cacheService.set('sol_price_usd', SOL_PRICE_USD, 60 * 60 * 1000);
+tradeQueueService.start();
+
+test.beforeEach(() => {
+    tokenData = { address: TOKEN, symbol: 'MAN', priceUSD: 1, liquidityUSD: 1e9, lastFetched: new Date() };
+});
+
+test('invalid manual orders are refused before anything is queued', async () => {
+    const balanceSOL = portfolioService.getSOLBalance();
+    const refusals = [
+        [await manualTradeService.manualBuy('not-an-address', { amountSOL: 1 }), /Invalid or missing Solana token address/],
+        [await manualTradeService.manualBuy(TOKEN, {}), /exactly one of amountSOL or percentOfBalance/],
+        [await manualTradeService.manualBuy(TOKEN, { amountSOL: 1, percentOfBalance: 10 }), /exactly one/],
+        [await manualTradeService.manualBuy(TOKEN, { amountSOL: -1 }), /amountSOL must be a positive number/],
+        [await manualTradeService.manualBuy(TOKEN, { amountSOL: balanceSOL + 1 }), /exceeds the SOL balance/],
+        [await manualTradeService.manualBuy(TOKEN, { percentOfBalance: 0 }), /percentOfBalance must be/],
+        [await manualTradeService.manualBuy(TOKEN, { percentOfBalance: 101 }), /percentOfBalance must be/],
+        [await manualTradeService.manualBuy(TOKEN, { amountSOL: 1 }, { maxSlippagePercent: -1 }), /maxSlippagePercent/],
+        [await manualTradeService.manualSell(TOKEN, 50), /No open position/],
+        [await manualTradeService.manualSell(TOKEN, '50'), /percentage must be/],
+    ];
+
+    for (const [result, error] of refusals) {
+        assert.equal(result.success, false);
+        assert.match(result.error, error);
+    }
+    assert.equal(tradeQueueService.getJobs().length, 0);
+    assert.equal(portfolioService.getTradeHistory().length, 0);
+});
+
+test('a manual buy spends the SOL amount asked for and watches the token', async () => {
+    const result = await manualTradeService.manualBuy(TOKEN, { amountSOL: 2 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.trade.reasonForTrade, 'manual');
+    assert.equal(result.trade.amountSOL, 2);
+    assert.equal(result.trade.sizingStrategy, 'explicit');
+    assert.ok(watchService.isWatched(TOKEN));
+});
+
+test('a manual buy can spend a percentage of the balance instead', async () => {
+    const balanceSOL = portfolioService.getSOLBalance();
+    const result = await manualTradeService.manualBuy(TOKEN, { percentOfBalance: 10 });
+
+    assert.equal(result.success, true);
+    assert.ok(Math.abs(result.trade.amountSOL - balanceSOL * 0.1) < 1e-9);
+});
+
+test('a manual sell sells the percentage of the holding asked for', async () => {
+    const heldBefore = portfolioService.getPosition(TOKEN).amountHeld;
+    const result = await manualTradeService.manualSell(TOKEN, 50);
+
+    assert.equal(result.success, true);
+    assert.equal(result.trade.reasonForTrade, 'manual');
+    assert.ok(Math.abs(portfolioService.getPosition(TOKEN).amountHeld - heldBefore / 2) < 1e-9);
+});
+
+test('an order the engine refuses reports why', async () => {
+    tokenData = { ...tokenData, liquidityUSD: 1000 }; // Buying 2 SOL moves this pool's price by far more than the tolerance
+    const result = await manualTradeService.manualBuy(TOKEN, { amountSOL: 2 });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /failed_slippage_exceeded/);
+});
@@ -0,0 +1,69 @@
+// backend/tests/portfolioJournal.test.js
+const { dataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createPortfolio } = require('../services/portfolio');
+const Trade = require('../models/trade');
+
+let nextName = 0;
+function freshName() {
+    nextName += 1;
+    return `journal-test-${nextName}`;
+}
+
+test('journaled changes survive a restart', () => {
+    const name = freshName();
+    const portfolio = createPortfolio({ name, initialSOLBalance: 100 });
+    portfolio.runInTransaction(() => {
+        portfolio.setSOLBalance(90);
+        portfolio.updatePosition('TokenA', 1000, 0.01, 10, 1500);
+    });
+
+    const restored = createPortfolio({ name, initialSOLBalance: 100 });
+    assert.equal(restored.getSOLBalance(), 90);
+    assert.equal(restored.getPosition('TokenA').amountHeld, 1000);
+});
+
+test('a record appended after a torn line is still replayed', () => {
+    const name = freshName();
+    const portfolio = createPortfolio({ name, initialSOLBalance: 100 });
+    portfolio.setSOLBalance(90);
+    // Crash in the middle of the next append
+    fs.appendFileSync(path.join(dataDir, `${name}.journal.ndjson`), '{"seq":2,"timestamp":"2026-01-01T00:00:00.000Z","ops":[{"op":"bal');
+
+    const afterCrash = createPortfolio({ name, initialSOLBalance: 100 });
+    assert.equal(afterCrash.getSOLBalance(), 90);
+    afterCrash.setSOLBalance(80);
+
+    const afterRestart = createPortfolio({ name, initialSOLBalance: 100 });
+    assert.equal(afterRestart.getSOLBalance(), 80);
+});
+
+test('a failed transaction rolls back balance, positions, trades and trade statuses', () => {
+    const name = freshName();
+    const portfolio = createPortfolio({ name, initialSOLBalance: 100 });
+    const pending = new Trade('TokenA', 'buy', 10, 0.01, new Date(), 'pending');
+    portfolio.addTradeToHistory(pending);
+
+    assert.throws(() => portfolio.runInTransaction(() => {
+        portfolio.setSOLBalance(90);
+        portfolio.updatePosition('TokenA', 1000, 0.01, 10, 1500);
+        portfolio.updateTradeStatus(pending.id, 'confirmed', { txSignature: 'sig' });
+        portfolio.addTradeToHistory(new Trade('TokenA', 'buy', 10, 0.01, new Date(), 'simulated_completed'));
+        throw new Error('boom');
+    }), /boom/);
+
+    assert.equal(portfolio.getSOLBalance(), 100);
+    assert.equal(portfolio.getPosition('TokenA'), undefined);
+    const trades = portfolio.getTradeHistory();
+    assert.equal(trades.length, 1);
+    assert.equal(trades[0].status, 'pending');
+    assert.equal(trades[0].txSignature, null);
+
+    // Nothing of the failed transaction reached the journal
+    const restored = createPortfolio({ name, initialSOLBalance: 100 });
+    assert.equal(restored.getSOLBalance(), 100);
+    assert.equal(restored.getTradeHistory()[0].status, 'pending');
+});
@@ -0,0 +1,65 @@
+// backend/tests/priceHistory.test.js
+const { dataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE_MS = 60 * 1000;
+
+// Loads the service the way a restart does: from whatever is persisted in the data directory
+function restart() {
+    delete require.cache[require.resolve('../services/priceHistoryService')];
+    return require('../services/priceHistoryService');
+}
+
+function sample(address, priceUSD, minutesAgo) {
+    return { address, priceUSD, liquidityUSD: 50000, marketCapUSD: 1000000, lastFetched: new Date(Date.now() - minutesAgo * MINUTE_MS) };
+}
+
+test('performance is measured from the newest sample at least a window old', () => {
+    const priceHistory = restart();
+    const address = 'PerfToken';
+    priceHistory.recordSample(sample(address, 1, 90));
+    priceHistory.recordSample(sample(address, 2, 50));
+    priceHistory.recordSample(sample(address, 4, 6));
+    priceHistory.recordSample(sample(address, 5, 0));
+
+    assert.equal(priceHistory.getPerformance(address, 5 * MINUTE_MS), 25);
+    assert.equal(priceHistory.getPerformance(address, 60 * MINUTE_MS), 400);
+
+    const withPerf = priceHistory.withPerformance({ address, priceUSD: 5 });
+    assert.deepEqual([withPerf.perf5min, withPerf.perf1hr], [25, 400]);
+});
+
+test('performance is null until history covers the window', () => {
+    const priceHistory = restart();
+    const address = 'YoungToken';
+    assert.equal(priceHistory.getPerformance(address, 5 * MINUTE_MS), null);
+
+    priceHistory.recordSample(sample(address, 1, 10));
+    priceHistory.recordSample(sample(address, 2, 0));
+    assert.equal(priceHistory.getPerformance(address, 5 * MINUTE_MS), 100);
+    assert.equal(priceHistory.getPerformance(address, 60 * MINUTE_MS), null);
+});
+
+test('a cached fetch delivered again is not recorded twice', () => {
+    const priceHistory = restart();
+    const fetched = sample('DedupeToken', 1, 1);
+    assert.equal(priceHistory.recordSample(fetched), true);
+    assert.equal(priceHistory.recordSample({ ...fetched }), false);
+    assert.equal(priceHistory.recordSample({ address: 'DedupeToken', priceUSD: 'n/a' }), false);
+    assert.equal(priceHistory.getSamples('DedupeToken').length, 1);
+});
+
+test('samples survive a restart and expired ones are dropped', () => {
+    const address = 'PersistedToken';
+    // Written by an earlier run, before the retention window
+    fs.appendFileSync(path.join(dataDir, 'price_history.ndjson'),
+        JSON.stringify({ address, timestamp: Date.now() - 25 * 60 * MINUTE_MS, priceUSD: 1, liquidityUSD: null, marketCapUSD: null }) + '\n');
+    restart().recordSample(sample(address, 3, 5));
+
+    const priceHistory = restart();
+    assert.deepEqual(priceHistory.getSamples(address).map(s => s.priceUSD), [3]);
+    assert.equal(priceHistory.getLatestSample(address).liquidityUSD, 50000);
+});
@@ -0,0 +1,68 @@
+// backend/tests/raydium.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const httpClient = require('../services/httpClient');
+const cache = require('../services/cacheService');
+const raydium = require('../services/providers/raydium');
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const USDT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+const MULTI_POOL_TOKEN = 'MuLtiPooL111111111111111111111111111111111';
+const QUOTE_SIDE_TOKEN = 'QuoteSide111111111111111111111111111111111';
+const OTHER_TOKEN = 'Another11111111111111111111111111111111111';
+
+function pair(name, baseMint, quoteMint, price, liquidity) {
+    return { name, baseMint, quoteMint, price: String(price), liquidity: String(liquidity) };
+}
+
+// Prices are quote per base, liquidity is in USD
+const PAIRS = [
+    pair('SOL-USDC', SOL, USDC, 150, 5e6),
+    pair('SOL-USDT', SOL, USDT, 149, 1e6), // Shallower: not used for SOL/USD
+    pair('MULTI-SOL', MULTI_POOL_TOKEN, SOL, 0.001, 20000),
+    pair('MULTI-USDC', MULTI_POOL_TOKEN, USDC, 0.2, 90000), // The deepest MULTI pool
+    pair('MULTI-OTHER', MULTI_POOL_TOKEN, OTHER_TOKEN, 5, 1e7), // Deepest of all, but OTHER has no USD value
+    pair('SOL-QUOTE', SOL, QUOTE_SIDE_TOKEN, 4000, 30000), // 4000 QUOTE per SOL
+    pair('BROKEN', OTHER_TOKEN, USDC, 0, 1e9), // No price: never indexed
+];
+
+let downloads = 0;
+
+test.beforeEach(() => {
+    cache.clear();
+    downloads = 0;
+    httpClient.get = async (url) => {
+        assert.match(url, /\/main\/pairs$/);
+        downloads++;
+        return { status: 200, data: PAIRS };
+    };
+});
+
+test('SOL/USD comes from the deepest SOL pool against a stablecoin', async () => {
+    assert.deepEqual(await raydium.fetchSolPriceUSD(), { price: 150 });
+});
+
+test('a token with several pools is priced from its deepest pool against SOL or a stablecoin', async () => {
+    assert.deepEqual(await raydium.fetchFields(MULTI_POOL_TOKEN), { priceUSD: 0.2, liquidityUSD: 90000 });
+});
+
+test('a token on the quote side is priced by the inverse, converted from SOL to USD', async () => {
+    const { priceUSD, liquidityUSD } = await raydium.fetchFields(QUOTE_SIDE_TOKEN);
+    assert.ok(Math.abs(priceUSD - 150 / 4000) < 1e-12);
+    assert.equal(liquidityUSD, 30000);
+});
+
+test('tokens are looked up by mint, and only against mints with a USD value', async () => {
+    assert.equal(await raydium.fetchFields(OTHER_TOKEN), null); // Its only priced pool has no price
+    assert.equal(await raydium.fetchFields('Unknown11111111111111111111111111111111111'), null);
+    assert.equal(downloads, 1); // One download serves every lookup while it is cached
+});
+
+test('without a SOL/USD price, a SOL-paired token keeps its liquidity but no price', async () => {
+    const solPools = new Set(['SOL-USDC', 'SOL-USDT']);
+    httpClient.get = async () => ({ status: 200, data: PAIRS.filter(p => !solPools.has(p.name)) });
+
+    assert.deepEqual(await raydium.fetchFields(QUOTE_SIDE_TOKEN), { priceUSD: null, liquidityUSD: 30000 });
+});
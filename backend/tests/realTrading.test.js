@@ -0,0 +1,196 @@
+// backend/tests/realTrading.test.js
+const { dataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { createMockSolana, SOL_MINT_ADDRESS } = require('../scripts/mockSolana');
+const Trade = require('../models/trade');
+
+const WALLET = 'WaLLet1111111111111111111111111111111111111';
+const OTHER_WALLET = 'Xther11111111111111111111111111111111111111';
+const HELD_TOKEN = 'HeLdToken111111111111111111111111111111111'; // Bought before the "restart"
+const NEW_TOKEN = 'NewToken1111111111111111111111111111111111';
+const SOL_PRICE_USD = 100;
+const TOKENS_PER_SOL = 1000;
+
+const mock = createMockSolana({ tokensPerSOL: TOKENS_PER_SOL, balanceSOL: 10, confirmAfterMs: 0, quiet: true });
+let tradingModeService;
+let realExecutionService;
+let tradeQueueService;
+let cacheService;
+let portfolioService;
+let watchService;
+let solanaRpcService;
+let restarted; // { leftover, submitted } trades persisted before the services loaded
+
+function tokenData(address) {
+    return { address, symbol: address.slice(0, 4), priceUSD: 0.1, liquidityUSD: 1e9, lastFetched: new Date() };
+}
+
+function realPortfolio() {
+    return tradingModeService.getPortfolio('real');
+}
+
+function nextResolution() {
+    return once(realExecutionService.events, 'signatureResolved').then(([resolution]) => resolution);
+}
+
+async function rpc(method, params) {
+    const response = await fetch(`${process.env.SOLANA_RPC_URL}/`, { method: 'POST', body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }) });
+    return (await response.json()).result;
+}
+
+// Leaves the state a restart finds: a signature request nobody answered and a swap submitted but not yet settled
+async function persistStateBeforeRestart() {
+    const order = {
+        type: 'buy', tokenAddress: HELD_TOKEN, tokenSymbol: 'HELD', priceUSD: 0.1, solPrice: SOL_PRICE_USD, amountSOL: 1,
+        reason: 'manual', walletPublicKey: WALLET, expectedTokenAmount: TOKENS_PER_SOL, expectedSOL: 1, priceImpactPercent: 0.001,
+    };
+    const swap = { quoteResponse: { inputMint: SOL_MINT_ADDRESS, outputMint: HELD_TOKEN, inAmount: '1000000000', outAmount: String(TOKENS_PER_SOL * 1e6) }, userPublicKey: WALLET };
+    const signature = await rpc('sendTransaction', [Buffer.from(JSON.stringify(swap)).toString('base64')]);
+
+    const leftover = new Trade(NEW_TOKEN, 'buy', 1, 0.1, new Date(), 'awaiting_signature');
+    const submitted = new Trade(HELD_TOKEN, 'buy', 1, 0.1, new Date(), 'submitted');
+    submitted.txSignature = signature;
+    const write = (file, data) => fs.writeFileSync(path.join(dataDir, file), JSON.stringify(data));
+    write('real.snapshot.json', { seq: 0, currentSOLBalance: 10, positions: {}, simulatedTradeHistory: [leftover, submitted] });
+    write('real_orders.json', [{ tradeId: submitted.id, order, signature, submittedAt: new Date().toISOString() }]);
+    write('trading_mode.json', { mode: 'paper', walletPublicKey: WALLET, realPortfolioWallet: WALLET });
+    return { leftover, submitted };
+}
+
+test.before(async () => {
+    mock.server.listen(0, '127.0.0.1');
+    await once(mock.server, 'listening');
+    const url = `http://127.0.0.1:${mock.server.address().port}`;
+    Object.assign(process.env, { SOLANA_RPC_URL: url, JUPITER_API_URL: url, REAL_TRADING_ENABLED: 'true', REAL_CONFIRMATION_POLL_MS: '10' });
+    restarted = await persistStateBeforeRestart();
+
+    require('../services/tradingService'); // Registers the trade job handlers and the real settlement handler
+    tradingModeService = require('../services/tradingModeService');
+    realExecutionService = require('../services/realExecutionService');
+    tradeQueueService = require('../services/tradeQueueService');
+    cacheService = require('../services/cacheService');
+    portfolioService = require('../services/portfolioService');
+    watchService = require('../services/watchService');
+    solanaRpcService = require('../services/solanaRpcService');
+    cacheService.set('sol_price_usd', SOL_PRICE_USD, 60 * 60 * 1000);
+    tradeQueueService.start();
+});
+
+test.after(() => mock.server.close());
+
+test('after a restart, stale signature requests expire and submitted swaps are settled', async () => {
+    const resolution = nextResolution();
+    realExecutionService.start();
+
+    assert.equal(realPortfolio().getTradeHistory().find(t => t.id === restarted.leftover.id).status, 'expired');
+    const { status, executedTrade } = await resolution;
+    assert.equal(status, 'confirmed');
+    assert.equal(executedTrade.proposalId, restarted.submitted.id);
+    assert.equal(realPortfolio().getPosition(HELD_TOKEN).amountHeld, TOKENS_PER_SOL);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'real_orders.json'), 'utf8')), []);
+});
+
+test('a real buy waits for the signature, then books what the chain settled', async () => {
+    const job = await tradeQueueService.run('buy', NEW_TOKEN, { mode: 'real', tokenData: tokenData(NEW_TOKEN), options: { amountSOL: 1 } });
+    const { pending, trade } = job.result;
+    assert.equal(pending, true);
+    assert.equal(trade.status, 'awaiting_signature');
+    const [{ transaction }] = realExecutionService.getPendingRequests();
+
+    const resolution = nextResolution();
+    const submission = await realExecutionService.submitSignedTransaction(trade.id, transaction);
+    assert.equal(submission.success, true);
+    assert.equal((await realExecutionService.submitSignedTransaction(trade.id, transaction)).success, false);
+
+    const { status, executedTrade } = await resolution;
+    assert.equal(status, 'confirmed');
+    assert.equal(executedTrade.txSignature, submission.signature);
+    assert.equal(realPortfolio().getPosition(NEW_TOKEN).amountHeld, TOKENS_PER_SOL);
+    // The balance follows the wallet: 10 SOL, minus the restored buy, this buy and their fees
+    const walletSOL = (await rpc('getBalance', [WALLET])).value / 1e9;
+    assert.ok(walletSOL < 8);
+    assert.ok(Math.abs(realPortfolio().getSOLBalance() - walletSOL) < 1e-9);
+});
+
+test('a swap that fails on chain is recorded as failed_onchain and books nothing', async () => {
+    const position = realPortfolio().getPosition(NEW_TOKEN).amountHeld;
+    mock.options.fail = true;
+    try {
+        const { result } = await tradeQueueService.run('sell', NEW_TOKEN, { mode: 'real', tokenData: tokenData(NEW_TOKEN), percentageToSell: 100, reason: 'manual', options: { manual: true } });
+        const [{ transaction }] = realExecutionService.getPendingRequests();
+        const resolution = nextResolution();
+        await realExecutionService.submitSignedTransaction(result.trade.id, transaction);
+
+        const { status, executedTrade } = await resolution;
+        assert.equal(status, 'failed_onchain');
+        assert.equal(executedTrade, null);
+        assert.equal(realPortfolio().getPosition(NEW_TOKEN).amountHeld, position);
+    } finally {
+        mock.options.fail = false;
+    }
+});
+
+test('queued orders run in the mode they were placed in, not the active one', async () => {
+    assert.equal(tradingModeService.setMode('real').success, true);
+    try {
+        const realTrades = realPortfolio().getTradeHistory().length;
+        const { result } = await tradeQueueService.run('buy', NEW_TOKEN, { mode: 'paper', tokenData: tokenData(NEW_TOKEN), options: { amountSOL: 1 } });
+        assert.equal(result.pending, false);
+        assert.ok(portfolioService.getPosition(NEW_TOKEN).amountHeld > 0);
+        assert.equal(realPortfolio().getTradeHistory().length, realTrades);
+    } finally {
+        tradingModeService.setMode('paper');
+    }
+
+    const rejected = await tradeQueueService.run('buy', NEW_TOKEN, { mode: 'real', tokenData: tokenData(NEW_TOKEN), options: { amountSOL: 1 } });
+    assert.equal(rejected.result.trade.status, 'awaiting_signature');
+    assert.equal(realExecutionService.rejectSignature(rejected.result.trade.id).success, true);
+});
+
+test('another wallet is refused while the real portfolio holds positions of the connected one', async () => {
+    const refused = await tradingModeService.setWalletPublicKey(OTHER_WALLET);
+    assert.equal(refused.success, false);
+    assert.match(refused.error, /2 position\(s\) and 0 open order\(s\) of wallet WaLLet/);
+    assert.equal(tradingModeService.getWalletPublicKey(), WALLET);
+
+    assert.equal((await tradingModeService.setWalletPublicKey(null)).success, true);
+    assert.equal((await tradingModeService.setWalletPublicKey(OTHER_WALLET)).success, false);
+    assert.equal((await tradingModeService.setWalletPublicKey(WALLET)).success, true);
+});
+
+test('unwatching with liquidation sells in every mode holding the token', async () => {
+    cacheService.set(`token_${NEW_TOKEN}`, tokenData(NEW_TOKEN), 60 * 1000);
+    watchService.ensureWatched(NEW_TOKEN);
+
+    const result = await watchService.removeTokenWatch(NEW_TOKEN, { positionAction: 'liquidate' });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.liquidations.map(({ mode, pending }) => [mode, pending]), [['paper', false], ['real', true]]);
+    assert.equal(portfolioService.getPosition(NEW_TOKEN), undefined);
+    // The real sell still awaits the wallet, so the token stays watched for its exit rules
+    assert.equal(result.unwatched, false);
+    assert.equal(realExecutionService.rejectSignature(result.liquidations[1].trade.id).success, true);
+});
+
+test('balance changes are read for the wallet and the token only', () => {
+    const { summarizeBalanceChanges } = solanaRpcService;
+    const tokenBalance = (owner, mint, uiAmountString) => ({ owner, mint, uiTokenAmount: { uiAmountString } });
+    const transaction = {
+        meta: {
+            fee: 5000,
+            preBalances: [5e9, 2e9],
+            postBalances: [3.999995e9, 3e9],
+            preTokenBalances: [tokenBalance(WALLET, HELD_TOKEN, '0'), tokenBalance(OTHER_WALLET, HELD_TOKEN, '500')],
+            postTokenBalances: [tokenBalance(WALLET, HELD_TOKEN, '1000'), tokenBalance(WALLET, NEW_TOKEN, '7'), tokenBalance(OTHER_WALLET, HELD_TOKEN, '0')],
+        },
+        transaction: { message: { accountKeys: [{ pubkey: WALLET }, OTHER_WALLET] } },
+    };
+
+    assert.deepEqual(summarizeBalanceChanges(transaction, WALLET, HELD_TOKEN), { solChange: -1.000005, tokenChange: 1000, feeSOL: 0.000005 });
+    assert.deepEqual(summarizeBalanceChanges(transaction, OTHER_WALLET, HELD_TOKEN), { solChange: 1, tokenChange: -500, feeSOL: 0.000005 });
+    assert.equal(summarizeBalanceChanges(transaction, 'Unknown1111111111111111111111111111111111', HELD_TOKEN), null);
+    assert.equal(summarizeBalanceChanges(null, WALLET, HELD_TOKEN), null);
+});
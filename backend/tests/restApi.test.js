@@ -0,0 +1,108 @@
+// backend/tests/restApi.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const apiClient = require('../services/apiClient');
+const cacheService = require('../services/cacheService');
+const tradeQueueService = require('../services/tradeQueueService');
+const { createApiRouter } = require('../routes/api');
+
+const TOKEN = 'Rest1111111111111111111111111111111111111111';
+
+let baseUrl;
+let server;
+let portfolioChanges = 0;
+
+test.before(async () => {
+    cacheService.set('sol_price_usd', 100);
+    test.mock.method(apiClient, 'fetchTokenData', async (address) => ({
+        address, symbol: 'REST', priceUSD: 1, liquidityUSD: 1e9, marketCapUSD: 500000, lastFetched: new Date(),
+    }));
+    tradeQueueService.start(); // Trades run as queue jobs, as in server.js
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createApiRouter({ onPortfolioChanged: () => portfolioChanges++ }));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, path, body) {
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+test('watching a token buys it and exposes it on the token and portfolio routes', async () => {
+    assert.equal((await request('POST', '/tokens', { address: 'not-an-address' })).status, 400);
+
+    const added = await request('POST', '/tokens', { address: TOKEN });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.trade.type, 'buy');
+    assert.equal((await request('POST', '/tokens', { address: TOKEN })).body.alreadyWatched, true);
+
+    const tokens = await request('GET', '/tokens');
+    assert.deepEqual(tokens.body.tokens.map(token => token.address), [TOKEN]);
+    const token = await request('GET', `/tokens/${TOKEN}`);
+    assert.equal(token.body.token.symbol, 'REST');
+    assert.ok(token.body.position.amountHeld > 0);
+
+    const portfolio = await request('GET', '/portfolio');
+    assert.ok(portfolio.body.currentSOLBalance < 100);
+});
+
+test('trades can be filtered and bad filters are refused', async () => {
+    const buys = await request('GET', `/trades?token=${TOKEN}&type=buy`);
+    assert.equal(buys.body.count, 1);
+    assert.equal((await request('GET', `/trades?token=${TOKEN}&type=sell`)).body.count, 0);
+    assert.equal((await request('GET', `/trades?from=${Date.now() + 60000}`)).body.count, 0);
+
+    assert.equal((await request('GET', '/trades?type=swap')).status, 400);
+    assert.equal((await request('GET', '/trades?from=yesterday')).status, 400);
+});
+
+test('the trade history downloads as CSV or JSON', async () => {
+    const csv = await fetch(`${baseUrl}/trades/export?token=${TOKEN}`);
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /attachment; filename="trades-\d{4}-\d{2}-\d{2}\.csv"/);
+    const [header, buy] = (await csv.text()).split('\r\n');
+    assert.ok(header.startsWith('tradeId,timestamp,tokenAddress'));
+    assert.ok(buy.includes(`,${TOKEN},REST,buy,`));
+
+    const json = await request('GET', `/trades/export?format=json&token=${TOKEN}`);
+    assert.equal(json.body[0].side, 'buy');
+    assert.equal((await request('GET', '/trades/export?format=xml')).status, 400);
+});
+
+test('trading rules are set through the position route', async () => {
+    const updated = await request('PUT', `/positions/${TOKEN}/trading-rules`, { takeProfitPercent: 50 });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.position.takeProfitPercent, 50);
+    assert.equal(portfolioChanges, 1);
+
+    assert.equal((await request('PUT', `/positions/${TOKEN}/trading-rules`, { stopLossPercent: 'lots' })).status, 400);
+});
+
+test('unwatching a token keeps its position, or liquidates it first', async () => {
+    const kept = await request('DELETE', `/tokens/${TOKEN}`);
+    assert.equal(kept.status, 200);
+    assert.equal(kept.body.unwatched, false); // The open position keeps it in the refresh loop
+    assert.deepEqual(kept.body.trades, []);
+    assert.equal((await request('DELETE', `/tokens/${TOKEN}?positionAction=hold`)).status, 400);
+
+    const liquidated = await request('DELETE', `/tokens/${TOKEN}?positionAction=liquidate`);
+    assert.equal(liquidated.status, 200);
+    assert.equal(liquidated.body.unwatched, true);
+    assert.deepEqual(liquidated.body.trades.map(trade => [trade.type, trade.reasonForTrade]), [['sell', 'unwatch']]);
+    assert.equal((await request('DELETE', `/tokens/${TOKEN}`)).status, 404);
+    assert.equal((await request('GET', '/tokens')).body.count, 0);
+    assert.equal((await request('GET', '/portfolio')).body.positions[TOKEN], undefined);
+});
@@ -0,0 +1,75 @@
+// backend/tests/riskLimits.test.js
+const { dataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createRiskPolicy, validateLimits } = require('../services/riskService');
+const { createPortfolio } = require('../services/portfolio');
+const { createTradingEngine } = require('../services/tradingEngine');
+
+const SOL_PRICE_USD = 100;
+const EMPTY_STATE = { equitySOL: 100, exposureSOL: 0, openPositions: 0, tokenExposureSOL: 0, tokenHasPosition: false, realizedPnlTodaySOL: 0 };
+
+function tokenData(address, priceUSD) {
+    return { address, symbol: address, priceUSD, liquidityUSD: 1e9, lastFetched: new Date() };
+}
+
+test('each limit blocks the buy that would break it', () => {
+    const risk = createRiskPolicy({ limits: { maxExposurePercent: 50, maxOpenPositions: 2, maxTokenAllocationPercent: 20, dailyLossLimitSOL: 5 } });
+
+    assert.deepEqual(risk.evaluateBuy(EMPTY_STATE, 10), { allowed: true });
+    assert.equal(risk.evaluateBuy({ ...EMPTY_STATE, realizedPnlTodaySOL: -5 }, 1).limit, 'dailyLossLimitSOL');
+    assert.equal(risk.evaluateBuy({ ...EMPTY_STATE, openPositions: 2 }, 1).limit, 'maxOpenPositions');
+    assert.equal(risk.evaluateBuy({ ...EMPTY_STATE, exposureSOL: 45 }, 10).limit, 'maxExposurePercent');
+    assert.equal(risk.evaluateBuy({ ...EMPTY_STATE, tokenExposureSOL: 15, tokenHasPosition: true }, 10).limit, 'maxTokenAllocationPercent');
+    // An add-on buy doesn't open another position
+    assert.deepEqual(risk.evaluateBuy({ ...EMPTY_STATE, openPositions: 2, tokenHasPosition: true, exposureSOL: 20, tokenExposureSOL: 5 }, 1), { allowed: true });
+});
+
+test('limits turned off with null never block', () => {
+    const risk = createRiskPolicy();
+    assert.deepEqual(risk.evaluateBuy({ ...EMPTY_STATE, openPositions: 50, exposureSOL: 99, realizedPnlTodaySOL: -1000 }, 1), { allowed: true });
+});
+
+test('invalid limits are rejected', () => {
+    assert.equal(validateLimits({ maxOpenPositions: 2 }), null);
+    assert.match(validateLimits({ maxOpenPositions: 2.5 }), /whole number/);
+    assert.match(validateLimits({ maxExposurePercent: 120 }), /at most 100/);
+    assert.match(validateLimits({ dailyLossLimitSOL: -1 }), /positive number/);
+    assert.match(validateLimits({ leverage: 2 }), /Unknown risk limit/);
+    assert.equal(createRiskPolicy().setLimits({ maxOpenPositions: 0 }).success, false);
+});
+
+test('the engine records a buy blocked by the daily loss limit', async () => {
+    const portfolio = createPortfolio({ name: 'risk-test', persist: false, initialSOLBalance: 100 });
+    const risk = createRiskPolicy({ limits: { dailyLossLimitSOL: 1 } });
+    const engine = createTradingEngine({ portfolio, getSolPriceUSD: async () => SOL_PRICE_USD, risk });
+
+    await engine.initiateBuyOrder('TokenA', tokenData('TokenA', 1), { amountSOL: 2 });
+    await engine.initiateSellOrder('TokenA', 100, tokenData('TokenA', 0.4), 'manual', { manual: true }); // Loses 1.2 SOL
+
+    const result = await engine.initiateBuyOrder('TokenB', tokenData('TokenB', 1), { amountSOL: 2 });
+    assert.equal(result, null);
+    const [blocked] = portfolio.getTradeHistory({ tokenId: 'TokenB' });
+    assert.equal(blocked.status, 'blocked_risk_limit');
+    assert.match(blocked.blockReason, /daily limit/);
+    assert.equal(portfolio.getPosition('TokenB'), undefined);
+});
+
+test('the loss on a position without a known SOL cost still counts towards the daily limit', async () => {
+    const name = 'risk-migrated';
+    // Persisted before lot accounting: the position has no lots, so its SOL cost is unknown
+    const position = { tokenAddress: 'TokenA', amountHeld: 1000, averageBuyPriceUSD: 1, initialInvestmentUSD: 1000 };
+    fs.writeFileSync(path.join(dataDir, `${name}.snapshot.json`), JSON.stringify({ seq: 0, currentSOLBalance: 100, positions: { TokenA: position }, simulatedTradeHistory: [] }));
+    const portfolio = createPortfolio({ name });
+    const risk = createRiskPolicy({ limits: { dailyLossLimitSOL: 1 } });
+    const engine = createTradingEngine({ portfolio, getSolPriceUSD: async () => SOL_PRICE_USD, risk });
+
+    const { trade } = await engine.initiateSellOrder('TokenA', 100, tokenData('TokenA', 0.5), 'manual', { manual: true });
+    assert.equal(trade.realizedPnlSOL, null);
+    assert.equal((await engine.getRiskStatus()).state.realizedPnlTodaySOL, -5); // The $500 loss at $100/SOL
+
+    assert.equal(await engine.initiateBuyOrder('TokenB', tokenData('TokenB', 1), { amountSOL: 2 }), null);
+    assert.equal(portfolio.getTradeHistory({ tokenId: 'TokenB' })[0].status, 'blocked_risk_limit');
+});
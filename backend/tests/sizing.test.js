@@ -0,0 +1,91 @@
+// backend/tests/sizing.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSizingPolicy, listStrategies } = require('../services/sizingService');
+const { createPortfolio } = require('../services/portfolio');
+const { createTradingEngine } = require('../services/tradingEngine');
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+
+function context(overrides = {}) {
+    return {
+        tokenAddress: 'TokenA',
+        tokenData: { liquidityUSD: 25000, marketCapUSD: 500000 },
+        availableSOL: 100,
+        equitySOL: 200,
+        now: NOW,
+        getPriceSamples: () => [],
+        ...overrides,
+    };
+}
+
+// Prices alternating by ±step around 1, one sample a minute
+function samples(count, step) {
+    return Array.from({ length: count }, (_, i) => ({ timestamp: new Date(NOW.getTime() - (count - i) * 60000), priceUSD: 1 + (i % 2 ? step : -step) }));
+}
+
+test('the risk-score formula scales the allocation by its weighted scores, with every constant configurable', () => {
+    const policy = createSizingPolicy();
+    // Liquidity scores 0.5, market cap 1: 100 SOL * 20% * (0.6 * 0.5 + 0.4 * 1)
+    assert.ok(Math.abs(policy.sizeBuy(context()).allocationSOL - 14) < 1e-9);
+
+    assert.equal(policy.setDefaultStrategy('riskScore', { liquidityScoreCapUSD: 25000, maxAllocationPercent: 10 }).success, true);
+    assert.ok(Math.abs(policy.sizeBuy(context()).allocationSOL - 10) < 1e-9);
+
+    policy.setDefaultStrategy('riskScore', { minLiquidityUSD: 30000 });
+    const skipped = policy.sizeBuy(context());
+    assert.equal(skipped.allocate, false);
+    assert.match(skipped.reason, /Below threshold/);
+});
+
+test('fixed SOL and percent of equity size independently of the token', () => {
+    const fixed = createSizingPolicy({ strategy: 'fixedSOL', params: { amountSOL: 3 } });
+    assert.deepEqual(fixed.sizeBuy(context()), { allocate: true, allocationSOL: 3, strategy: 'fixedSOL' });
+    assert.equal(fixed.sizeBuy(context({ availableSOL: 2 })).allocate, false);
+
+    const equity = createSizingPolicy({ strategy: 'percentOfEquity', params: { percent: 5 } });
+    assert.equal(equity.sizeBuy(context()).allocationSOL, 10);
+});
+
+test('volatility-scaled sizing buys less of a more volatile token and needs enough history', () => {
+    const policy = createSizingPolicy({ strategy: 'volatilityScaled' });
+    const calm = policy.sizeBuy(context({ getPriceSamples: () => samples(30, 0.001) }));
+    const wild = policy.sizeBuy(context({ getPriceSamples: () => samples(30, 0.05) }));
+
+    assert.equal(calm.allocationSOL, 200 * 0.2); // Capped at maxAllocationPercent of equity
+    assert.ok(wild.allocationSOL < calm.allocationSOL);
+    assert.ok(wild.volatilityPercent > calm.volatilityPercent);
+    assert.equal(policy.sizeBuy(context({ getPriceSamples: () => samples(5, 0.01) })).allocate, false);
+});
+
+test('a token strategy overrides the default until it is cleared', () => {
+    const policy = createSizingPolicy({ strategy: 'fixedSOL' });
+    policy.setTokenStrategy('TokenA', 'percentOfEquity', { percent: 1 });
+
+    assert.deepEqual(policy.getStrategyFor('TokenA'), { strategy: 'percentOfEquity', params: { percent: 1 }, scope: 'token' });
+    assert.equal(policy.sizeBuy(context()).allocationSOL, 2);
+    assert.equal(policy.sizeBuy(context({ tokenAddress: 'TokenB' })).allocationSOL, 1);
+    policy.setTokenStrategy('TokenA', null);
+    assert.equal(policy.getStrategyFor('TokenA').scope, 'default');
+});
+
+test('unknown strategies and invalid params are refused', () => {
+    const policy = createSizingPolicy();
+    assert.match(policy.setDefaultStrategy('martingale').error, /Unknown sizing strategy/);
+    assert.match(policy.setDefaultStrategy('fixedSOL', { amountSOL: 0 }).error, /between/);
+    assert.match(policy.setDefaultStrategy('fixedSOL', { amount: 1 }).error, /Unknown fixedSOL param/);
+    assert.match(policy.setDefaultStrategy('riskScore', { liquidityWeight: 0.8, marketCapWeight: 0.4 }).error, /must not exceed 1/);
+    assert.match(policy.setTokenStrategy('TokenA', 'volatilityScaled', { basePercent: 30 }).error, /basePercent must not exceed/);
+    assert.deepEqual(listStrategies().map(strategy => strategy.name), ['riskScore', 'fixedSOL', 'percentOfEquity', 'volatilityScaled']);
+});
+
+test('each buy records the strategy that sized it', async () => {
+    const portfolio = createPortfolio({ name: 'sizing-test', persist: false, initialSOLBalance: 100 });
+    const sizing = createSizingPolicy({ strategy: 'fixedSOL', params: { amountSOL: 2 } });
+    const engine = createTradingEngine({ portfolio, getSolPriceUSD: async () => 100, sizing });
+
+    const { trade } = await engine.initiateBuyOrder('TokenA', { address: 'TokenA', priceUSD: 1, lastFetched: NOW });
+    assert.equal(trade.sizingStrategy, 'fixedSOL');
+    assert.equal(trade.amountSOL, 2);
+});
@@ -0,0 +1,75 @@
+// backend/tests/snapshotArchive.test.js
+const { dataDir } = require('./helpers');
+process.env.SNAPSHOT_RETENTION_DAYS = '3';
+process.env.SNAPSHOT_ARCHIVE_MAX_MB = '0.01'; // About 10 KB
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const snapshotArchiveService = require('../services/snapshotArchiveService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_DIR = path.join(dataDir, 'snapshots');
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * DAY_MS);
+}
+
+function segmentFile(date) {
+    return path.join(ARCHIVE_DIR, `snapshots-${date.toISOString().slice(0, 10)}.ndjson`);
+}
+
+function token(address, lastFetched, priceUSD = 1) {
+    return { address, symbol: address, priceUSD, liquidityUSD: 1000, marketCapUSD: 5000, supply: 5000, lastFetched, sources: { priceUSD: 'raydium' } };
+}
+
+test('segments past the retention period, then the oldest ones over the size limit, are deleted', () => {
+    fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+    fs.writeFileSync(segmentFile(daysAgo(10)), JSON.stringify({ address: 'Old' }) + '\n');
+    fs.writeFileSync(segmentFile(daysAgo(1)), 'x'.repeat(12 * 1024)); // Within retention, but over the size limit
+
+    assert.equal(snapshotArchiveService.recordSnapshot(token('Retained', new Date())), true);
+
+    const { segments, retentionDays, maxSizeMB } = snapshotArchiveService.getArchiveInfo();
+    assert.deepEqual(segments.map(segment => segment.fileName), [path.basename(segmentFile(new Date()))]);
+    assert.equal(retentionDays, 3);
+    assert.equal(maxSizeMB, 0.01);
+});
+
+test('each fetch is archived once, so re-deliveries of a cached token are dropped', () => {
+    const fetchedAt = new Date();
+    assert.equal(snapshotArchiveService.recordSnapshot(token('Dedupe', fetchedAt)), true);
+    assert.equal(snapshotArchiveService.recordSnapshot(token('Dedupe', new Date(fetchedAt))), false);
+    assert.equal(snapshotArchiveService.recordSnapshot(token('Dedupe', new Date(fetchedAt.getTime() - 1000))), false);
+    assert.equal(snapshotArchiveService.recordSnapshot({ address: 'Dedupe' }), false); // No fetch time
+
+    assert.equal(snapshotArchiveService.querySnapshots({ tokenAddress: 'Dedupe' }).length, 1);
+});
+
+test('queries filter by token and time range across day segments, oldest first', () => {
+    const times = [daysAgo(2), daysAgo(1), new Date()];
+    times.forEach((time, i) => snapshotArchiveService.recordSnapshot(token('Ranged', time, i + 1)));
+    snapshotArchiveService.recordSnapshot(token('Other', times[1]));
+
+    assert.deepEqual(snapshotArchiveService.querySnapshots({ tokenAddress: 'Ranged' }).map(record => record.priceUSD), [1, 2, 3]);
+    const fromYesterday = snapshotArchiveService.querySnapshots({ tokenAddress: 'Ranged', from: new Date(times[1].getTime() - 1000) });
+    assert.deepEqual(fromYesterday.map(record => record.priceUSD), [2, 3]);
+    assert.deepEqual(snapshotArchiveService.querySnapshots({ from: times[1], to: times[1] }).map(record => record.address), ['Ranged', 'Other']);
+    assert.equal(snapshotArchiveService.querySnapshots({ tokenAddress: 'Ranged', limit: 2 }).length, 2);
+
+    const [record] = snapshotArchiveService.querySnapshots({ tokenAddress: 'Ranged', to: times[0] });
+    assert.deepEqual(record, {
+        timestamp: times[0].toISOString(), address: 'Ranged', name: null, symbol: 'Ranged', priceUSD: 1, liquidityUSD: 1000,
+        marketCapUSD: 5000, supply: 5000, createdAt: null, sources: { priceUSD: 'raydium' },
+    });
+});
+
+test('bulk reads stream one segment at a time and can stop early', () => {
+    const batches = [];
+    snapshotArchiveService.forEachSnapshotBatch({ tokenAddress: 'Ranged' }, batch => { batches.push(batch.length); });
+    assert.deepEqual(batches, [1, 1, 1]);
+
+    let calls = 0;
+    snapshotArchiveService.forEachSnapshotBatch({}, () => { calls++; return false; });
+    assert.equal(calls, 1);
+});
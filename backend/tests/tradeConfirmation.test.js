@@ -0,0 +1,101 @@
+// backend/tests/tradeConfirmation.test.js
+require('./helpers');
+process.env.TRADE_CONFIRMATION_MODE = 'confirm';
+process.env.TRADE_CONFIRMATION_TIMEOUT_MS = '50';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const portfolioService = require('../services/portfolioService');
+const apiClient = require('../services/apiClient');
+const tradeQueueService = require('../services/tradeQueueService');
+const tradeConfirmationService = require('../services/tradeConfirmationService');
+const Trade = require('../models/trade');
+
+const TOKEN_DATA = { address: 'TokenA', symbol: 'A', priceUSD: 1, lastFetched: new Date() };
+
+let executeBuy = async () => null; // Stands in for the paper engine's buy
+const buyJobs = [];
+tradeQueueService.registerHandler('buy', async (job) => {
+    buyJobs.push(job);
+    return executeBuy(job);
+});
+tradeQueueService.start();
+
+function proposeBuy() {
+    const trade = new Trade('TokenA', 'buy', 1, 1, new Date(), 'pending');
+    portfolioService.addTradeToHistory(trade);
+    tradeConfirmationService.propose(trade, TOKEN_DATA, { type: 'buy', tokenAddress: 'TokenA', options: { reason: 'manual' } });
+    return trade;
+}
+
+function nextResolution() {
+    return new Promise(resolve => tradeConfirmationService.events.once('tradeResolved', resolve));
+}
+
+function statusOf(trade) {
+    return portfolioService.getTradeHistory().find(t => t.id === trade.id).status;
+}
+
+test.beforeEach(() => {
+    apiClient.fetchTokenData = async () => TOKEN_DATA;
+    executeBuy = async () => null;
+});
+
+test('a confirmed proposal executes as a paper order linked to it', async () => {
+    const executed = new Trade('TokenA', 'buy', 1, 1, new Date(), 'simulated_completed');
+    executeBuy = async () => ({ pending: false, trade: executed });
+    const proposal = proposeBuy();
+    const resolution = nextResolution();
+
+    const result = await tradeConfirmationService.confirmTrade(proposal.id);
+    assert.equal(result.success, true);
+    assert.equal(result.trade, executed);
+    assert.equal(statusOf(proposal), 'confirmed');
+    assert.equal((await resolution).status, 'confirmed');
+    const job = buyJobs.at(-1);
+    assert.equal(job.params.mode, 'paper');
+    assert.equal(job.params.options.proposalId, proposal.id);
+    // Claimed: a second confirmation doesn't execute it again
+    assert.equal((await tradeConfirmationService.confirmTrade(proposal.id)).success, false);
+    assert.equal(tradeConfirmationService.getPendingTrade('TokenA', 'buy'), null);
+});
+
+test('a confirmed proposal the engine refuses is marked failed_execution', async () => {
+    const proposal = proposeBuy();
+    const resolution = nextResolution();
+
+    const result = await tradeConfirmationService.confirmTrade(proposal.id);
+    assert.equal(result.success, false);
+    assert.equal(statusOf(proposal), 'failed_execution');
+    assert.equal((await resolution).status, 'failed_execution');
+});
+
+test('a confirmation that throws resolves the proposal instead of leaving it pending', async () => {
+    apiClient.fetchTokenData = async () => { throw new Error('provider down'); };
+    const proposal = proposeBuy();
+    const resolution = nextResolution();
+
+    const result = await tradeConfirmationService.confirmTrade(proposal.id);
+    assert.equal(result.success, false);
+    assert.equal(statusOf(proposal), 'failed_execution');
+    assert.equal((await resolution).status, 'failed_execution');
+});
+
+test('a rejected proposal is cancelled once', async () => {
+    const jobsBefore = buyJobs.length;
+    const proposal = proposeBuy();
+
+    assert.equal(tradeConfirmationService.rejectTrade(proposal.id).success, true);
+    assert.equal(statusOf(proposal), 'rejected');
+    assert.equal(tradeConfirmationService.rejectTrade(proposal.id).success, false);
+    assert.equal(buyJobs.length, jobsBefore);
+});
+
+test('an unanswered proposal expires', async () => {
+    const proposal = proposeBuy();
+    const resolution = nextResolution();
+    await new Promise(resolve => setTimeout(resolve, 100)); // The expiry timer doesn't keep the process alive
+
+    assert.equal((await resolution).status, 'expired');
+    assert.equal(statusOf(proposal), 'expired');
+    assert.equal((await tradeConfirmationService.confirmTrade(proposal.id)).success, false);
+});
@@ -0,0 +1,46 @@
+// backend/tests/tradeExport.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Fee-free fills in a deep pool, so the exported amounts are the quoted ones up to a negligible price impact
+process.env.SWAP_FEE_PERCENT = '0';
+process.env.NETWORK_FEE_SOL = '0';
+process.env.PRIORITY_FEE_SOL = '0';
+const cacheService = require('../services/cacheService');
+const portfolioService = require('../services/portfolioService');
+const tradingService = require('../services/tradingService');
+const exportService = require('../services/exportService');
+
+const TOKEN = 'ExportToken';
+const SOL_PRICE_USD = 100;
+
+cacheService.set('sol_price_usd', SOL_PRICE_USD);
+
+test('a sell is exported with its execution details and realized P&L', async () => {
+    portfolioService.updatePosition(TOKEN, 1000, 1, 10, 1000);
+    await tradingService.initiateSellOrder(TOKEN, 50, { address: TOKEN, symbol: 'EXP', priceUSD: 1.5, liquidityUSD: 1e12 }, 'manual');
+
+    const [row] = exportService.buildTradeExportRows({ tokenId: TOKEN, type: 'sell' });
+    assert.equal(typeof row.tradeId, 'string');
+    assert.equal(row.tokenSymbol, 'EXP');
+    assert.equal(row.side, 'sell');
+    assert.equal(row.tokenQuantity, 500);
+    assert.ok(Math.abs(row.amountSOL - 7.5) < 1e-6);
+    assert.equal(row.solPriceUSD, SOL_PRICE_USD);
+    assert.ok(Math.abs(row.realizedPnlUSD - 250) < 1e-4);
+    assert.ok(Math.abs(row.realizedPnlSOL - 2.5) < 1e-6);
+    assert.equal(row.reason, 'manual');
+});
+
+test('CSV values are quoted per RFC 4180 and missing values are left empty', () => {
+    const [row] = exportService.buildTradeExportRows({ tokenId: TOKEN, type: 'sell' });
+    const csv = exportService.toCSV([{ ...row, tokenSymbol: null, reason: 'take-profit, "tier 1"\nmanual' }]);
+
+    const [header, line, trailing] = csv.split('\r\n');
+    assert.equal(header.split(',')[0], 'tradeId');
+    assert.equal(header.split(',').at(-1), 'txSignature');
+    assert.ok(line.startsWith(`${row.tradeId},${row.timestamp},${TOKEN},,sell,`));
+    assert.ok(line.endsWith(',"take-profit, ""tier 1""\nmanual",')); // A paper trade has no transaction signature
+    assert.equal(trailing, '');
+});
@@ -0,0 +1,104 @@
+// backend/tests/tradeQueue.test.js
+const { dataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const QUEUE_MODULE = require.resolve('../services/tradeQueueService');
+const JOBS_PATH = path.join(dataDir, 'trade_jobs.ndjson');
+
+// A fresh queue instance reading the persisted jobs, as after a restart
+function loadQueue() {
+    delete require.cache[QUEUE_MODULE];
+    return require(QUEUE_MODULE);
+}
+
+function persistedRecords() {
+    if (!fs.existsSync(JOBS_PATH)) return [];
+    return fs.readFileSync(JOBS_PATH, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test.beforeEach(() => {
+    fs.rmSync(JOBS_PATH, { force: true });
+});
+
+test('an idempotency key reuses the job instead of queuing another', async () => {
+    const queue = loadQueue();
+    let runs = 0;
+    queue.registerHandler('buy', async () => { runs++; return 'bought'; });
+    queue.start();
+
+    const first = queue.enqueue('buy', 'TokenA', {}, { idempotencyKey: 'confirm:1' });
+    const second = queue.enqueue('buy', 'TokenA', {}, { idempotencyKey: 'confirm:1' });
+    assert.equal(first.duplicate, false);
+    assert.equal(second.duplicate, true);
+    assert.equal(second.job.id, first.job.id);
+
+    const finished = await queue.waitForJob(first.job.id);
+    assert.equal(finished.result, 'bought');
+    // Finished jobs keep deduplicating
+    assert.equal(queue.enqueue('buy', 'TokenA', {}, { idempotencyKey: 'confirm:1' }).duplicate, true);
+    assert.equal(runs, 1);
+});
+
+test('queued jobs run after a restart, without their transient params', async () => {
+    const before = loadQueue();
+    before.registerHandler('sell', async () => null, { transientParams: ['tokenData'] });
+    before.enqueue('sell', 'TokenB', { tokenData: { priceUSD: 1 }, percentageToSell: 50 }, { idempotencyKey: 'sell:1' });
+    assert.equal(persistedRecords()[0].params.tokenData, undefined);
+
+    const after = loadQueue();
+    const seen = [];
+    after.registerHandler('sell', async job => { seen.push(job.params); return 'sold'; }, { transientParams: ['tokenData'] });
+    const [restored] = after.getJobs({ status: 'queued' });
+    assert.equal(after.enqueue('sell', 'TokenB', {}, { idempotencyKey: 'sell:1' }).job.id, restored.id);
+    after.start();
+
+    assert.equal((await after.waitForJob(restored.id)).result, 'sold');
+    assert.deepEqual(seen, [{ percentageToSell: 50 }]);
+});
+
+test('a job interrupted mid-run is rerun unless its effect was committed', async () => {
+    const before = loadQueue();
+    before.registerHandler('buy', () => new Promise(() => {})); // Never finishes: the process "stops" mid-run
+    before.start();
+    const committed = before.enqueue('buy', 'TokenC', {}).job;
+    const uncommitted = before.enqueue('buy', 'TokenD', {}).job;
+    assert.equal(committed.status, 'running');
+    assert.equal(uncommitted.status, 'running');
+
+    const after = loadQueue();
+    const reruns = [];
+    after.registerHandler('buy', async job => { reruns.push(job.tokenAddress); return 'bought'; }, {
+        hasCommitted: job => job.id === committed.id,
+    });
+    after.start();
+
+    assert.equal((await after.waitForJob(uncommitted.id)).status, 'completed');
+    assert.equal(after.getJobs().find(job => job.id === committed.id).status, 'completed');
+    assert.deepEqual(reruns, ['TokenD']);
+});
+
+test('jobs of unpersisted types are never written and are dropped once finished', async () => {
+    const queue = loadQueue();
+    queue.registerHandler('checkRules', async () => null, { persist: false });
+    queue.start();
+
+    const { job } = queue.enqueue('checkRules', 'TokenE', { tokenData: {} }, { idempotencyKey: 'rules:TokenE:1' });
+    await queue.waitForJob(job.id);
+    assert.deepEqual(persistedRecords(), []);
+    assert.equal(queue.getJobs().length, 0);
+    assert.equal(queue.enqueue('checkRules', 'TokenE', { tokenData: {} }, { idempotencyKey: 'rules:TokenE:1' }).duplicate, false);
+});
+
+test('jobs saved in the legacy whole-array file are migrated', () => {
+    const legacyPath = path.join(dataDir, 'trade_jobs.json');
+    const job = { id: 'legacy-1', idempotencyKey: 'legacy', type: 'buy', tokenAddress: 'TokenF', params: {}, status: 'queued', attempts: 0, maxAttempts: 3, nextAttemptAt: null, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString(), result: null, error: null };
+    fs.writeFileSync(legacyPath, JSON.stringify([job]));
+
+    const queue = loadQueue();
+    assert.equal(queue.getJobs()[0].id, 'legacy-1');
+    assert.equal(fs.existsSync(legacyPath), false);
+    assert.equal(persistedRecords()[0].id, 'legacy-1');
+});
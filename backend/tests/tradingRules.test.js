@@ -0,0 +1,190 @@
+// backend/tests/tradingRules.test.js
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPortfolio } = require('../services/portfolio');
+const { createTradingEngine } = require('../services/tradingEngine');
+const { createFillModel, IDEAL_FILLS } = require('../services/fillModelService');
+
+const SOL_PRICE_USD = 100;
+
+function createEngine(fillConfig = IDEAL_FILLS) {
+    const portfolio = createPortfolio({ name: 'rules-test', persist: false, initialSOLBalance: 100 });
+    const engine = createTradingEngine({ portfolio, getSolPriceUSD: async () => SOL_PRICE_USD, fillModel: createFillModel(fillConfig) });
+    return { portfolio, engine };
+}
+
+// Fills with a 1% pool fee and a 5% slippage tolerance
+function createEngineWithFees(fillConfig = {}) {
+    return createEngine({ swapFeePercent: 1, networkFeeSOL: 0, priorityFeeSOL: 0, maxSlippagePercent: 5, ...fillConfig });
+}
+
+function tokenData(address, priceUSD, liquidityUSD = 1e12) {
+    return { address, symbol: 'RULE', priceUSD, liquidityUSD, lastFetched: new Date() };
+}
+
+// Books a position directly, skipping the sizing of initiateBuyOrder
+function holdPosition(portfolio, address, amount, priceUSD) {
+    portfolio.updatePosition(address, amount, priceUSD, (amount * priceUSD) / SOL_PRICE_USD, amount * priceUSD);
+}
+
+function sellReasons(portfolio) {
+    return portfolio.getTradeHistory({ type: 'sell' }).map(trade => trade.reasonForTrade);
+}
+
+test('invalid trading rules are refused', () => {
+    const { portfolio, engine } = createEngine();
+    assert.equal(engine.setTradingRules('NoPositionToken', { takeProfitPercent: 50 }).success, false);
+
+    holdPosition(portfolio, 'RefusedRulesToken', 1000, 1);
+    assert.equal(engine.setTradingRules('RefusedRulesToken', { stopLossPercent: -5 }).success, false);
+    assert.equal(engine.setTradingRules('RefusedRulesToken', { stopLossPercent: 100 }).success, false);
+    assert.equal(engine.setTradingRules('RefusedRulesToken', { takeProfitPriceUSD: 2, stopLossPriceUSD: 3 }).success, false);
+    assert.equal(portfolio.getPosition('RefusedRulesToken').takeProfitPriceUSD, null);
+});
+
+test('take-profit fires at the per-token percentage instead of the default', async () => {
+    const { portfolio, engine } = createEngine();
+    const address = 'TakeProfitToken';
+    holdPosition(portfolio, address, 1000, 1);
+    assert.equal(engine.setTradingRules(address, { takeProfitPercent: 50 }).success, true);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 1.4)); // Past the 20% default
+    assert.equal(portfolio.getPosition(address).amountHeld, 1000);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 1.5));
+    assert.equal(portfolio.getPosition(address), undefined);
+    assert.deepEqual(sellReasons(portfolio), ['take-profit']);
+});
+
+test('an absolute stop-loss price wins over the default percentage', async () => {
+    const { portfolio, engine } = createEngine();
+    const address = 'StopLossToken';
+    holdPosition(portfolio, address, 1000, 1);
+    assert.equal(engine.setTradingRules(address, { stopLossPercent: 5, stopLossPriceUSD: 0.8 }).success, true);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 0.85)); // Past both percentages
+    assert.equal(portfolio.getPosition(address).amountHeld, 1000);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 0.8));
+    assert.equal(portfolio.getPosition(address), undefined);
+    assert.deepEqual(sellReasons(portfolio), ['stop-loss']);
+});
+
+test('a trailing stop follows the high-water mark', async () => {
+    const { portfolio, engine } = createEngine();
+    const address = 'TrailingStopToken';
+    holdPosition(portfolio, address, 1000, 1);
+    assert.equal(engine.setTradingRules(address, { stopLossMode: 'sideways' }).success, false);
+    assert.equal(engine.setTradingRules(address, { stopLossMode: 'trailing', trailingStopPercent: 20, takeProfitPercent: 500 }).success, true);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 2));
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 1.7)); // Still above the 1.6 stop
+    assert.equal(portfolio.getPosition(address).highestPriceUSD, 2);
+    assert.equal(portfolio.getPosition(address).amountHeld, 1000);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 1.6)); // Well above the buy price
+    assert.equal(portfolio.getPosition(address), undefined);
+    assert.deepEqual(sellReasons(portfolio), ['trailing-stop']);
+});
+
+test('take-profit tiers each fire once and sell their share of the holding', async () => {
+    const { portfolio, engine } = createEngine();
+    const address = 'LadderToken';
+    holdPosition(portfolio, address, 10000, 1);
+    const tiers = [{ gainPercent: 50, sellPercent: 25 }, { gainPercent: 100, sellPercent: 25 }];
+    assert.equal(engine.setTradingRules(address, { takeProfitTiers: tiers }).success, true);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 1.5));
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 1.5));
+    assert.equal(portfolio.getPosition(address).amountHeld, 7500);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 2));
+    assert.equal(portfolio.getPosition(address).amountHeld, 5000); // 25% of the holding the ladder was set on
+    assert.deepEqual(sellReasons(portfolio), ['take-profit-tier-1', 'take-profit-tier-2']);
+});
+
+test('an add-on buy moves the tier entry price and grows the tier sizes', async () => {
+    const { portfolio, engine } = createEngine();
+    const address = 'LadderAddOnToken';
+    holdPosition(portfolio, address, 10000, 1);
+    assert.equal(engine.setTradingRules(address, { takeProfitTiers: [{ gainPercent: 100, sellPercent: 50 }] }).success, true);
+    holdPosition(portfolio, address, 10000, 2);
+    assert.equal(portfolio.getPosition(address).tierEntryPriceUSD, 1.5);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 2.5)); // +100% on the first buy only
+    assert.equal(portfolio.getPosition(address).amountHeld, 20000);
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 3));
+    assert.equal(portfolio.getPosition(address).amountHeld, 10000);
+});
+
+test('take-profit tiers keep their trigger prices when FIFO sells move the average buy price', async () => {
+    const { portfolio, engine } = createEngine();
+    const address = 'LadderFifoToken';
+    holdPosition(portfolio, address, 10000, 1);
+    holdPosition(portfolio, address, 10000, 2);
+    engine.setTradingRules(address, { takeProfitTiers: [{ gainPercent: 50, sellPercent: 25 }, { gainPercent: 100, sellPercent: 25 }] });
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 2.25)); // +50% on the 1.5 entry
+    assert.equal(portfolio.getPosition(address).amountHeld, 15000);
+    assert.ok(portfolio.getPosition(address).averageBuyPriceUSD > 1.6); // The cheapest lot was sold first
+
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 3)); // +100% on the entry, not on the new average
+    assert.equal(portfolio.getPosition(address).amountHeld, 10000);
+    assert.deepEqual(sellReasons(portfolio), ['take-profit-tier-1', 'take-profit-tier-2']);
+});
+
+test('a stop-loss sells even when the price impact exceeds the slippage tolerance', async () => {
+    const { portfolio, engine } = createEngineWithFees();
+    const address = 'RugPullToken';
+    holdPosition(portfolio, address, 10000, 1);
+
+    // Rug pull: price down 50% and the pool drained, so selling the holding moves the price by far more than 5%
+    await engine.checkAutomatedTradingRules(address, tokenData(address, 0.5, 20000));
+
+    assert.equal(portfolio.getPosition(address), undefined);
+    const [sell] = portfolio.getTradeHistory({ type: 'sell' });
+    assert.equal(sell.status, 'simulated_completed');
+    assert.equal(sell.reasonForTrade, 'stop-loss');
+    assert.ok(sell.priceImpactPercent > 5);
+});
+
+test('a manual sell still respects the slippage tolerance', async () => {
+    const { portfolio, engine } = createEngineWithFees();
+    const address = 'ThinPoolToken';
+    holdPosition(portfolio, address, 10000, 1);
+
+    const result = await engine.initiateSellOrder(address, 100, tokenData(address, 0.5, 20000), 'manual', { manual: true });
+
+    assert.equal(result, null);
+    assert.equal(portfolio.getPosition(address).amountHeld, 10000);
+    assert.equal(portfolio.getTradeHistory({ type: 'sell' })[0].status, 'failed_slippage_exceeded');
+});
+
+test('an exit the fill model keeps rejecting is recorded once, not on every check', async () => {
+    const { portfolio, engine } = createEngineWithFees({ swapFeePercent: 0, networkFeeSOL: 1 });
+    const address = 'DustToken';
+    holdPosition(portfolio, address, 10, 1); // Dust: worth less than the network fee
+
+    for (const priceUSD of [0.8, 0.7, 0.6]) {
+        await engine.checkAutomatedTradingRules(address, tokenData(address, priceUSD));
+    }
+
+    const sells = portfolio.getTradeHistory({ type: 'sell' });
+    assert.deepEqual(sells.map(trade => [trade.status, trade.reasonForTrade]), [['failed_fees_exceed_order', 'stop-loss']]);
+    assert.equal(portfolio.getPosition(address).amountHeld, 10);
+    // A manual attempt is the user's own and is always recorded
+    await engine.initiateSellOrder(address, 100, tokenData(address, 0.6), 'manual', { manual: true });
+    assert.equal(portfolio.getTradeHistory({ type: 'sell' }).length, 2);
+});
+
+test('the trailing-stop high-water mark starts at the market price, not the all-in fill price', async () => {
+    const { portfolio, engine } = createEngineWithFees({ maxSlippagePercent: null });
+    const address = 'FeeEntryToken';
+    await engine.initiateBuyOrder(address, tokenData(address, 1), { amountSOL: 10 });
+
+    const position = portfolio.getPosition(address);
+    assert.ok(position.averageBuyPriceUSD > 1); // Fees are part of the cost
+    assert.equal(position.highestPriceUSD, 1);
+});
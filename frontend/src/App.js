@@ -1,19 +1,73 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 import TokenInputForm from './components/TokenInputForm';
 import TokenList from './components/TokenList';
+import TradeProposals from './components/TradeProposals';
+import TradingModeToggle from './components/TradingModeToggle';
+import SignatureRequests from './components/SignatureRequests';
+import { VersionedTransaction } from '@solana/web3.js';
 
-// @solana/web3.js is not directly used in this file for connection,
-// but good to have for future interactions if needed (e.g. sending transactions, fetching balance).
-// The connection itself relies on the Phantom provider injected into `window`.
+// The wallet connection relies on the Phantom provider injected into `window`; @solana/web3.js only
+// (de)serializes the real-mode swap transactions the backend builds and the wallet signs.
+
+// Tokens this browser subscribes to, restored on the next visit; null until the first subscription
+const SUBSCRIPTIONS_STORAGE_KEY = 'subscribedTokens';
+
+function loadSavedSubscriptions() {
+    try {
+        return JSON.parse(window.localStorage.getItem(SUBSCRIPTIONS_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Applies a PORTFOLIO_DELTA payload: changed top-level fields, changed or closed (null) positions,
+// and new or updated trades (matched by id).
+function applyPortfolioDelta(portfolio, { fields, positions, trades }) {
+    const updated = { ...portfolio, ...fields };
+    if (positions) {
+        const updatedPositions = { ...portfolio.positions };
+        Object.entries(positions).forEach(([address, changes]) => {
+            if (changes === null) delete updatedPositions[address];
+            else updatedPositions[address] = { ...updatedPositions[address], ...changes };
+        });
+        updated.positions = updatedPositions;
+    }
+    if (trades) {
+        const history = [...(portfolio.simulatedTradeHistory || [])];
+        trades.forEach(trade => {
+            const index = history.findIndex(t => t.id === trade.id);
+            if (index !== -1) history[index] = trade;
+            else history.push(trade);
+        });
+        updated.simulatedTradeHistory = history;
+    }
+    return updated;
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(window.atob(base64), char => char.charCodeAt(0));
+}
+
+function bytesToBase64(bytes) {
+    return window.btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
 
 function App() {
     const [watchedTokens, setWatchedTokens] = useState([]);
     const [ws, setWs] = useState(null);
+    const [tradeProposals, setTradeProposals] = useState([]); // Pending trades awaiting confirmation
+    const [portfolio, setPortfolio] = useState(null);
+    const [tradingMode, setTradingMode] = useState(null); // { mode, walletPublicKey, realTradingEnabled, rpcUrl }
+    const [signatureRequests, setSignatureRequests] = useState([]); // Real swaps awaiting the wallet: [{ trade, transaction }]
+    // Sequence of the last SNAPSHOT / delta applied; null while waiting for a snapshot
+    const lastSeqRef = useRef(null);
+    const hasSubscribedRef = useRef(false); // Subscriptions are sent once per connection, after the first snapshot
 
     // Wallet Connection State
     const [provider, setProvider] = useState(null);
     const [walletKey, setWalletKey] = useState(null);
+    const lastSentWalletKeyRef = useRef(null); // Wallet last reported to the backend on this connection
     // const [solBalance, setSolBalance] = useState(0); // For later use if needed
 
     // Function to get the Phantom provider (or other Solana providers)
@@ -150,6 +204,15 @@ function App() {
     }, [getProvider]); // Rerun if getProvider changes (it's memoized by useCallback, so stable)
 
 
+    // Tell the backend which wallet real swaps are built for. Only an actual disconnect reports null, not a page
+    // load before the wallet has auto-connected, which would switch a real-mode backend back to paper.
+    useEffect(() => {
+        if (!ws || ws.readyState !== WebSocket.OPEN || walletKey === lastSentWalletKeyRef.current) return;
+        ws.send(JSON.stringify({ type: 'SET_WALLET', payload: { publicKey: walletKey } }));
+        lastSentWalletKeyRef.current = walletKey;
+    }, [ws, walletKey]);
+
+
     // WebSocket initialization
     useEffect(() => {
         const websocketUrl = `ws://${window.location.hostname}:5000`;
@@ -158,23 +221,67 @@ function App() {
         const socket = new WebSocket(websocketUrl);
         socket.onopen = () => {
             console.log('WebSocket connection established');
+            hasSubscribedRef.current = false;
+            lastSentWalletKeyRef.current = null;
             setWs(socket);
         };
         socket.onmessage = (event) => {
             try {
                 const message = JSON.parse(event.data);
                 console.log('WebSocket message received:', message);
-                if (message.type === 'TOKEN_UPDATE') {
+                if (message.type === 'SNAPSHOT') {
+                    lastSeqRef.current = message.seq;
+                    setWatchedTokens(message.payload.tokens.map(token => ({ ...token, id: token.address })));
+                    setPortfolio(message.payload.portfolio);
+                    if (!hasSubscribedRef.current) {
+                        // First visit: follow everything the backend watches
+                        const addresses = loadSavedSubscriptions() || message.payload.watchedAddresses;
+                        if (addresses.length > 0) socket.send(JSON.stringify({ type: 'SUBSCRIBE', payload: { addresses } }));
+                        hasSubscribedRef.current = true;
+                    }
+                    return;
+                }
+                if (['TOKEN_DELTA', 'TOKEN_REMOVED', 'PORTFOLIO_DELTA'].includes(message.type)) {
+                    if (lastSeqRef.current === null) return; // A snapshot is on its way
+                    if (message.seq !== lastSeqRef.current + 1) {
+                        console.warn(`Missed update(s) (expected seq ${lastSeqRef.current + 1}, got ${message.seq}), requesting a snapshot.`);
+                        lastSeqRef.current = null;
+                        socket.send(JSON.stringify({ type: 'REQUEST_SNAPSHOT' }));
+                        return;
+                    }
+                    lastSeqRef.current = message.seq;
+                }
+
+                if (message.type === 'TOKEN_DELTA') {
+                    const { address, changes } = message.payload;
                     setWatchedTokens(prevTokens => {
-                        const existingTokenIndex = prevTokens.findIndex(t => t.address === message.payload.address);
+                        const existingTokenIndex = prevTokens.findIndex(t => t.address === address);
                         if (existingTokenIndex !== -1) {
                             const updatedTokens = [...prevTokens];
-                            updatedTokens[existingTokenIndex] = { ...updatedTokens[existingTokenIndex], ...message.payload };
+                            updatedTokens[existingTokenIndex] = { ...updatedTokens[existingTokenIndex], ...changes };
                             return updatedTokens;
                         } else {
-                            return [...prevTokens, { ...message.payload, id: message.payload.address }];
+                            return [...prevTokens, { ...changes, address, id: address }];
                         }
                     });
+                } else if (message.type === 'TOKEN_REMOVED') {
+                    setWatchedTokens(prevTokens => prevTokens.filter(t => t.address !== message.payload.address));
+                } else if (message.type === 'SUBSCRIPTIONS_UPDATED') {
+                    window.localStorage.setItem(SUBSCRIPTIONS_STORAGE_KEY, JSON.stringify(message.payload.addresses));
+                } else if (message.type === 'TOKEN_WATCH_REMOVED') {
+                    const { address, unwatched, trades } = message.payload;
+                    console.log(`Stopped watching ${address}${trades.length > 0 ? ` (position sold, trade ${trades.map(trade => trade.id).join(', ')})` : ''}${unwatched ? '' : '; the backend still watches it'}.`);
+                } else if (message.type === 'MANUAL_TRADE_RESULT') {
+                    const { side, address, success, trade, error } = message.payload;
+                    if (success) {
+                        console.log(`Manual ${side} of ${address} executed (trade ${trade.id}).`);
+                    } else {
+                        alert(error);
+                    }
+                } else if (message.type === 'PORTFOLIO_DELTA') {
+                    setPortfolio(prevPortfolio => (prevPortfolio ? applyPortfolioDelta(prevPortfolio, message.payload) : prevPortfolio));
+                } else if (message.type === 'PORTFOLIO_UPDATE') {
+                    setPortfolio(message.payload);
                 } else if (message.type === 'INITIAL_TOKENS' || message.type === 'ALL_TOKENS_UPDATE') {
                     setWatchedTokens(message.payload.map(token => ({ ...token, id: token.address })));
                 } else if (message.type === 'TOKEN_ADDED_CONFIRMATION') {
@@ -185,6 +292,24 @@ function App() {
                         }
                         return prevTokens.map(t => t.address === address ? { ...t, ...tokenData } : t);
                     });
+                } else if (message.type === 'TRADE_PROPOSAL') {
+                    setTradeProposals(prevProposals => (
+                        prevProposals.some(trade => trade.id === message.payload.id) ? prevProposals : [...prevProposals, message.payload]
+                    ));
+                } else if (message.type === 'TRADE_PROPOSAL_RESOLVED') {
+                    setTradeProposals(prevProposals => prevProposals.filter(trade => trade.id !== message.payload.trade.id));
+                    console.log(`Trade ${message.payload.trade.id} ${message.payload.status}`);
+                } else if (message.type === 'TRADING_MODE') {
+                    setTradingMode(message.payload);
+                } else if (message.type === 'SIGNATURE_REQUEST') {
+                    setSignatureRequests(prevRequests => (
+                        prevRequests.some(request => request.trade.id === message.payload.trade.id) ? prevRequests : [...prevRequests, message.payload]
+                    ));
+                } else if (message.type === 'SIGNATURE_REQUEST_RESOLVED') {
+                    const { trade, status, executedTrade } = message.payload;
+                    setSignatureRequests(prevRequests => prevRequests.filter(request => request.trade.id !== trade.id));
+                    console.log(`Real trade ${trade.id} ${status}${executedTrade ? ` (${trade.txSignature})` : ''}`);
+                    if (status.startsWith('failed_')) alert(`Real ${trade.type} of ${trade.tokenSymbol || trade.tokenId} ${status.replace('failed_', 'failed: ')}`);
                 } else if (message.type === 'WELCOME') {
                     console.log('Welcome message from server:', message.payload);
                 } else if (message.type === 'ERROR' || message.type === 'ERROR_MESSAGE') {
@@ -196,6 +321,7 @@ function App() {
         };
         socket.onclose = () => {
             console.log('WebSocket connection closed');
+            lastSeqRef.current = null;
             setWs(null);
         };
         socket.onerror = (error) => {
@@ -228,6 +354,58 @@ function App() {
         }
     };
 
+    // positionAction: 'keep' leaves an open position (and its trading rules) running, 'liquidate' sells it first
+    const handleRemoveToken = (address, positionAction) => {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'REMOVE_TOKEN_WATCH', payload: { address, positionAction } }));
+        } else {
+            alert('WebSocket is not connected. Please wait or refresh.');
+        }
+    };
+
+    // Each order gets its own idempotency key, so a resend (e.g. after a reconnect) can't execute it twice
+    const sendManualOrder = (type, payload) => {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            const idempotencyKey = window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+            ws.send(JSON.stringify({ type, payload: { ...payload, idempotencyKey } }));
+        } else {
+            alert('WebSocket is not connected. Please wait or refresh.');
+        }
+    };
+
+    const sendTradeDecision = (type, tradeId) => {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type, payload: { tradeId } }));
+        } else {
+            alert('WebSocket is not connected. Please wait or refresh.');
+        }
+    };
+
+    const sendTradingMode = (mode) => {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'SET_TRADING_MODE', payload: { mode } }));
+        } else {
+            alert('WebSocket is not connected. Please wait or refresh.');
+        }
+    };
+
+    // The backend built the transaction; the wallet signs it and the backend submits it and tracks confirmation.
+    // Declining in the wallet rejects the request.
+    const signRealTrade = async (tradeId) => {
+        const request = signatureRequests.find(r => r.trade.id === tradeId);
+        if (!request || !provider || !ws || ws.readyState !== WebSocket.OPEN) return;
+        try {
+            const transaction = VersionedTransaction.deserialize(base64ToBytes(request.transaction));
+            const signedTransaction = await provider.signTransaction(transaction);
+            ws.send(JSON.stringify({ type: 'SUBMIT_SIGNED_TRANSACTION', payload: { tradeId, signedTransaction: bytesToBase64(signedTransaction.serialize()) } }));
+        } catch (error) {
+            console.error(`Signing trade ${tradeId} failed:`, error);
+            ws.send(JSON.stringify({ type: 'REJECT_SIGNATURE', payload: { tradeId } }));
+        }
+    };
+
+    const isRealMode = tradingMode?.mode === 'real';
+
     return (
         <div className="App">
             <header className="App-header">
@@ -249,9 +427,30 @@ function App() {
                     )}
                 </div>
                 <p>WebSocket Status: {ws && ws.readyState === WebSocket.OPEN ? 'Connected' : 'Disconnected'}</p>
+                <TradingModeToggle status={tradingMode} walletKey={walletKey} onSetMode={sendTradingMode} />
+                {portfolio && typeof portfolio.currentSOLBalance === 'number' && (
+                    <p>{isRealMode ? 'Wallet' : 'Simulated'} SOL Balance: {portfolio.currentSOLBalance.toFixed(4)} SOL</p>
+                )}
             </header>
+            <SignatureRequests
+                requests={signatureRequests}
+                canSign={Boolean(provider) && walletKey === tradingMode?.walletPublicKey}
+                onSign={signRealTrade}
+                onReject={(tradeId) => sendTradeDecision('REJECT_SIGNATURE', tradeId)}
+            />
+            <TradeProposals
+                proposals={tradeProposals}
+                onConfirm={(tradeId) => sendTradeDecision('CONFIRM_TRADE', tradeId)}
+                onReject={(tradeId) => sendTradeDecision('REJECT_TRADE', tradeId)}
+            />
             <TokenInputForm onAddToken={handleAddToken} />
-            <TokenList tokens={watchedTokens} />
+            <TokenList
+                tokens={watchedTokens}
+                positions={portfolio?.positions}
+                onRemoveToken={handleRemoveToken}
+                onManualBuy={(address, amountSOL) => sendManualOrder('MANUAL_BUY', { address, amountSOL })}
+                onManualSell={(address, percentage) => sendManualOrder('MANUAL_SELL', { address, percentage })}
+            />
         </div>
     );
 }
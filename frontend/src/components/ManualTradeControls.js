@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+
+// Manual buy (SOL amount) and sell (percent of holding) for one token; the backend validates and executes them.
+function ManualTradeControls({ address, hasPosition, onManualBuy, onManualSell }) {
+    const [buyAmountSOL, setBuyAmountSOL] = useState('');
+    const [sellPercentage, setSellPercentage] = useState('100');
+
+    const handleBuy = (event) => {
+        event.preventDefault();
+        const amountSOL = parseFloat(buyAmountSOL);
+        if (!(amountSOL > 0)) {
+            alert('Enter a positive SOL amount to buy.');
+            return;
+        }
+        onManualBuy(address, amountSOL);
+        setBuyAmountSOL('');
+    };
+
+    const handleSell = (event) => {
+        event.preventDefault();
+        const percentage = parseFloat(sellPercentage);
+        if (!(percentage > 0 && percentage <= 100)) {
+            alert('Enter a percentage between 0 and 100 to sell.');
+            return;
+        }
+        onManualSell(address, percentage);
+    };
+
+    return (
+        <div style={{ marginTop: '10px', paddingTop: '10px', borderTop: '1px solid #eee' }}>
+            <form onSubmit={handleBuy} style={{ marginBottom: '5px' }}>
+                <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={buyAmountSOL}
+                    onChange={(e) => setBuyAmountSOL(e.target.value)}
+                    placeholder="SOL amount"
+                    style={{ width: '110px', marginRight: '10px', padding: '5px' }}
+                />
+                <button type="submit" style={{ padding: '6px 12px' }}>Buy</button>
+            </form>
+            {hasPosition && (
+                <form onSubmit={handleSell}>
+                    <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="any"
+                        value={sellPercentage}
+                        onChange={(e) => setSellPercentage(e.target.value)}
+                        style={{ width: '110px', marginRight: '10px', padding: '5px' }}
+                    />
+                    <button type="submit" style={{ padding: '6px 12px' }}>Sell % of Holding</button>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default ManualTradeControls;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+// Real-mode swaps the backend built for the connected wallet; each one waits for the wallet's signature
+// (or is rejected, or expires on the backend along with its blockhash).
+function SignatureRequests({ requests, canSign, onSign, onReject }) {
+    if (!requests || requests.length === 0) return null;
+
+    const formatAmount = (value, decimals) => (typeof value === 'number' ? value.toFixed(decimals) : 'N/A');
+
+    return (
+        <div style={{ border: '2px solid #c62828', margin: '10px auto', padding: '10px', borderRadius: '5px', backgroundColor: '#ffebee', maxWidth: '600px' }}>
+            <h3 style={{ marginTop: 0 }}>Real trades awaiting your signature</h3>
+            {!canSign && <p style={{ margin: '0 0 5px 0' }}>Connect the wallet these swaps were built for to sign them.</p>}
+            {requests.map(({ trade }) => (
+                <div key={trade.id} style={{ borderTop: '1px solid #eee', padding: '8px 0' }}>
+                    <p style={{ margin: '0 0 5px 0' }}>
+                        <strong>{trade.type.toUpperCase()}</strong> {formatAmount(trade.tokenAmount, 4)} {trade.tokenSymbol || trade.tokenId}
+                        {' '}for {formatAmount(trade.amountSOL, 4)} SOL (quoted)
+                        {trade.reasonForTrade ? ` (${trade.reasonForTrade})` : ''}
+                    </p>
+                    <p style={{ margin: '0 0 5px 0', fontSize: '0.9em', color: '#555' }}>
+                        Price impact {formatAmount(trade.priceImpactPercent, 2)}%
+                    </p>
+                    <button onClick={() => onSign(trade.id)} disabled={!canSign} style={{ padding: '6px 12px', marginRight: '10px' }}>
+                        Sign &amp; send
+                    </button>
+                    <button onClick={() => onReject(trade.id)} style={{ padding: '6px 12px' }}>
+                        Reject
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default SignatureRequests;
@@ -1,6 +1,7 @@
 import React from 'react';
+import ManualTradeControls from './ManualTradeControls';
 
-function TokenDisplay({ token }) {
+function TokenDisplay({ token, hasPosition, onRemove, onManualBuy, onManualSell }) {
     if (!token) return null;
 
     // Helper for formatting numbers or showing N/A
@@ -27,6 +28,25 @@ function TokenDisplay({ token }) {
         return 'N/A';
     }
 
+    // perf5min / perf1hr arrive as percentages (e.g. 12.5 for +12.5%), null until enough history exists
+    const formatPercent = (value) => {
+        if (typeof value === 'number') {
+            return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+        }
+        return 'N/A';
+    };
+
+    const formatAge = (createdAt) => {
+        if (!createdAt) return 'N/A';
+        const ageMs = Date.now() - new Date(createdAt).getTime();
+        if (Number.isNaN(ageMs) || ageMs < 0) return 'N/A';
+        const minutes = Math.floor(ageMs / 60000);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return `${hours}h ${minutes % 60}m`;
+        return `${Math.floor(hours / 24)}d`;
+    };
+
 
     return (
         <div style={{ border: '1px solid #ccc', margin: '10px', padding: '10px', borderRadius: '5px', backgroundColor: '#f9f9f9' }}>
@@ -35,9 +55,9 @@ function TokenDisplay({ token }) {
             <p><strong>Price:</strong> ${formatPrice(token.priceUSD)}</p>
             <p><strong>Liquidity:</strong> ${formatNumber(token.liquidityUSD)}</p>
             <p><strong>Market Cap:</strong> ${formatNumber(token.marketCapUSD)}</p>
-            <p><strong>Token Age:</strong> {token.age || 'N/A'}</p>
-            <p><strong>5-min Performance:</strong> {token.perf5min || 'N/A'}</p>
-            <p><strong>1-hour Performance:</strong> {token.perf1hr || 'N/A'}</p>
+            <p><strong>Token Age:</strong> {formatAge(token.createdAt)}</p>
+            <p><strong>5-min Performance:</strong> {formatPercent(token.perf5min)}</p>
+            <p><strong>1-hour Performance:</strong> {formatPercent(token.perf1hr)}</p>
             {/* Placeholder for investment-specific data */}
             {token.investment && (
                 <div style={{ marginTop: '10px', paddingTop: '10px', borderTop: '1px solid #eee' }}>
@@ -47,6 +67,21 @@ function TokenDisplay({ token }) {
                     <p>Profit/Loss: {token.investment.pnlUSD ? `${token.investment.pnlUSD >= 0 ? '+' : ''}$${formatNumber(token.investment.pnlUSD)}` : 'N/A'}</p>
                 </div>
             )}
+            {onManualBuy && onManualSell && (
+                <ManualTradeControls address={token.address} hasPosition={hasPosition} onManualBuy={onManualBuy} onManualSell={onManualSell} />
+            )}
+            {onRemove && (
+                <div style={{ marginTop: '10px' }}>
+                    <button onClick={() => onRemove(token.address, 'keep')} style={{ padding: '6px 12px', marginRight: '10px' }}>
+                        {hasPosition ? 'Stop Watching (Keep Position)' : 'Stop Watching'}
+                    </button>
+                    {hasPosition && (
+                        <button onClick={() => onRemove(token.address, 'liquidate')} style={{ padding: '6px 12px' }}>
+                            Stop Watching &amp; Sell Position
+                        </button>
+                    )}
+                </div>
+            )}
         </div>
     );
 }
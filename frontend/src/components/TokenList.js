@@ -1,7 +1,7 @@
 import React from 'react';
 import TokenDisplay from './TokenDisplay';
 
-function TokenList({ tokens }) {
+function TokenList({ tokens, positions, onRemoveToken, onManualBuy, onManualSell }) {
     if (!tokens || tokens.length === 0) {
         return <p style={{textAlign: 'center', margin: '20px'}}>No tokens being watched yet, or data is loading...</p>;
     }
@@ -12,7 +12,14 @@ function TokenList({ tokens }) {
             {tokens.map(token => (
                 // Ensure token object and its address exist before rendering
                 token && token.address ? 
-                <TokenDisplay key={token.address} token={token} /> :
+                <TokenDisplay
+                    key={token.address}
+                    token={token}
+                    hasPosition={Boolean(positions?.[token.address]?.amountHeld > 0)}
+                    onRemove={onRemoveToken}
+                    onManualBuy={onManualBuy}
+                    onManualSell={onManualSell}
+                /> :
                 null 
             ))}
         </div>
@@ -0,0 +1,34 @@
+import React from 'react';
+
+// Trades the backend proposed in confirm mode; each one waits for Confirm or Reject (or times out on the backend).
+function TradeProposals({ proposals, onConfirm, onReject }) {
+    if (!proposals || proposals.length === 0) return null;
+
+    const formatAmount = (value, decimals) => (typeof value === 'number' ? value.toFixed(decimals) : 'N/A');
+
+    return (
+        <div style={{ border: '2px solid #e0a800', margin: '10px auto', padding: '10px', borderRadius: '5px', backgroundColor: '#fff8e1', maxWidth: '600px' }}>
+            <h3 style={{ marginTop: 0 }}>Trades awaiting confirmation</h3>
+            {proposals.map(trade => (
+                <div key={trade.id} style={{ borderTop: '1px solid #eee', padding: '8px 0' }}>
+                    <p style={{ margin: '0 0 5px 0' }}>
+                        <strong>{trade.type.toUpperCase()}</strong> {formatAmount(trade.tokenAmount, 4)} {trade.tokenSymbol || trade.tokenId}
+                        {' '}for {formatAmount(trade.amountSOL, 4)} SOL @ ${trade.priceUSD}
+                        {trade.reasonForTrade ? ` (${trade.reasonForTrade})` : ''}
+                    </p>
+                    <p style={{ margin: '0 0 5px 0', fontSize: '0.9em', color: '#555' }}>
+                        Expected fill ${formatAmount(trade.effectivePriceUSD, 8)}, price impact {formatAmount(trade.priceImpactPercent, 2)}%, fees {formatAmount(trade.feesSOL, 6)} SOL
+                    </p>
+                    <button onClick={() => onConfirm(trade.id)} style={{ padding: '6px 12px', marginRight: '10px' }}>
+                        Confirm
+                    </button>
+                    <button onClick={() => onReject(trade.id)} style={{ padding: '6px 12px' }}>
+                        Reject
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default TradeProposals;
@@ -0,0 +1,40 @@
+import React from 'react';
+
+// Paper or real trading. Real mode needs the backend started with REAL_TRADING_ENABLED=true and a connected wallet.
+function TradingModeToggle({ status, walletKey, onSetMode }) {
+    if (!status) return null;
+
+    const isReal = status.mode === 'real';
+    let realUnavailableReason = null;
+    if (!status.realTradingEnabled) realUnavailableReason = 'Real trading is disabled on the backend.';
+    else if (!walletKey) realUnavailableReason = 'Connect a wallet to trade for real.';
+
+    const handleToggle = () => {
+        if (isReal) {
+            onSetMode('paper');
+        } else if (window.confirm('Switch to REAL trading? Orders will spend SOL from your wallet once you sign them.')) {
+            onSetMode('real');
+        }
+    };
+
+    return (
+        <div style={{ margin: '0 0 10px 0' }}>
+            <p style={{ margin: '0 0 5px 0', fontWeight: 'bold', color: isReal ? '#c62828' : 'inherit' }}>
+                Trading mode: {isReal ? 'REAL' : 'Paper'}
+            </p>
+            <button
+                onClick={handleToggle}
+                disabled={!isReal && Boolean(realUnavailableReason)}
+                title={!isReal && realUnavailableReason ? realUnavailableReason : undefined}
+                style={{ padding: '6px 12px', fontSize: '0.9em' }}
+            >
+                {isReal ? 'Switch to paper trading' : 'Switch to real trading'}
+            </button>
+            {!isReal && realUnavailableReason && (
+                <p style={{ margin: '5px 0 0 0', fontSize: '0.8em' }}>{realUnavailableReason}</p>
+            )}
+        </div>
+    );
+}
+
+export default TradingModeToggle;